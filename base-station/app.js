@@ -6,6 +6,9 @@ let lastSeenTime = 0;
 let alertCircle = null;
 let alertAnim = null;
 let analyzingKeys = new Set(); // Track keys being analyzed
+let verification = {}; // SOS key -> { state, label } from verifySender
+let sosRecords = {}; // SOS key -> latest record, for drawing its relay path
+let relayPathLayer = null;
 let map;
 
 /************* FIREBASE *************/
@@ -13,7 +16,7 @@ firebase.initializeApp(FIREBASE_CONFIG);
 
 const db = firebase.database();
 const auth = firebase.auth();
-const sosRef = db.ref("sos_messages");
+const backend = Backend.firebase(db); // SOS and chat records
 
 /************* AUTHORIZATION *************/
 // AUTHORIZED_EMAILS is now loaded from config.js
@@ -40,6 +43,8 @@ auth.onAuthStateChanged(async user => {
         if (!map) {
             initMap();
         }
+
+        ChatCrypto.init(db, user).catch(err => console.error("Chat key setup failed:", err));
     } else {
         console.log("User signed out");
         loginOverlay.style.display = "flex";
@@ -49,6 +54,7 @@ auth.onAuthStateChanged(async user => {
         if (map) {
             map.remove();
             map = null;
+            relayPathLayer = null;
         }
     }
 });
@@ -81,6 +87,16 @@ async function handleLogin() {
     }
 }
 
+async function rotateChatKey() {
+    if (!confirm("Replace this browser's chat key? Devices encrypt new messages for the new key; earlier ones stay readable here.")) return;
+    try {
+        await ChatCrypto.rotateKey(db, auth.currentUser);
+    } catch (err) {
+        console.error("Chat key rotation failed:", err);
+        alert("Could not rotate the chat key.");
+    }
+}
+
 function handleLogout() {
     if (confirm("Are you sure you want to logout?")) {
         auth.signOut();
@@ -94,9 +110,9 @@ function showError(msg) {
 }
 
 /************* CONNECTION MONITOR *************/
-db.ref(".info/connected").on("value", (snap) => {
+backend.onConnectionChange((connected) => {
     const statusDot = document.getElementById("connectionStatus");
-    if (snap.val() === true) {
+    if (connected) {
         console.log("Connected to Firebase");
         if (statusDot) {
             statusDot.style.backgroundColor = "#16a34a"; // Green
@@ -215,9 +231,93 @@ function getMarkerOptions(priority, status) {
     };
 }
 
+/************* SENDER VERIFICATION *************/
+// Devices sign their mesh packets (ECDSA P-256). Relays upload the signed
+// canonical packet as `meshSignature`; we check it here and pin each
+// deviceId to the first key we see for it.
+const TRUSTED_KEYS_STORAGE = "mesh_trusted_keys";
+// Record fields the signature has to vouch for; anything else is relay metadata
+const SIGNED_SOS_FIELDS = ["lat", "lon", "time", "message", "userName"];
+
+// Firebase drops undefined fields, so missing and null compare equal
+function orNull(value) {
+    return value === undefined ? null : value;
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function verifySender(d) {
+    const proof = d.meshSignature;
+    if (!proof || !window.crypto || !crypto.subtle) {
+        return { state: "unverified", label: "Unverified sender" };
+    }
+
+    try {
+        const packet = JSON.parse(proof.canonical);
+        if (packet.senderId !== d.deviceId || (packet.payload && packet.payload.deviceId !== d.deviceId)) {
+            return { state: "invalid", label: "Signature for another device" };
+        }
+        // A valid signature over a different packet proves nothing about this record
+        const signed = packet.payload || {};
+        const altered = SIGNED_SOS_FIELDS.find(field => orNull(signed[field]) !== orNull(d[field]));
+        if (altered) {
+            return { state: "invalid", label: `Signed ${altered} does not match` };
+        }
+
+        const key = await crypto.subtle.importKey(
+            "raw", base64ToBytes(proof.publicKey), { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]
+        );
+        const valid = await crypto.subtle.verify(
+            { name: "ECDSA", hash: "SHA-256" }, key, base64ToBytes(proof.signature), new TextEncoder().encode(proof.canonical)
+        );
+        if (!valid) return { state: "invalid", label: "Invalid signature" };
+
+        const trusted = JSON.parse(localStorage.getItem(TRUSTED_KEYS_STORAGE) || "{}");
+        if (trusted[d.deviceId] && trusted[d.deviceId] !== proof.publicKey) {
+            return { state: "invalid", label: "Key changed for device" };
+        }
+        if (!trusted[d.deviceId]) {
+            trusted[d.deviceId] = proof.publicKey;
+            localStorage.setItem(TRUSTED_KEYS_STORAGE, JSON.stringify(trusted));
+        }
+
+        return { state: "verified", label: "✔ Verified sender" };
+    } catch (error) {
+        console.warn("Signature check failed:", error);
+        return { state: "invalid", label: "Invalid signature" };
+    }
+}
+
+function verificationBadge(k) {
+    const v = verification[k];
+    return v ? `<span class="verify-badge ${v.state}">${v.label}</span>` : "";
+}
+
+function renderVerification(k, d) {
+    const apply = () => {
+        const slot = document.getElementById(`verify-${k}`);
+        if (slot) slot.innerHTML = verificationBadge(k);
+        if (markers[k]) markers[k].setPopupContent(popupHTML(d, k));
+    };
+
+    const signature = d.meshSignature ? d.meshSignature.signature : null;
+    if (verification[k] && verification[k].signature === signature) {
+        apply();
+        return;
+    }
+
+    verifySender(d).then(result => {
+        verification[k] = { ...result, signature };
+        apply();
+    });
+}
+
 /************* MAIN LISTENER *************/
 function listenToSOS() {
-    sosRef.on("value", snap => {
+    backend.subscribe("sos", null, records => {
+        const entries = Object.entries(records || {});
         const activeList = document.getElementById("sosList");
         const archiveList = document.getElementById("archiveList");
 
@@ -226,17 +326,16 @@ function listenToSOS() {
 
         let pending = 0, rescued = 0, newestKey = null;
 
-        snap.forEach(c => {
-            if (c.val().time > lastSeenTime) {
-                lastSeenTime = c.val().time;
-                newestKey = c.key;
+        entries.forEach(([k, d]) => {
+            if (d.time > lastSeenTime) {
+                lastSeenTime = d.time;
+                newestKey = k;
             }
         });
 
-        snap.forEach(child => {
-            const d = child.val();
-            const k = child.key;
+        entries.forEach(([k, d]) => {
             const ai = d.ai_analysis || {};
+            sosRecords[k] = d;
 
             if (markers[k]) {
                 if (map) map.removeLayer(markers[k]);
@@ -267,9 +366,11 @@ function listenToSOS() {
             <div class="time">${new Date(d.time).toLocaleString()}</div>
             <div style="font-size:12px; color:#cbd5e1; margin-top:4px;">${d.message || 'Emergency SOS'}</div>
             ${ai.priority ? `<div style="font-size:10px; font-weight:bold; color:${priorityColor}; margin-top:4px; text-transform:uppercase;">${ai.priority} PRIORITY</div>` : ''}
+            <div id="verify-${k}">${verificationBadge(k)}</div>
             <div class="status-pending">Pending</div>
           `;
                 activeList.appendChild(card);
+                renderVerification(k, d);
 
             } else {
                 rescued++;
@@ -299,7 +400,7 @@ function listenToSOS() {
 
         /************* NEW SOS FLOW *************/
         if (newestKey && markers[newestKey]) {
-            const d = snap.child(newestKey).val();
+            const d = records[newestKey];
 
             // AI ANALYSIS
             if (!d.ai_analysis && d.status !== 'Rescued' && !analyzingKeys.has(newestKey)) {
@@ -308,7 +409,7 @@ function listenToSOS() {
 
                 analyzeSOSWithGemini(d).then(analysis => {
                     if (analysis) {
-                        sosRef.child(newestKey).update({ ai_analysis: analysis });
+                        backend.updateStatus(newestKey, { ai_analysis: analysis });
                     } else {
                         const msg = (d.message || "").toLowerCase();
                         let fallbackPriority = 'Medium';
@@ -325,7 +426,7 @@ function listenToSOS() {
                             fallbackAction = 'Dispatch assistance';
                         }
 
-                        sosRef.child(newestKey).update({
+                        backend.updateStatus(newestKey, {
                             ai_analysis: {
                                 priority: fallbackPriority,
                                 score: fallbackScore,
@@ -371,6 +472,7 @@ function popupHTML(d, k) {
     return `
     <div style="margin-bottom:8px; min-width: 200px; color: #333;">
       <b style="font-size:14px; color:#1e293b">${d.userName || d.deviceId}</b>
+      <div>${verificationBadge(k)}</div>
       <div style="font-size:12px; color:#475569; margin-top:4px;">${d.message || 'Emergency SOS'}</div>
       
       ${ai.priority ? `
@@ -383,6 +485,7 @@ function popupHTML(d, k) {
       </div>
       ` : ''}
 
+      ${relayPathHTML(d, k)}
     </div>
     <div style="display:flex; gap:8px; margin-top:8px">
       <button onclick="openChat('${d.deviceId}', '${d.userName || d.deviceId}')" 
@@ -397,61 +500,210 @@ function popupHTML(d, k) {
   `;
 }
 
+/************* RELAY PATH *************/
+// Relayed SOS records carry relayPath: [{ id, t, lat, lon }] from the first relay to the uploader
+// The path is added by relays and is not signed, so its ids are escaped before they reach the DOM
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function relayPathHTML(d, k) {
+    const path = d.relayPath || [];
+    if (path.length === 0) return "";
+
+    const hops = path.map(hop => `${escapeHTML(hop.id)} <span style="color:#94a3b8">${new Date(hop.t).toLocaleTimeString()}</span>`);
+    return `
+      <div style="margin-top:8px; font-size:11px; color:#475569;">
+        <b>Route (${path.length} relay${path.length > 1 ? "s" : ""}):</b><br>
+        ${escapeHTML(d.deviceId)} → ${hops.join(" → ")}
+        <div>
+          <a href="#" onclick="showRelayPath('${k}'); return false;" style="color:#2563eb; font-weight:600;">Show route on map</a>
+        </div>
+      </div>
+    `;
+}
+
+/**
+ * Draw the chain victim → relays → uploader through each relay's last known position
+ * Relays that had no position fix are listed in the popup but skipped on the line
+ */
+function showRelayPath(k) {
+    const d = sosRecords[k];
+    if (!map || !d) return;
+
+    clearRelayPath();
+    const placed = (d.relayPath || []).filter(hop => typeof hop.lat === "number" && typeof hop.lon === "number");
+    const points = [[d.lat, d.lon], ...placed.map(hop => [hop.lat, hop.lon])];
+
+    relayPathLayer = L.layerGroup().addTo(map);
+    const line = L.polyline(points, { color: "#2563eb", weight: 3, dashArray: "6 6" }).addTo(relayPathLayer);
+    placed.forEach((hop, i) => {
+        L.circleMarker([hop.lat, hop.lon], { radius: 5, color: "#2563eb", fillColor: "#ffffff", fillOpacity: 1, weight: 2 })
+            .bindTooltip(`${i + 1}. ${escapeHTML(hop.id)} · ${new Date(hop.t).toLocaleTimeString()}`)
+            .addTo(relayPathLayer);
+    });
+
+    if (placed.length > 0) {
+        map.fitBounds(line.getBounds(), { padding: [40, 40] });
+    }
+}
+
+function clearRelayPath() {
+    if (relayPathLayer) {
+        if (map) map.removeLayer(relayPathLayer);
+        relayPathLayer = null;
+    }
+}
+
 /************* CHAT LOGIC *************/
 let activeChatDeviceId = null;
-let chatListener = null;
+let chatListeners = []; // unsubscribe function per linked deviceId of the open chat
+
+function detachChatListeners() {
+    chatListeners.forEach(unsubscribe => unsubscribe());
+    chatListeners = [];
+}
 
-window.openChat = function (deviceId, userName) {
+/**
+ * Every deviceId of the account behind deviceId (devices link old IDs under device_links)
+ * Replies go to the ID the device uses now
+ */
+async function linkedDeviceIds(deviceId) {
+    const link = await db.ref(`device_links/${deviceId}`).once("value");
+    if (!link.exists()) return { current: deviceId, ids: [deviceId] };
+
+    const { uid, deviceId: current } = link.val();
+    const ids = new Set([current, deviceId]);
+    const siblings = await db.ref("device_links").orderByChild("uid").equalTo(uid).once("value");
+    siblings.forEach(child => {
+        ids.add(child.key);
+    });
+    return { current, ids: [...ids] };
+}
+
+window.openChat = async function (deviceId, userName) {
+    detachChatListeners();
     activeChatDeviceId = deviceId;
     const panel = document.getElementById("chatPanel");
     panel.style.display = "flex";
     document.getElementById("chatTitle").innerText = userName;
-    document.getElementById("chatSubtitle").innerText = `Device: ${deviceId}`;
+    setChatSubtitle(deviceId, null);
 
     const chatMessages = document.getElementById("chatMessages");
     chatMessages.innerHTML = "";
 
-    // Unsubscribe previous
-    if (chatListener) {
-        db.ref(`chats/${deviceId}`).off("value", chatListener);
+    let linked = { current: deviceId, ids: [deviceId] };
+    try {
+        linked = await linkedDeviceIds(deviceId);
+    } catch (err) {
+        console.warn("Could not resolve linked device IDs:", err);
     }
-
-    // Listen for messages
-    chatListener = db.ref(`chats/${deviceId}`).on("value", snap => {
+    if (activeChatDeviceId !== deviceId) return;
+    activeChatDeviceId = linked.current;
+
+    // Listen to every linked conversation; decryption is async, so a stale snapshot never overwrites a newer one
+    const decrypted = {}; // deviceId -> decrypted messages
+    const versions = {};
+    const render = () => {
+        const messages = Object.values(decrypted).flat();
         chatMessages.innerHTML = "";
-        const data = snap.val();
-        if (data) {
-            Object.values(data).sort((a, b) => a.time - b.time).forEach(msg => {
-                const div = document.createElement("div");
-                div.className = `msg ${msg.sender === 'user' ? 'msg-user' : 'msg-base'}`;
-                div.innerText = msg.text;
-                chatMessages.appendChild(div);
-            });
-            chatMessages.scrollTop = chatMessages.scrollHeight;
+        messages.sort((a, b) => a.time - b.time).forEach(msg => {
+            const div = document.createElement("div");
+            div.className = `msg ${msg.sender === 'user' ? 'msg-user' : 'msg-base'}`;
+            div.innerText = msg.text;
+            chatMessages.appendChild(div);
+        });
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+
+        if (messages.length > 0) {
+            setChatSubtitle(linked.current, messages.some(msg => msg.encrypted));
         }
+    };
+
+    linked.ids.forEach(id => {
+        chatListeners.push(backend.subscribe("chats", id, async data => {
+            const version = versions[id] = (versions[id] || 0) + 1;
+            // Messages are bound to the ID they were sent under
+            const messages = data
+                ? await Promise.all(Object.values(data).map(msg => ChatCrypto.decrypt(id, msg)))
+                : [];
+            if (version !== versions[id] || activeChatDeviceId !== linked.current) return;
+            decrypted[id] = messages;
+            render();
+        }));
+    });
+}
+
+function setChatSubtitle(deviceId, encrypted) {
+    let status = "";
+    if (encrypted === true) status = " · 🔒 End-to-end encrypted";
+    if (encrypted === false) status = " · ⚠ Not encrypted";
+    document.getElementById("chatSubtitle").innerText = `Device: ${deviceId}${status}`;
+}
+
+/**
+ * The device's chat key: published under chat_keys, else taken from its last encrypted message
+ */
+async function deviceChatKey(deviceId) {
+    const published = await db.ref(`chat_keys/${deviceId}`).once("value");
+    if (published.exists()) return published.val();
+
+    const messages = Object.values(await readOnce("chats", deviceId) || {}).sort((a, b) => a.time - b.time);
+    let deviceKey = null;
+    messages.forEach(msg => {
+        if (msg.sender === "user" && msg.enc) deviceKey = msg.enc.deviceKey;
+    });
+    return deviceKey;
+}
+
+/**
+ * Current value of a backend record, without staying subscribed
+ */
+function readOnce(collection, id) {
+    return new Promise(resolve => {
+        const unsubscribe = backend.subscribe(collection, id, value => {
+            setTimeout(() => unsubscribe()); // the first call can come before subscribe returns
+            resolve(value);
+        });
     });
 }
 
 window.closeChat = function () {
     document.getElementById("chatPanel").style.display = "none";
-    if (activeChatDeviceId && chatListener) {
-        db.ref(`chats/${activeChatDeviceId}`).off("value", chatListener);
-    }
+    detachChatListeners();
     activeChatDeviceId = null;
 }
 
-window.sendChatMessage = function () {
+window.sendChatMessage = async function () {
     const input = document.getElementById("chatInput");
     const text = input.value.trim();
-    if (!text || !activeChatDeviceId) return;
+    const deviceId = activeChatDeviceId;
+    if (!text || !deviceId) return;
+    input.value = "";
 
-    db.ref(`chats/${activeChatDeviceId}`).push({
+    const msg = {
         text: text,
         sender: 'base',
         time: Date.now()
-    });
+    };
 
-    input.value = "";
+    let outgoing = msg;
+    try {
+        const deviceKey = ChatCrypto.canEncrypt() ? await deviceChatKey(deviceId) : null;
+        outgoing = await ChatCrypto.encrypt(deviceId, deviceKey, msg);
+    } catch (err) {
+        console.error("Chat encryption failed:", err);
+    }
+
+    if (!outgoing.enc) {
+        console.warn(`Sending unencrypted reply to ${deviceId}`);
+        if (activeChatDeviceId === deviceId) setChatSubtitle(deviceId, false);
+    }
+
+    backend.appendChat(deviceId, outgoing);
 }
 
 window.handleChatKey = function (e) {
@@ -467,8 +719,15 @@ function markRescued(k) {
         delete markers[k];
     }
 
-    sosRef.child(k).update({
+    // responderAck is picked up by the relay that uploaded the SOS and flooded
+    // back to the victim's device as an SOS_ACK
+    backend.updateStatus(k, {
         status: "Rescued",
-        rescuedAt: Date.now()
+        rescuedAt: Date.now(),
+        responderAck: {
+            stage: "responder",
+            at: Date.now(),
+            by: auth.currentUser ? auth.currentUser.email : null
+        }
     });
 }
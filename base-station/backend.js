@@ -0,0 +1,154 @@
+/************* BACKEND ADAPTER *************/
+// Mirror of the mobile app's services/backend. SOS and chat records go through
+// one small interface so the dashboard can run against an in-memory store:
+//   putSOS(sosId, record)          create an SOS record or update the fields a device sends
+//                                  (status, rescuedAt, responderAck and ai_analysis are left alone)
+//   appendChat(deviceId, message)  add a chat message, resolves to its key
+//                                  (keyed by sender and time, so re-sending is harmless)
+//   updateStatus(sosId, changes)   merge fields into an SOS record
+//   commitBatch(writes)            apply [{ collection, id, key?, value }] in one update
+//   subscribe(collection, id, fn)  fn(value) now and on every change, returns unsubscribe
+//                                  collection "sos" (id null = every SOS) or "chats"
+//   onConnectionChange(fn)         fn(true|false) as the live connection comes and goes, returns unsubscribe
+// An SOS record without a status reads as Pending, as in the mobile app's readRecord
+
+const Backend = (() => {
+    const PATHS = { sos: "sos_messages", chats: "chats" };
+
+    function path(collection, id) {
+        if (!PATHS[collection]) throw new Error(`Unknown backend collection: ${collection}`);
+        return id ? `${PATHS[collection]}/${id}` : PATHS[collection];
+    }
+
+    // SOS fields only the control room writes, as in the mobile app's sosWrites
+    const CONTROL_ROOM_FIELDS = ["status", "rescuedAt", "responderAck", "ai_analysis"];
+
+    function sosWrites(sosId, record) {
+        return Object.keys(record)
+            .filter(field => record[field] !== undefined && !CONTROL_ROOM_FIELDS.includes(field))
+            .map(field => ({ collection: "sos", id: sosId, key: field, value: record[field] }));
+    }
+
+    // Uploads never write status, so a new SOS has none until the control room acts on it
+    const DEFAULT_SOS_STATUS = "Pending";
+
+    function readRecord(collection, id, value) {
+        if (collection !== "sos" || !value) return value;
+        const withStatus = record => ({ status: DEFAULT_SOS_STATUS, ...record });
+        if (id) return withStatus(value);
+        const records = {};
+        Object.keys(value).forEach(key => {
+            records[key] = withStatus(value[key]);
+        });
+        return records;
+    }
+
+    // Same key the mobile app uses for a chat message
+    function chatKey(message) {
+        return `${String(message.sender).replace(/[.#$/[\]]/g, "_")}_${message.time}`;
+    }
+
+    function firebaseBackend(db) {
+        return {
+            name: "firebase",
+            putSOS(sosId, record) {
+                return this.commitBatch(sosWrites(sosId, record));
+            },
+            appendChat(deviceId, message) {
+                const key = chatKey(message);
+                return db.ref(`${path("chats", deviceId)}/${key}`).set(message).then(() => key);
+            },
+            updateStatus: (sosId, changes) => db.ref(path("sos", sosId)).update(changes),
+            commitBatch(writes) {
+                const updates = {};
+                writes.forEach(({ collection, id, key, value }) => {
+                    updates[key ? `${path(collection, id)}/${key}` : path(collection, id)] = value;
+                });
+                return db.ref().update(updates);
+            },
+            subscribe(collection, id, listener) {
+                const ref = db.ref(path(collection, id));
+                const callback = ref.on("value", snap => listener(readRecord(collection, id, snap.val())));
+                return () => ref.off("value", callback);
+            },
+            onConnectionChange(listener) {
+                const ref = db.ref(".info/connected");
+                const callback = ref.on("value", snap => listener(snap.val() === true));
+                return () => ref.off("value", callback);
+            }
+        };
+    }
+
+    function memoryBackend(initial = {}) {
+        const copy = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+        const data = { sos: {}, chats: {}, ...copy(initial) };
+        const listeners = new Set();
+        const connectionListeners = new Set();
+        let connected = true;
+
+        function read(collection, id) {
+            const value = id ? data[collection][id] : data[collection];
+            if (value && typeof value === "object" && Object.keys(value).length === 0) return null;
+            return readRecord(collection, id, copy(value));
+        }
+
+        function deliver(entry) {
+            queueMicrotask(() => {
+                if (listeners.has(entry)) entry.listener(read(entry.collection, entry.id));
+            });
+        }
+
+        function changed(collection, id) {
+            listeners.forEach(entry => {
+                if (entry.collection === collection && (entry.id === null || entry.id === id)) deliver(entry);
+            });
+        }
+
+        return {
+            name: "memory",
+            data,
+            putSOS(sosId, record) {
+                return this.commitBatch(sosWrites(sosId, record));
+            },
+            async appendChat(deviceId, message) {
+                const key = chatKey(message);
+                data.chats[deviceId] = { ...data.chats[deviceId], [key]: copy(message) };
+                changed("chats", deviceId);
+                return key;
+            },
+            async updateStatus(sosId, changes) {
+                data.sos[sosId] = { ...data.sos[sosId], ...copy(changes) };
+                changed("sos", sosId);
+            },
+            async commitBatch(writes) {
+                writes.forEach(({ collection, id }) => path(collection, id));
+                const touched = new Map();
+                writes.forEach(({ collection, id, key, value }) => {
+                    data[collection][id] = key ? { ...data[collection][id], [key]: copy(value) } : copy(value);
+                    touched.set(`${collection}/${id}`, [collection, id]);
+                });
+                touched.forEach(([collection, id]) => changed(collection, id));
+            },
+            subscribe(collection, id, listener) {
+                path(collection, id);
+                const entry = { collection, id: id || null, listener };
+                listeners.add(entry);
+                deliver(entry);
+                return () => listeners.delete(entry);
+            },
+            onConnectionChange(listener) {
+                connectionListeners.add(listener);
+                queueMicrotask(() => {
+                    if (connectionListeners.has(listener)) listener(connected);
+                });
+                return () => connectionListeners.delete(listener);
+            },
+            setConnected(value) {
+                connected = value;
+                connectionListeners.forEach(listener => listener(connected));
+            }
+        };
+    }
+
+    return { firebase: firebaseBackend, memory: memoryBackend };
+})();
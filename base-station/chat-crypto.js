@@ -0,0 +1,264 @@
+/************* END-TO-END CHAT ENCRYPTION *************/
+// Mirror of the mobile app's ChatCryptoService. Every operator browser has its own
+// ECDH (P-256) keypair, generated non-extractable and kept in IndexedDB, and
+// publishes the public half at control_room/keys/{uid}/{keyId}. Only accounts listed
+// under control_room/operators may publish there (see database.rules.json).
+//
+// A message body is encrypted once under a random content key, and that key is
+// wrapped for each recipient with ECDH(sender, recipient) run through HKDF bound to
+// the deviceId. Devices write for every published operator key; operators write for
+// the device and every other operator, so each operator can read whole conversations.
+// Deleting an entry under control_room/keys cuts that browser off from new messages;
+// rotateKey() replaces this browser's key and keeps the old one to read history.
+//
+// Version 1 messages were encrypted for the single key at control_room/publicKey.
+// The browser that held it still reads them: its LocalStorage keypair moves into IndexedDB.
+
+const ChatCrypto = (() => {
+    const LEGACY_KEYPAIR_STORAGE = "control_room_chat_keypair";
+    const KEY_DB = "GoogleSOSControlRoom";
+    const KEY_STORE = "chatKeys";
+    const ECDH = { name: "ECDH", namedCurve: "P-256" };
+    const ENCRYPTION_VERSION = 2;
+
+    const toBase64 = buffer => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    const associatedData = (deviceId, sender, time) => new TextEncoder().encode(`${deviceId}|${sender}|${time}`);
+
+    let keys = [];          // { publicKey, privateKey, createdAt } this browser holds, newest last
+    let current = null;     // the one we publish and sign replies with
+    let operatorKeys = [];  // every published operator key
+    let publishedAs = null; // control_room/keys path of our entry
+    let owner = false;      // true once our key is published
+    let keysRef = null;
+    const conversationKeys = {};
+
+    /************* KEY STORE *************/
+    function openKeyDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(KEY_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE, { keyPath: "publicKey" });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function storedKeys() {
+        const keyDb = await openKeyDb();
+        return new Promise((resolve, reject) => {
+            const request = keyDb.transaction(KEY_STORE, "readonly").objectStore(KEY_STORE).getAll();
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.createdAt - b.createdAt));
+            request.onerror = () => reject(request.error);
+        }).finally(() => keyDb.close());
+    }
+
+    async function storeKey(record) {
+        const keyDb = await openKeyDb();
+        return new Promise((resolve, reject) => {
+            const transaction = keyDb.transaction(KEY_STORE, "readwrite");
+            transaction.objectStore(KEY_STORE).put(record);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }).finally(() => keyDb.close());
+    }
+
+    async function generateKey() {
+        const keyPair = await crypto.subtle.generateKey(ECDH, false, ["deriveBits"]);
+        const record = {
+            publicKey: toBase64(await crypto.subtle.exportKey("raw", keyPair.publicKey)),
+            privateKey: keyPair.privateKey,
+            createdAt: Date.now()
+        };
+        await storeKey(record);
+        return record;
+    }
+
+    /**
+     * The keypair earlier versions kept as a JWK in LocalStorage, imported non-extractable
+     */
+    async function importLegacyKey() {
+        const stored = localStorage.getItem(LEGACY_KEYPAIR_STORAGE);
+        if (!stored) return;
+
+        const jwk = JSON.parse(stored);
+        const publicKey = await crypto.subtle.importKey("jwk", jwk.publicKey, ECDH, true, []);
+        await storeKey({
+            publicKey: toBase64(await crypto.subtle.exportKey("raw", publicKey)),
+            privateKey: await crypto.subtle.importKey("jwk", jwk.privateKey, ECDH, false, ["deriveBits"]),
+            createdAt: 0
+        });
+        localStorage.removeItem(LEGACY_KEYPAIR_STORAGE);
+        console.log("Moved the control room chat key out of LocalStorage");
+    }
+
+    async function loadKeys() {
+        try {
+            await importLegacyKey();
+        } catch (error) {
+            console.warn("Could not move the old chat key out of LocalStorage:", error);
+        }
+
+        keys = await storedKeys();
+        if (keys.length === 0) keys = [await generateKey()];
+        current = keys[keys.length - 1];
+    }
+
+    async function keyId(publicKey) {
+        const digest = await crypto.subtle.digest("SHA-256", fromBase64(publicKey));
+        return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, "0")).join("");
+    }
+
+    async function publish(db, user) {
+        const path = `control_room/keys/${user.uid}/${await keyId(current.publicKey)}`;
+        await db.ref(path).set({ publicKey: current.publicKey, email: user.email, publishedAt: Date.now() });
+        publishedAs = path;
+        owner = true;
+    }
+
+    /**
+     * Load this browser's keys, publish the current one and follow every operator's
+     */
+    async function init(db, user) {
+        if (!window.crypto || !crypto.subtle || !window.indexedDB) {
+            console.warn("WebCrypto or IndexedDB unavailable - chats cannot be decrypted here");
+            return;
+        }
+
+        await loadKeys();
+
+        if (keysRef) keysRef.off();
+        keysRef = db.ref("control_room/keys");
+        keysRef.on("value", snap => {
+            const published = [];
+            snap.forEach(account => {
+                account.forEach(entry => {
+                    published.push(entry.val().publicKey);
+                });
+            });
+            operatorKeys = published;
+        });
+
+        try {
+            await publish(db, user);
+            console.log("Published control room chat key");
+        } catch (error) {
+            console.warn("Could not publish the chat key (is this account under control_room/operators?) - chats are read-only here", error);
+        }
+    }
+
+    /**
+     * Replace this browser's key; the old one stays in IndexedDB for earlier messages
+     */
+    async function rotateKey(db, user) {
+        const previous = publishedAs;
+        current = await generateKey();
+        keys.push(current);
+        await publish(db, user);
+        if (previous && previous !== publishedAs) await db.ref(previous).remove();
+        console.log("Rotated control room chat key");
+    }
+
+    /**
+     * AES-GCM key shared by one of our keys and a peer's: ECDH, then HKDF bound to the deviceId
+     */
+    async function conversationKey(deviceId, own, peerKey) {
+        const cacheKey = `${deviceId}:${own.publicKey}:${peerKey}`;
+        if (!conversationKeys[cacheKey]) {
+            const peer = await crypto.subtle.importKey("raw", fromBase64(peerKey), ECDH, false, []);
+            const secret = await crypto.subtle.deriveBits({ name: "ECDH", public: peer }, own.privateKey, 256);
+            const hkdfKey = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+            conversationKeys[cacheKey] = await crypto.subtle.deriveKey(
+                {
+                    name: "HKDF",
+                    hash: "SHA-256",
+                    salt: new Uint8Array(0),
+                    info: new TextEncoder().encode(`google-mesh-chat:${deviceId}`)
+                },
+                hkdfKey,
+                { name: "AES-GCM", length: 256 },
+                false,
+                ["encrypt", "decrypt"]
+            );
+        }
+        return conversationKeys[cacheKey];
+    }
+
+    const held = publicKey => keys.find(k => k.publicKey === publicKey);
+
+    /**
+     * The content key of a version 2 message, unwrapped with whichever of our keys it was sent to or from
+     */
+    async function contentKey(deviceId, enc, aad) {
+        const sender = held(enc.senderKey);
+        const entry = sender ? enc.recipients[0] : enc.recipients.find(r => held(r.key));
+        if (!entry) throw new Error("Not encrypted for any key this browser holds");
+
+        const own = sender || held(entry.key);
+        const peer = sender ? entry.key : enc.senderKey;
+        const wrapKey = await conversationKey(deviceId, own, peer);
+        const raw = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(entry.iv), additionalData: aad }, wrapKey, fromBase64(entry.wrapped));
+        return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["decrypt"]);
+    }
+
+    /**
+     * Decrypt a stored chat message; plaintext messages pass through
+     */
+    async function decrypt(deviceId, msg) {
+        if (!msg.enc) return { ...msg, encrypted: false };
+
+        const { enc, ...meta } = msg;
+        const aad = associatedData(deviceId, meta.sender, meta.time);
+        try {
+            let key;
+            if (enc.v === 1) {
+                const own = held(enc.controlKey);
+                if (!own) throw new Error("Encrypted for another control room key");
+                key = await conversationKey(deviceId, own, enc.deviceKey);
+            } else {
+                key = await contentKey(deviceId, enc, aad);
+            }
+            const plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(enc.iv), additionalData: aad }, key, fromBase64(enc.ciphertext));
+            return { ...meta, ...JSON.parse(new TextDecoder().decode(plaintext)), encrypted: true };
+        } catch (error) {
+            console.warn("Could not decrypt chat message:", error);
+            return { ...meta, text: "🔒 Unable to decrypt message", encrypted: true, undecryptable: true };
+        }
+    }
+
+    /**
+     * Encrypt a reply for a device and every other operator; returns the message unchanged if we can't
+     */
+    async function encrypt(deviceId, deviceKey, msg) {
+        if (!owner || !deviceKey) return msg;
+
+        const { sender, time, ...body } = msg;
+        const aad = associatedData(deviceId, sender, time);
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        const key = await crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt"]);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: aad }, key, new TextEncoder().encode(JSON.stringify(body)));
+
+        // The device first: our own copy is read back through the first recipient
+        const recipientKeys = [deviceKey, ...operatorKeys.filter(k => k !== current.publicKey && k !== deviceKey)];
+        const recipients = await Promise.all(recipientKeys.map(async recipientKey => {
+            const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+            const wrapKey = await conversationKey(deviceId, current, recipientKey);
+            const wrapped = await crypto.subtle.encrypt({ name: "AES-GCM", iv: wrapIv, additionalData: aad }, wrapKey, raw);
+            return { key: recipientKey, iv: toBase64(wrapIv), wrapped: toBase64(wrapped) };
+        }));
+
+        return {
+            sender,
+            time,
+            enc: {
+                v: ENCRYPTION_VERSION,
+                iv: toBase64(iv),
+                ciphertext: toBase64(ciphertext),
+                senderKey: current.publicKey,
+                recipients
+            }
+        };
+    }
+
+    return { init, rotateKey, decrypt, encrypt, canEncrypt: () => owner };
+})();
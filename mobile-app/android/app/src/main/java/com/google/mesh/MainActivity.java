@@ -1,5 +1,14 @@
 package com.google.mesh;
 
+import android.os.Bundle;
+
 import com.getcapacitor.BridgeActivity;
 
-public class MainActivity extends BridgeActivity {}
+public class MainActivity extends BridgeActivity {
+    @Override
+    public void onCreate(Bundle savedInstanceState) {
+        // Peripheral role for the BLE mesh (advertising + GATT server)
+        registerPlugin(MeshGattServerPlugin.class);
+        super.onCreate(savedInstanceState);
+    }
+}
@@ -0,0 +1,298 @@
+package com.google.mesh;
+
+import android.Manifest;
+import android.annotation.SuppressLint;
+import android.bluetooth.BluetoothAdapter;
+import android.bluetooth.BluetoothDevice;
+import android.bluetooth.BluetoothGatt;
+import android.bluetooth.BluetoothGattCharacteristic;
+import android.bluetooth.BluetoothGattDescriptor;
+import android.bluetooth.BluetoothGattServer;
+import android.bluetooth.BluetoothGattServerCallback;
+import android.bluetooth.BluetoothGattService;
+import android.bluetooth.BluetoothManager;
+import android.bluetooth.BluetoothProfile;
+import android.bluetooth.le.AdvertiseCallback;
+import android.bluetooth.le.AdvertiseData;
+import android.bluetooth.le.AdvertiseSettings;
+import android.bluetooth.le.BluetoothLeAdvertiser;
+import android.content.Context;
+import android.os.Build;
+import android.os.ParcelUuid;
+import android.util.Base64;
+
+import com.getcapacitor.JSObject;
+import com.getcapacitor.PermissionState;
+import com.getcapacitor.Plugin;
+import com.getcapacitor.PluginCall;
+import com.getcapacitor.PluginMethod;
+import com.getcapacitor.annotation.CapacitorPlugin;
+import com.getcapacitor.annotation.Permission;
+import com.getcapacitor.annotation.PermissionCallback;
+
+import java.util.ArrayDeque;
+import java.util.Arrays;
+import java.util.HashSet;
+import java.util.Set;
+import java.util.UUID;
+import java.util.concurrent.ConcurrentHashMap;
+
+/**
+ * MeshGattServer - Peripheral role of the BLE mesh (see src/services/mesh/gattServerBridge.js)
+ *
+ * @capacitor-community/bluetooth-le only acts as a central, so this plugin advertises
+ * the mesh service and hosts its characteristic. Writes from centrals are reported as
+ * "write" events; notify() sends a frame to every subscribed central, one frame at a time.
+ * Values cross the bridge as base64.
+ */
+@CapacitorPlugin(
+    name = "MeshGattServer",
+    permissions = {
+        @Permission(alias = "advertise", strings = { Manifest.permission.BLUETOOTH_ADVERTISE, Manifest.permission.BLUETOOTH_CONNECT })
+    }
+)
+@SuppressLint("MissingPermission")
+public class MeshGattServerPlugin extends Plugin {
+    private static final UUID CLIENT_CONFIG = UUID.fromString("00002902-0000-1000-8000-00805f9b34fb");
+
+    private BluetoothGattServer server;
+    private BluetoothGattCharacteristic characteristic;
+    private BluetoothLeAdvertiser advertiser;
+    private PluginCall pendingStart;
+    private UUID serviceUuid;
+
+    private final Set<BluetoothDevice> subscribers = ConcurrentHashMap.newKeySet();
+    private final Set<BluetoothDevice> awaitingSent = new HashSet<>();
+    private final ArrayDeque<PluginCall> notifyQueue = new ArrayDeque<>();
+
+    @PluginMethod
+    public void startAdvertising(PluginCall call) {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S && getPermissionState("advertise") != PermissionState.GRANTED) {
+            requestPermissionForAlias("advertise", call, "advertisePermissionCallback");
+            return;
+        }
+        start(call);
+    }
+
+    @PermissionCallback
+    private void advertisePermissionCallback(PluginCall call) {
+        if (getPermissionState("advertise") == PermissionState.GRANTED) {
+            start(call);
+        } else {
+            call.reject("Bluetooth advertise permission denied");
+        }
+    }
+
+    @PluginMethod
+    public void stopAdvertising(PluginCall call) {
+        stop();
+        call.resolve();
+    }
+
+    @PluginMethod
+    public void notify(PluginCall call) {
+        synchronized (notifyQueue) {
+            notifyQueue.add(call);
+            if (notifyQueue.size() == 1) sendNextNotification();
+        }
+    }
+
+    @Override
+    protected void handleOnDestroy() {
+        stop();
+    }
+
+    private void start(PluginCall call) {
+        String service = call.getString("service");
+        String characteristicUuid = call.getString("characteristic");
+        if (service == null || characteristicUuid == null) {
+            call.reject("service and characteristic are required");
+            return;
+        }
+
+        BluetoothManager manager = (BluetoothManager) getContext().getSystemService(Context.BLUETOOTH_SERVICE);
+        BluetoothAdapter adapter = manager == null ? null : manager.getAdapter();
+        if (adapter == null || !adapter.isEnabled()) {
+            call.reject("Bluetooth is off");
+            return;
+        }
+
+        stop();
+        advertiser = adapter.getBluetoothLeAdvertiser();
+        if (advertiser == null) {
+            call.reject("BLE advertising is not supported on this device");
+            return;
+        }
+
+        server = manager.openGattServer(getContext(), gattCallback);
+        if (server == null) {
+            call.reject("Could not open a GATT server");
+            return;
+        }
+
+        characteristic = new BluetoothGattCharacteristic(
+            UUID.fromString(characteristicUuid),
+            BluetoothGattCharacteristic.PROPERTY_WRITE_NO_RESPONSE | BluetoothGattCharacteristic.PROPERTY_WRITE | BluetoothGattCharacteristic.PROPERTY_NOTIFY,
+            BluetoothGattCharacteristic.PERMISSION_WRITE
+        );
+        characteristic.addDescriptor(new BluetoothGattDescriptor(
+            CLIENT_CONFIG,
+            BluetoothGattDescriptor.PERMISSION_READ | BluetoothGattDescriptor.PERMISSION_WRITE
+        ));
+
+        serviceUuid = UUID.fromString(service);
+        BluetoothGattService gattService = new BluetoothGattService(serviceUuid, BluetoothGattService.SERVICE_TYPE_PRIMARY);
+        gattService.addCharacteristic(characteristic);
+
+        // Advertising starts once the service is registered (onServiceAdded)
+        pendingStart = call;
+        server.addService(gattService);
+    }
+
+    private void advertise() {
+        AdvertiseSettings settings = new AdvertiseSettings.Builder()
+            .setAdvertiseMode(AdvertiseSettings.ADVERTISE_MODE_BALANCED)
+            .setTxPowerLevel(AdvertiseSettings.ADVERTISE_TX_POWER_MEDIUM)
+            .setConnectable(true)
+            .setTimeout(0)
+            .build();
+        AdvertiseData data = new AdvertiseData.Builder()
+            .setIncludeDeviceName(false)
+            .addServiceUuid(new ParcelUuid(serviceUuid))
+            .build();
+        advertiser.startAdvertising(settings, data, advertiseCallback);
+    }
+
+    private void stop() {
+        if (advertiser != null) {
+            advertiser.stopAdvertising(advertiseCallback);
+            advertiser = null;
+        }
+        if (server != null) {
+            server.close();
+            server = null;
+        }
+        subscribers.clear();
+        synchronized (notifyQueue) {
+            awaitingSent.clear();
+            for (PluginCall queued : notifyQueue) queued.reject("GATT server stopped");
+            notifyQueue.clear();
+        }
+    }
+
+    /**
+     * Send the frame at the head of the queue; the next one goes once every subscriber got it
+     */
+    private void sendNextNotification() {
+        PluginCall call = notifyQueue.peek();
+        if (call == null) return;
+
+        byte[] value = Base64.decode(call.getString("value", ""), Base64.NO_WRAP);
+        awaitingSent.clear();
+        for (BluetoothDevice device : subscribers) {
+            if (server != null && sendNotification(device, value)) awaitingSent.add(device);
+        }
+        if (awaitingSent.isEmpty()) finishNotification();
+    }
+
+    private void finishNotification() {
+        PluginCall call = notifyQueue.poll();
+        if (call != null) call.resolve();
+        sendNextNotification();
+    }
+
+    @SuppressWarnings("deprecation")
+    private boolean sendNotification(BluetoothDevice device, byte[] value) {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) {
+            return server.notifyCharacteristicChanged(device, characteristic, false, value) == BluetoothGatt.GATT_SUCCESS;
+        }
+        characteristic.setValue(value);
+        return server.notifyCharacteristicChanged(device, characteristic, false);
+    }
+
+    private void notificationDone(BluetoothDevice device) {
+        synchronized (notifyQueue) {
+            if (awaitingSent.remove(device) && awaitingSent.isEmpty()) finishNotification();
+        }
+    }
+
+    private final BluetoothGattServerCallback gattCallback = new BluetoothGattServerCallback() {
+        @Override
+        public void onServiceAdded(int status, BluetoothGattService service) {
+            if (pendingStart == null) return;
+            if (status == BluetoothGatt.GATT_SUCCESS) {
+                advertise();
+            } else {
+                pendingStart.reject("Could not add the mesh service (status " + status + ")");
+                pendingStart = null;
+            }
+        }
+
+        @Override
+        public void onConnectionStateChange(BluetoothDevice device, int status, int newState) {
+            if (newState == BluetoothProfile.STATE_DISCONNECTED) {
+                subscribers.remove(device);
+                notificationDone(device);
+            }
+        }
+
+        @Override
+        public void onCharacteristicWriteRequest(BluetoothDevice device, int requestId, BluetoothGattCharacteristic written,
+                                                 boolean preparedWrite, boolean responseNeeded, int offset, byte[] value) {
+            JSObject event = new JSObject();
+            event.put("address", device.getAddress());
+            event.put("value", Base64.encodeToString(value, Base64.NO_WRAP));
+            notifyListeners("write", event);
+
+            if (responseNeeded && server != null) {
+                server.sendResponse(device, requestId, BluetoothGatt.GATT_SUCCESS, 0, null);
+            }
+        }
+
+        @Override
+        public void onDescriptorWriteRequest(BluetoothDevice device, int requestId, BluetoothGattDescriptor descriptor,
+                                             boolean preparedWrite, boolean responseNeeded, int offset, byte[] value) {
+            if (CLIENT_CONFIG.equals(descriptor.getUuid())) {
+                if (Arrays.equals(value, BluetoothGattDescriptor.ENABLE_NOTIFICATION_VALUE)) {
+                    subscribers.add(device);
+                } else {
+                    subscribers.remove(device);
+                }
+            }
+            if (responseNeeded && server != null) {
+                server.sendResponse(device, requestId, BluetoothGatt.GATT_SUCCESS, 0, null);
+            }
+        }
+
+        @Override
+        public void onDescriptorReadRequest(BluetoothDevice device, int requestId, int offset, BluetoothGattDescriptor descriptor) {
+            byte[] value = subscribers.contains(device)
+                ? BluetoothGattDescriptor.ENABLE_NOTIFICATION_VALUE
+                : BluetoothGattDescriptor.DISABLE_NOTIFICATION_VALUE;
+            if (server != null) server.sendResponse(device, requestId, BluetoothGatt.GATT_SUCCESS, 0, value);
+        }
+
+        @Override
+        public void onNotificationSent(BluetoothDevice device, int status) {
+            notificationDone(device);
+        }
+    };
+
+    private final AdvertiseCallback advertiseCallback = new AdvertiseCallback() {
+        @Override
+        public void onStartSuccess(AdvertiseSettings settingsInEffect) {
+            if (pendingStart != null) {
+                pendingStart.resolve();
+                pendingStart = null;
+            }
+        }
+
+        @Override
+        public void onStartFailure(int errorCode) {
+            if (pendingStart != null) {
+                pendingStart.reject("Advertising failed (error " + errorCode + ")");
+                pendingStart = null;
+            }
+        }
+    };
+}
@@ -1,8 +1,8 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ShieldAlert, MapPin, Smartphone, CheckCircle2, AlertTriangle, Wifi, WifiOff, MessageSquare, User, Radio, Sun, Moon, Share2, CloudOff, CloudUpload, Mail, RotateCw } from 'lucide-react';
 import { initializeApp } from 'firebase/app';
-import { getDatabase, ref, push, set, onValue } from 'firebase/database';
+import { getDatabase, ref, onValue } from 'firebase/database';
 import { getAuth, onAuthStateChanged, sendEmailVerification } from 'firebase/auth';
 import { Geolocation } from '@capacitor/geolocation';
 import { BleClient } from '@capacitor-community/bluetooth-le';
@@ -11,27 +11,51 @@ import { BleClient } from '@capacitor-community/bluetooth-le';
 import NearbyConnectionsService from './services/NearbyConnectionsService';
 import OfflineStorageService from './services/OfflineStorageService';
 import SyncManager from './services/SyncManager';
+import ConnectivityMonitor from './services/ConnectivityMonitor';
+import FirebaseBackend from './services/backend/FirebaseBackend';
+import TileCacheService from './services/TileCacheService';
+import { chatKey } from './services/backend/paths';
+import { withTimeout } from './services/backend/timeout';
+import { quantizeCoordinate } from './services/mesh/wireFormat';
+import deviceIdentity from './services/DeviceIdentityService';
+import chatCrypto from './services/ChatCryptoService';
 
 // Components
 import Profile from './components/Profile';
 import Messages from './components/Messages';
+import Diagnostics from './components/Diagnostics';
+import OfflineMap from './components/OfflineMap';
 import Login from './components/Login';
 import Signup from './components/Signup';
 
-// Firebase configuration
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  databaseURL: import.meta.env.VITE_FIREBASE_DATABASE_URL,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID
-};
+import firebaseConfig from './firebaseConfig';
+import { onUpdateAvailable, applyUpdate, onWorkerSyncEvent } from './serviceWorkerRegistration';
+
+// SOS delivery stages, in the order they are reached
+const DELIVERY_STAGES = [
+  { key: 'queued', label: 'Queued' },
+  { key: 'relayed', label: 'Relayed' },
+  { key: 'cloud', label: 'In Cloud' },
+  { key: 'responder', label: 'Responder' }
+];
+
+const MESH_SOS_MAX_AGE = 60 * 60 * 1000; // mesh SOS markers older than an hour are dropped from the map
+
+// Map marker list with this SOS as the latest from its device
+const addMeshSOS = (markers, payload, hops) => [
+  ...markers.filter(sos => sos.id !== payload.deviceId && Date.now() - sos.time < MESH_SOS_MAX_AGE),
+  { id: payload.deviceId, lat: payload.lat, lon: payload.lon, userName: payload.userName, message: payload.message, hops, time: payload.time }
+];
 
 const app = initializeApp(firebaseConfig);
 const db = getDatabase(app);
+const backend = new FirebaseBackend(db); // SOS and chat records; profiles and keys still use db directly
+// Shared view of whether the cloud is really reachable; a 401 from the REST API still proves it is
+const connectivity = new ConnectivityMonitor(backend, {
+  probeUrl: firebaseConfig.databaseURL ? `${firebaseConfig.databaseURL}/.json?shallow=true` : null
+});
 export const auth = getAuth(app);
+const tileCache = new TileCacheService(); // offline map tiles, shared across remounts of the map
 
 function App() {
   const [user, setUser] = useState(null);
@@ -40,23 +64,40 @@ function App() {
   const [activeTab, setActiveTab] = useState('sos');
   const [location, setLocation] = useState({ lat: null, lon: null, error: null });
   const [status, setStatus] = useState('idle');
-  const [deviceId] = useState(() => `GOS-${Math.random().toString(36).substr(2, 6).toUpperCase()}`);
-  const [online, setOnline] = useState(navigator.onLine);
+  const [deviceId, setDeviceId] = useState(null); // persisted per account, see DeviceIdentityService
+  const [connection, setConnection] = useState(() => connectivity.getState()); // see ConnectivityMonitor
+  const online = connection.status !== 'offline';
   const [theme, setTheme] = useState(() => localStorage.getItem('google_sos_theme') || 'light');
   const [meshRelayActive, setMeshRelayActive] = useState(false);
   const [shareStatus, setShareStatus] = useState('idle');
   const [nearbyEmergency, setNearbyEmergency] = useState(null);
   const [syncStatus, setSyncStatus] = useState({ syncing: false, pending: 0 });
+  const [deadLetters, setDeadLetters] = useState([]); // uploads that ran out of retries
   const [sosMessage, setSosMessage] = useState('');
   const [permissionsGranted, setPermissionsGranted] = useState({ location: false, bluetooth: false });
   const [locationServiceEnabled, setLocationServiceEnabled] = useState(false);
   const [showPermissionOverlay, setShowPermissionOverlay] = useState(true);
+  const [meshNeighbors, setMeshNeighbors] = useState({ neighbors: [], total: 0, withInternet: 0 });
+  const [meshSOS, setMeshSOS] = useState([]); // latest SOS heard over the mesh from each other device, for the map
+  const [delivery, setDelivery] = useState(null); // { sosId, stage, rescued } of our latest SOS
+  const [updateAvailable, setUpdateAvailable] = useState(false); // a newer build is installed and waiting
 
 
   // Service refs
   const nearbyService = useRef(null);
   const offlineStorage = useRef(null);
   const syncManager = useRef(null);
+  const responderWatches = useRef(new Map());
+  const chatListeners = useRef(new Set());
+
+  // Mesh chat for the Messages tab; created once so its subscription doesn't churn
+  const [meshChat] = useState(() => ({
+    subscribe: (listener) => {
+      chatListeners.current.add(listener);
+      return () => chatListeners.current.delete(listener);
+    },
+    send: (payload) => nearbyService.current?.broadcastChat(payload)
+  }));
 
   // Listen for Auth State Changes (Real-time)
   useEffect(() => {
@@ -72,6 +113,15 @@ function App() {
         setUser(userData);
         localStorage.setItem('sos_current_user', JSON.stringify(userData));
 
+        // Restore this account's deviceId, then link any IDs it used before
+        deviceIdentity.load(firebaseUser.uid)
+          .then(async (identity) => {
+            setDeviceId(identity.deviceId);
+            await chatCrypto.ready;
+            await deviceIdentity.linkPreviousIds(db, chatCrypto.publicKey);
+          })
+          .catch(err => console.error('[App] Device identity failed:', err));
+
         // Fetch full profile from RTDB
         const profileRef = ref(db, `users/${firebaseUser.uid}`);
         profileUnsubscribe = onValue(profileRef, (snapshot) => {
@@ -88,6 +138,7 @@ function App() {
         if (profileUnsubscribe) profileUnsubscribe();
         setUser(null);
         setUserProfile(null);
+        setDeviceId(null);
         localStorage.removeItem('sos_current_user');
         localStorage.removeItem('sos_user_profile');
       }
@@ -98,20 +149,77 @@ function App() {
     };
   }, []);
 
+  // Move our SOS delivery indicator forward (never backwards)
+  const advanceDelivery = useCallback((sosId, stage) => {
+    const order = DELIVERY_STAGES.map(s => s.key);
+    setDelivery(prev => {
+      if (!prev || prev.sosId !== sosId) return prev;
+      return order.indexOf(stage) > order.indexOf(prev.stage) ? { ...prev, stage } : prev;
+    });
+  }, []);
+
+  // Reflect a synced copy of one of our SOS records in the delivery indicator
+  const applySOSRecord = useCallback((sosId, record) => {
+    if (record.responderAck) advanceDelivery(sosId, 'responder');
+    if (record.status === 'Rescued') {
+      setDelivery(prev => (prev?.sosId === sosId ? { ...prev, rescued: true } : prev));
+    }
+  }, [advanceDelivery]);
+
+  // Pick up our latest SOS from offline storage, so an answer received before a
+  // restart or connection loss still shows
+  const restoreDelivery = useCallback(async () => {
+    const records = await offlineStorage.current.getRemoteRecords('sos');
+    const latest = records
+      .filter(record => record.value?.deviceId === deviceId)
+      .sort((a, b) => b.value.time - a.value.time)[0];
+    if (!latest) return;
+
+    setDelivery(prev => prev || { sosId: latest.id, stage: 'cloud' });
+    applySOSRecord(latest.id, latest.value);
+  }, [deviceId, applySOSRecord]);
+
   // Initialize services
   useEffect(() => {
-    if (!user) return; // Only init services if logged in
+    if (!user || !deviceId) return; // Only init services once logged in with an identity
 
     // Initialize services
-    nearbyService.current = new NearbyConnectionsService(deviceId);
     offlineStorage.current = new OfflineStorageService();
-    syncManager.current = new SyncManager(db, offlineStorage.current);
+    nearbyService.current = new NearbyConnectionsService(deviceId, { custodyStore: offlineStorage.current });
+    syncManager.current = new SyncManager(backend, offlineStorage.current, connectivity);
 
     // Listen for mesh messages
     const unsubscribe = nearbyService.current.onMessage(handleMeshMessage);
 
     // Listen for sync events
     const unsubscribeSync = syncManager.current.onSyncEvent(handleSyncEvent);
+    // The service worker drains the same queue in the background and reports what it uploaded
+    const unsubscribeWorkerSync = onWorkerSyncEvent((event) => {
+      handleSyncEvent(event);
+      updateStorageStats();
+    });
+
+    // Mirror replies and our SOS status locally, and show where our last SOS got to
+    syncManager.current.followDevice(deviceId).then(restoreDelivery).catch(err => {
+      console.warn('[App] Could not restore synced records:', err);
+    });
+
+    const watches = responderWatches.current;
+
+    // Put SOS heard over the mesh in the last hour back on the map
+    const meshSince = Date.now() - MESH_SOS_MAX_AGE;
+    offlineStorage.current.pruneMeshMessages(meshSince)
+      .then(() => offlineStorage.current.getMeshMessages('SOS_BROADCAST', meshSince))
+      .then(records => setMeshSOS(prev => {
+        const restored = records.reduce((markers, record) => addMeshSOS(markers, record.payload, record.hops), []);
+        return [...restored.filter(sos => !prev.some(live => live.id === sos.id)), ...prev]; // live markers are newer
+      }))
+      .catch(err => console.warn('[App] Could not restore mesh SOS:', err));
+
+    // Track nearby devices from mesh beacons
+    const unsubscribeNeighbors = nearbyService.current.onNeighborsChange(({ neighbors, total, withInternet }) => {
+      setMeshNeighbors({ neighbors, total, withInternet });
+    });
 
     // Update storage stats
     updateStorageStats();
@@ -119,11 +227,23 @@ function App() {
     return () => {
       unsubscribe();
       unsubscribeSync();
+      unsubscribeWorkerSync();
+      unsubscribeNeighbors();
+      watches.forEach(stop => stop());
+      watches.clear();
       nearbyService.current?.destroy();
       offlineStorage.current?.destroy();
       syncManager.current?.destroy();
     };
-  }, [deviceId, user]);
+  }, [deviceId, user, restoreDelivery]);
+
+  // Keep our mesh beacons in sync with uplink status and position
+  useEffect(() => {
+    nearbyService.current?.setPresence({
+      online,
+      position: location.lat && location.lon ? { lat: location.lat, lon: location.lon } : null
+    });
+  }, [online, location.lat, location.lon, user, deviceId]);
 
   const handleLogin = (userData) => {
     // Handled by onAuthStateChanged
@@ -165,8 +285,25 @@ function App() {
     }
   };
 
-  const handleMeshMessage = async ({ type, payload, hops, senderId }) => {
+  const handleMeshMessage = async ({ type, payload, hops, senderId, proof, path }) => {
+    if (type === 'SOS_ACK') {
+      if (payload.originId === deviceId) advanceDelivery(payload.sosId, payload.stage);
+      return;
+    }
+
+    if (type === 'CHAT_BROADCAST') {
+      chatListeners.current.forEach(listener => listener(payload));
+      if (payload.deviceId !== deviceId) relayChat(payload);
+      return;
+    }
+
     if (type === 'SOS_BROADCAST') {
+      if (payload.deviceId !== deviceId) {
+        setMeshSOS(prev => addMeshSOS(prev, payload, hops));
+        offlineStorage.current?.saveMeshMessage({ messageId: `${payload.deviceId}-${payload.time}`, type, payload, hops })
+          .catch(err => console.warn('[App] Could not keep mesh SOS:', err));
+      }
+
       // Check if nearby emergency
       if (location.lat && location.lon) {
         const dist = getDistance(location.lat, location.lon, payload.lat, payload.lon);
@@ -176,54 +313,141 @@ function App() {
         }
       }
 
+      // Relays the packet passed through, ending with us as the uploader
+      const relayPath = nearbyService.current?.extendPath(path, senderId) || [];
+      const msgId = `${payload.deviceId}-${payload.time}`;
+
+      // Asked now rather than read from state: this handler lives as long as the services
+      const isOnline = connectivity.isOnline();
+      let queue = !isOnline;
+
       // If we're online and sender was offline, relay to cloud
-      if (online && !payload.alreadyUploaded) {
+      if (isOnline && !payload.alreadyUploaded) {
         setMeshRelayActive(true);
         try {
-          const msgId = `${payload.deviceId}-${payload.time}`;
-          await set(ref(db, `sos_messages/${msgId}`), {
+          await withTimeout(backend.putSOS(msgId, {
             ...payload,
             relayedBy: deviceId,
             relayTime: Date.now(),
-            hops
-          });
+            hops,
+            relayPath,
+            meshSignature: proof
+          }), `Relay of ${msgId}`);
           console.log('[App] Relayed SOS to cloud');
+          nearbyService.current?.broadcastAck({ sosId: msgId, originId: payload.deviceId, stage: 'cloud' });
+          watchForResponder(msgId, payload.deviceId);
         } catch (err) {
-          console.error('[App] Cloud relay failed:', err);
+          console.error('[App] Cloud relay failed, queueing it:', err);
+          queue = true;
         }
         setTimeout(() => setMeshRelayActive(false), 3000);
-      } else if (!online) {
+      }
+
+      if (queue) {
         // Store for later sync
-        await offlineStorage.current.storeMessage({
-          type,
-          payload,
-          messageId: `${payload.deviceId}-${payload.time}`
-        });
+        try {
+          await offlineStorage.current.storeMessage({
+            type,
+            payload: { ...payload, relayPath, meshSignature: proof },
+            messageId: msgId
+          });
+        } catch (err) {
+          // Already queued (heard again, e.g. from a custodian after a restart): still ours to relay
+          if (err?.name !== 'ConstraintError') {
+            console.error('[App] Could not queue relayed SOS:', err);
+            return;
+          }
+        }
+        nearbyService.current?.broadcastAck({ sosId: msgId, originId: payload.deviceId, stage: 'relayed' });
         updateStorageStats();
       }
     }
   };
 
+  // Carry another device's chat message to the control room, as with its SOS
+  const relayChat = async (payload) => {
+    if (connectivity.isOnline()) {
+      try {
+        await withTimeout(backend.appendChat(payload.deviceId, payload.msg), 'Chat relay');
+        console.log('[App] Relayed chat to cloud');
+        return;
+      } catch (err) {
+        console.warn('[App] Chat relay failed, queueing it:', err);
+      }
+    }
+
+    try {
+      await offlineStorage.current.storeMessage({
+        type: 'CHAT_BROADCAST',
+        payload,
+        messageId: `chat_${payload.deviceId}_${chatKey(payload.msg)}`
+      });
+      updateStorageStats();
+    } catch (err) {
+      if (err?.name !== 'ConstraintError') console.warn('[App] Could not queue relayed chat:', err); // already queued
+    }
+  };
+
   const handleSyncEvent = (event) => {
     if (event.type === 'sync_start') {
       setSyncStatus(prev => ({ ...prev, syncing: true }));
     } else if (event.type === 'sync_complete') {
       setSyncStatus({ syncing: false, pending: 0 });
       updateStorageStats();
-    } else if (event.type === 'online') {
-      setOnline(true);
-    } else if (event.type === 'offline') {
-      setOnline(false);
+    } else if (event.type === 'message_uploaded' && event.messageType === 'SOS_BROADCAST') {
+      const originId = event.payload.deviceId;
+      if (originId === deviceId) {
+        advanceDelivery(event.messageId, 'cloud');
+        nearbyService.current?.releaseCustody(event.messageId);
+      } else {
+        nearbyService.current?.broadcastAck({ sosId: event.messageId, originId, stage: 'cloud' });
+      }
+      watchForResponder(event.messageId, originId);
+    } else if (event.type === 'remote_update' && event.collection === 'sos') {
+      applySOSRecord(event.id, event.value);
+    } else if (event.type === 'sync_failed_permanently') {
+      console.warn(`[App] Upload of ${event.messageId} failed permanently: ${event.error}`);
+      updateStorageStats();
     }
   };
 
+  // Wait for the control room to acknowledge an SOS we put in the cloud,
+  // then tell the originator (or ourselves) over the mesh
+  const watchForResponder = (sosId, originId) => {
+    if (responderWatches.current.has(sosId)) return;
+
+    let done = false;
+    const unsubscribe = backend.subscribe('sos', sosId, (record) => {
+      if (done || !record?.responderAck) return;
+      done = true;
+
+      if (originId === deviceId) {
+        advanceDelivery(sosId, 'responder');
+      } else {
+        nearbyService.current?.broadcastAck({ sosId, originId, stage: 'responder' });
+      }
+
+      setTimeout(() => {
+        responderWatches.current.get(sosId)?.();
+        responderWatches.current.delete(sosId);
+      });
+    });
+    responderWatches.current.set(sosId, unsubscribe);
+  };
+
   const updateStorageStats = async () => {
     if (offlineStorage.current) {
       const stats = await offlineStorage.current.getStats();
       setSyncStatus(prev => ({ ...prev, pending: stats.pendingCount }));
+      setDeadLetters(stats.deadLetterCount > 0 ? await offlineStorage.current.getDeadLetters() : []);
     }
   };
 
+  const resendDeadLetter = async (messageId) => {
+    await syncManager.current?.resendDeadLetter(messageId);
+    updateStorageStats();
+  };
+
   const getDistance = (lat1, lon1, lat2, lon2) => {
     const R = 6371e3;
     const φ1 = lat1 * Math.PI / 180;
@@ -255,15 +479,11 @@ function App() {
     localStorage.setItem('google_sos_theme', theme);
   }, [theme]);
 
+  useEffect(() => onUpdateAvailable(setUpdateAvailable), []);
+
   useEffect(() => {
-    const handleOnline = () => setOnline(true);
-    const handleOffline = () => setOnline(false);
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
-    return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
-    };
+    connectivity.start();
+    return connectivity.subscribe(state => setConnection(state));
   }, []);
 
   const [geoStatus, setGeoStatus] = useState('initializing'); // 'initializing', 'requesting', 'denied', 'unavailable', 'active'
@@ -433,7 +653,7 @@ function App() {
   }, [user]);
 
   const sendSOS = async () => {
-    if (status === 'sending') return;
+    if (status === 'sending' || !deviceId) return;
     if (!location.lat || !location.lon) {
       setStatus('error');
       setTimeout(() => setStatus('idle'), 3000);
@@ -443,8 +663,9 @@ function App() {
     const payload = {
       deviceId,
       userName: user?.displayName || user?.fullName || deviceId || 'Unknown User',
-      lat: location.lat,
-      lon: location.lon,
+      // Same precision as the signed mesh packet, so the control room can match the two
+      lat: quantizeCoordinate(location.lat),
+      lon: quantizeCoordinate(location.lon),
       time: Date.now(),
       status: 'Pending',
       message: sosMessage || 'Emergency SOS',
@@ -453,17 +674,36 @@ function App() {
 
     const msgId = `${deviceId}-${payload.time}`;
     console.log('[SOS] Sending SOS:', msgId, payload);
+
+    // Nowhere to keep it for a later upload: say so, and keep the message for another try
+    const failUnsaved = () => {
+      setStatus('unsaved');
+      setTimeout(() => setStatus('idle'), 5000);
+      updateStorageStats();
+    };
     setStatus('sending');
+    setDelivery({ sosId: msgId, stage: 'queued' });
+    syncManager.current?.follow('sos', msgId);
 
-    // Broadcast to mesh network
-    nearbyService.current.broadcastSOS(payload);
+    // Broadcast to mesh network, keeping the signature so the control room can verify us
+    let meshSignature = null;
+    try {
+      const meshId = await nearbyService.current.broadcastSOS(payload);
+      meshSignature = nearbyService.current.getProof(meshId);
+    } catch (err) {
+      console.error('[SOS] Mesh broadcast failed:', err);
+    }
 
     if (online) {
       // Upload directly to Firebase
       try {
         console.log('[SOS] Uploading to Firebase...');
-        await set(ref(db, `sos_messages/${msgId}`), { ...payload, alreadyUploaded: true });
+        // A degraded link can leave the write pending for good; queue it instead
+        await withTimeout(backend.putSOS(msgId, { ...payload, alreadyUploaded: true, meshSignature }), `Upload of ${msgId}`);
         console.log('[SOS] Upload successful!');
+        advanceDelivery(msgId, 'cloud');
+        nearbyService.current?.releaseCustody(msgId);
+        watchForResponder(msgId, deviceId);
         setStatus('success');
         setSosMessage('');
         setTimeout(() => setStatus('idle'), 5000);
@@ -473,12 +713,14 @@ function App() {
         try {
           await offlineStorage.current.storeMessage({
             type: 'SOS_BROADCAST',
-            payload,
+            payload: { ...payload, meshSignature },
             messageId: msgId
           });
           console.log('[SOS] Stored offline for later sync');
         } catch (storeErr) {
           console.error('[SOS] Offline storage also failed:', storeErr);
+          failUnsaved();
+          return;
         }
         setStatus('success');
         setTimeout(() => setStatus('idle'), 5000);
@@ -490,12 +732,14 @@ function App() {
       try {
         await offlineStorage.current.storeMessage({
           type: 'SOS_BROADCAST',
-          payload,
+          payload: { ...payload, meshSignature },
           messageId: msgId
         });
         console.log('[SOS] Stored offline successfully');
       } catch (err) {
         console.error('[SOS] Offline storage failed:', err);
+        failUnsaved();
+        return;
       }
       setStatus('success');
       setSosMessage('');
@@ -722,9 +966,12 @@ function App() {
             </div>
           </div>
           <div className="flex items-center gap-2">
-            <div className={online ? 'status-online' : 'status-offline'}>
+            <div
+              className={{ online: 'status-online', degraded: 'status-pending', offline: 'status-offline' }[connection.status]}
+              title={connection.latency != null ? `${connection.latency} ms to server` : undefined}
+            >
               <div className={`w-2 h-2 rounded-full ${online ? 'bg-current animate-pulse' : 'bg-current'}`} />
-              {online ? 'ONLINE' : 'OFFLINE'}
+              {connection.status.toUpperCase()}
             </div>
             <button
               onClick={() => auth.signOut()}
@@ -752,6 +999,23 @@ function App() {
             </div>
           </div>
         </div>
+
+        {updateAvailable && (
+          <div className="google-card flex items-center justify-between gap-3" style={{ borderLeft: '4px solid var(--google-blue)' }}>
+            <div>
+              <p className="text-google-label" style={{ color: 'var(--md-on-surface-variant)' }}>Update Available</p>
+              <p className="text-xs font-medium" style={{ color: 'var(--md-on-surface)' }}>Reload to use the latest version</p>
+            </div>
+            <button
+              onClick={applyUpdate}
+              disabled={status === 'sending'}
+              className="flex items-center gap-1 text-xs font-bold shrink-0 disabled:opacity-40"
+              style={{ color: 'var(--google-blue)' }}
+            >
+              <RotateCw className="w-3 h-3" /> Reload
+            </button>
+          </div>
+        )}
       </header>
 
       <main className="flex-1 w-full flex flex-col items-center justify-start max-w-md relative">
@@ -793,6 +1057,13 @@ function App() {
                         <span className="text-sm font-black uppercase tracking-[0.3em]">GPS Error</span>
                       </motion.div>
                     )}
+                    {status === 'unsaved' && (
+                      <motion.div key="unsaved" initial={{ opacity: 0, scale: 0.5 }} animate={{ opacity: 1, scale: 1 }} exit={{ opacity: 0, scale: 0.5 }} className="flex flex-col items-center">
+                        <AlertTriangle className="w-20 h-20 mb-6" />
+                        <span className="text-sm font-black uppercase tracking-[0.3em]">Not Saved</span>
+                        <span className="text-[10px] font-bold mt-2">Tap to try again</span>
+                      </motion.div>
+                    )}
                   </AnimatePresence>
                 </motion.button>
               </div>
@@ -843,12 +1114,37 @@ function App() {
                     <div>
                       <p className="text-google-label" style={{ color: 'var(--md-on-surface-variant)' }}>Mesh Network</p>
                       <p className="text-xs font-medium" style={{ color: 'var(--md-on-surface)' }}>{meshRelayActive ? 'Relaying Messages' : 'Listening'}</p>
+                      <p className="text-[10px] font-mono" style={{ color: 'var(--md-on-surface-variant)' }}>
+                        {meshNeighbors.total} device{meshNeighbors.total === 1 ? '' : 's'} nearby, {meshNeighbors.withInternet} with internet
+                      </p>
                     </div>
                   </div>
                   <Radio className="w-6 h-6" style={{ color: meshRelayActive ? 'var(--google-green)' : 'var(--md-on-surface-variant)' }} />
                 </div>
               </div>
 
+              {delivery && (
+                <div className="w-full google-card mt-4">
+                  <p className="text-google-label mb-3" style={{ color: 'var(--md-on-surface-variant)' }}>SOS Delivery</p>
+                  <div className="flex items-start justify-between gap-2">
+                    {DELIVERY_STAGES.map((stage, index) => {
+                      const reached = index <= DELIVERY_STAGES.findIndex(s => s.key === delivery.stage);
+                      return (
+                        <div key={stage.key} className="flex-1 flex flex-col items-center gap-1">
+                          <CheckCircle2 className="w-5 h-5" style={{ color: reached ? 'var(--google-green)' : 'var(--md-on-surface-variant)', opacity: reached ? 1 : 0.4 }} />
+                          <span className="text-[9px] font-black uppercase tracking-wider text-center" style={{ color: reached ? 'var(--md-on-surface)' : 'var(--md-on-surface-variant)' }}>{stage.label}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {delivery.stage === 'responder' && (
+                    <p className="text-xs font-bold mt-3 text-center" style={{ color: 'var(--google-green)' }}>
+                      {delivery.rescued ? 'Marked as rescued' : 'Help is on the way'}
+                    </p>
+                  )}
+                </div>
+              )}
+
               {syncStatus.pending > 0 && (
                 <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="w-full google-card mt-4" style={{ borderLeft: '4px solid var(--google-yellow)' }}>
                   <div className="flex items-center justify-between">
@@ -863,10 +1159,57 @@ function App() {
                   </div>
                 </motion.div>
               )}
+
+              {deadLetters.length > 0 && (
+                <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="w-full google-card mt-4" style={{ borderLeft: '4px solid var(--emergency-red)' }}>
+                  <div className="flex items-center gap-3 mb-2">
+                    <AlertTriangle className="w-5 h-5" style={{ color: 'var(--emergency-red)' }} />
+                    <div>
+                      <p className="text-google-label" style={{ color: 'var(--md-on-surface-variant)' }}>Upload Failed</p>
+                      <p className="text-xs font-medium" style={{ color: 'var(--md-on-surface)' }}>{deadLetters.length} message{deadLetters.length > 1 ? 's' : ''} could not be delivered</p>
+                    </div>
+                  </div>
+                  {deadLetters.map(letter => (
+                    <div key={letter.messageId} className="flex items-center justify-between gap-3 py-2">
+                      <div className="min-w-0">
+                        <p className="text-xs font-bold" style={{ color: 'var(--md-on-surface)' }}>
+                          {letter.type === 'SOS_BROADCAST' ? 'SOS' : 'Chat message'} · {new Date(letter.timestamp).toLocaleTimeString()}
+                        </p>
+                        <p className="text-[10px] truncate" style={{ color: 'var(--md-on-surface-variant)' }}>{letter.lastError}</p>
+                      </div>
+                      <button
+                        onClick={() => resendDeadLetter(letter.messageId)}
+                        disabled={!online}
+                        className="flex items-center gap-1 text-xs font-bold shrink-0 disabled:opacity-40"
+                        style={{ color: 'var(--google-blue)' }}
+                      >
+                        <RotateCw className="w-3 h-3" /> Resend
+                      </button>
+                    </div>
+                  ))}
+                </motion.div>
+              )}
+
+              <OfflineMap
+                tileCache={tileCache}
+                offlineStorage={offlineStorage.current}
+                location={location}
+                online={online}
+                sosMarkers={meshSOS}
+                neighbors={meshNeighbors.neighbors}
+              />
             </motion.div>
           )}
-          {activeTab === 'messages' && <Messages key="messages" deviceId={deviceId} db={db} />}
-          {activeTab === 'profile' && <Profile key="profile" onLogout={handleLogout} user={user} userProfile={userProfile} db={db} />}
+          {activeTab === 'messages' && deviceId && <Messages key="messages" deviceId={deviceId} db={db} backend={backend} connectivity={connectivity} offlineStorage={offlineStorage.current} meshChat={meshChat} />}
+          {activeTab === 'profile' && <Profile key="profile" onLogout={handleLogout} user={user} userProfile={userProfile} db={db} onOpenDiagnostics={() => setActiveTab('diagnostics')} />}
+          {activeTab === 'diagnostics' && (
+            <Diagnostics
+              key="diagnostics"
+              nearbyService={nearbyService.current}
+              offlineStorage={offlineStorage.current}
+              onBack={() => setActiveTab('profile')}
+            />
+          )}
         </AnimatePresence>
       </main>
 
@@ -874,7 +1217,7 @@ function App() {
         <div className="nav-bar">
           <NavButton active={activeTab === 'messages'} onClick={() => setActiveTab('messages')} icon={<MessageSquare className="w-6 h-6" />} label="Messages" />
           <NavButton active={activeTab === 'sos'} onClick={() => setActiveTab('sos')} icon={<Radio className="w-8 h-8" />} label="SOS" primary />
-          <NavButton active={activeTab === 'profile'} onClick={() => setActiveTab('profile')} icon={<User className="w-6 h-6" />} label="Profile" />
+          <NavButton active={activeTab === 'profile' || activeTab === 'diagnostics'} onClick={() => setActiveTab('profile')} icon={<User className="w-6 h-6" />} label="Profile" />
         </div>
       </nav>
     </div>
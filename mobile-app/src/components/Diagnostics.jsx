@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Radio, Users, Layers, Trash2, CloudOff, Activity } from 'lucide-react';
+
+const REFRESH_INTERVAL = 2000;
+
+// Drop counters field teams ask about first; the rest follow in service order
+const KEY_DROPS = ['duplicate', 'expired', 'maxHops'];
+
+const ago = (time) => {
+    const seconds = Math.max(0, Math.round((Date.now() - time) / 1000));
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+function Section({ icon, title, children }) {
+    return (
+        <div className="glass p-5 rounded-[2rem] flex flex-col gap-3 shadow-xl">
+            <h3 className="flex items-center gap-2 text-xs font-black text-blue-600 uppercase tracking-widest mb-1">
+                {icon} {title}
+            </h3>
+            {children}
+        </div>
+    );
+}
+
+function Stat({ label, value }) {
+    return (
+        <div className="flex flex-col gap-1 bg-blue-50 dark:bg-blue-900/10 rounded-2xl p-3 border border-blue-100 dark:border-blue-800/30">
+            <span className="text-slate-400 text-[10px] font-bold uppercase">{label}</span>
+            <span className="font-mono text-lg font-black text-slate-700 dark:text-slate-200">{value}</span>
+        </div>
+    );
+}
+
+const Empty = ({ children }) => <p className="text-xs text-slate-400">{children}</p>;
+
+/**
+ * Diagnostics - Live view of the mesh for field exercises
+ * Hidden screen opened from the Profile header
+ */
+function Diagnostics({ nearbyService, offlineStorage, onBack }) {
+    const [diagnostics, setDiagnostics] = useState(null);
+    const [pending, setPending] = useState([]);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const refresh = async () => {
+            const snapshot = nearbyService?.getDiagnostics() ?? null;
+            let queued = [];
+            try {
+                queued = offlineStorage ? await offlineStorage.getPendingMessages() : [];
+            } catch (error) {
+                console.warn('[Diagnostics] Could not read pending messages:', error);
+            }
+            if (!cancelled) {
+                setDiagnostics(snapshot);
+                setPending(queued);
+            }
+        };
+
+        refresh();
+        const timer = setInterval(refresh, REFRESH_INTERVAL);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [nearbyService, offlineStorage]);
+
+    const stats = diagnostics?.stats;
+    const drops = stats ? [
+        ...KEY_DROPS.map(key => [key, stats.dropped[key]]),
+        ...Object.entries(stats.dropped).filter(([key]) => !KEY_DROPS.includes(key))
+    ] : [];
+
+    return (
+        <div className="w-full max-w-md flex flex-col gap-6">
+            <div className="flex items-end gap-3 px-2">
+                <button
+                    onClick={onBack}
+                    className="w-12 h-12 rounded-2xl transition-transform hover:scale-110 active:scale-90 flex items-center justify-center shadow-lg bg-white dark:bg-slate-800 text-blue-600 border border-blue-100 dark:border-slate-700"
+                >
+                    <ArrowLeft className="w-5 h-5" />
+                </button>
+                <div className="flex flex-col gap-1">
+                    <h2 className="text-3xl font-black text-gradient tracking-tighter">Mesh Diagnostics</h2>
+                    <p className="text-slate-500 dark:text-slate-400 text-[10px] font-black uppercase tracking-widest opacity-70">
+                        {stats ? `${stats.deviceId} · ${stats.transport}` : 'Mesh not running'}
+                    </p>
+                </div>
+            </div>
+
+            {stats && (
+                <>
+                    <div className="grid grid-cols-2 gap-3">
+                        <Stat label="Neighbors" value={`${stats.connectedPeers} (${stats.peersWithInternet} online)`} />
+                        <Stat label="Gateway distance" value={stats.gatewayDistance ?? '—'} />
+                        <Stat label="Cached packets" value={stats.cachedMessages} />
+                        <Stat label="Queue depth" value={stats.queue.depth} />
+                        <Stat label="In custody" value={stats.custody.held} />
+                        <Stat label="Forward probability" value={`${Math.round(stats.routing.forwardProbability * 100)}%`} />
+                    </div>
+
+                    {!stats.verification.signing && (
+                        <div className="flex items-center gap-2 text-red-500 text-xs font-bold bg-red-50 dark:bg-red-900/20 p-3 rounded-xl">
+                            No WebCrypto: signatures are not checked. {stats.verification.unverified} packet(s) accepted unverified.
+                        </div>
+                    )}
+
+                    <Section icon={<Trash2 className="w-3 h-3" />} title="Dropped packets">
+                        <div className="grid grid-cols-3 gap-2">
+                            {drops.map(([key, count]) => (
+                                <div key={key} className="flex flex-col">
+                                    <span className="text-slate-400 text-[10px] font-bold uppercase truncate">{key}</span>
+                                    <span className={`font-mono font-black ${count > 0 ? 'text-red-500' : 'text-slate-600 dark:text-slate-300'}`}>{count}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-[10px] text-slate-400">
+                            Queue: {stats.queue.dropped.overflow} overflow · {stats.queue.dropped.rateLimited} rate limited
+                        </p>
+                    </Section>
+
+                    <Section icon={<Users className="w-3 h-3" />} title="Neighbors">
+                        {diagnostics.neighbors.length === 0 && <Empty>No neighbors heard yet</Empty>}
+                        {diagnostics.neighbors.map(neighbor => (
+                            <div key={neighbor.deviceId} className="flex justify-between items-center text-sm">
+                                <div className="flex flex-col">
+                                    <span className="font-mono font-bold text-slate-700 dark:text-slate-200">{neighbor.deviceId}</span>
+                                    <span className="text-[10px] text-slate-400">
+                                        {neighbor.online ? 'internet' : 'offline'}
+                                        {neighbor.gatewayDistance != null && ` · ${neighbor.gatewayDistance} hop(s) to gateway`}
+                                        {neighbor.battery != null && ` · ${neighbor.battery}%`}
+                                    </span>
+                                </div>
+                                <div className="flex flex-col items-end">
+                                    <span className="font-mono font-black text-blue-600">{Math.round(neighbor.linkQuality * 100)}%</span>
+                                    <span className="text-[10px] text-slate-400">{ago(neighbor.lastSeen)}</span>
+                                </div>
+                            </div>
+                        ))}
+                    </Section>
+
+                    <Section icon={<Radio className="w-3 h-3" />} title="Recent packets">
+                        {diagnostics.recentPackets.length === 0 && <Empty>Nothing received yet</Empty>}
+                        {diagnostics.recentPackets.map(packet => (
+                            <div key={packet.messageId} className="flex flex-col text-sm border-b border-slate-100 dark:border-slate-800 pb-2">
+                                <div className="flex justify-between">
+                                    <span className="font-bold text-slate-700 dark:text-slate-200">
+                                        {packet.type}{packet.inCustody && ' · custody'}
+                                        {!packet.verified && <span className="text-red-500"> · unverified</span>}
+                                    </span>
+                                    <span className="font-mono text-[10px] text-slate-400">{packet.hops} hop(s) · {ago(packet.receivedAt)}</span>
+                                </div>
+                                <span className="font-mono text-[10px] text-slate-400 truncate">{packet.messageId}</span>
+                                <span className="text-[10px] text-slate-500 dark:text-slate-400">
+                                    {packet.senderId === stats.deviceId
+                                        ? 'Sent by this device'
+                                        : [packet.senderId, ...packet.path, 'this device'].join(' → ')}
+                                </span>
+                                <span className="text-[10px] text-slate-400">
+                                    {packet.heardFrom.length > 0 && `Heard from ${packet.heardFrom.join(', ')}`}
+                                </span>
+                            </div>
+                        ))}
+                    </Section>
+
+                    <Section icon={<Layers className="w-3 h-3" />} title="Transmit queue">
+                        <div className="grid grid-cols-2 gap-2 text-sm">
+                            {Object.entries(stats.queue.byPriority).map(([type, depth]) => (
+                                <div key={type} className="flex justify-between">
+                                    <span className="text-slate-400 text-[10px] font-bold uppercase">{type}</span>
+                                    <span className="font-mono font-black text-slate-600 dark:text-slate-300">{depth}</span>
+                                </div>
+                            ))}
+                        </div>
+                        <p className="text-[10px] text-slate-400">{stats.queue.sent} sent of {stats.queue.enqueued} queued</p>
+                    </Section>
+                </>
+            )}
+
+            <Section icon={<CloudOff className="w-3 h-3" />} title={`Pending upload (${pending.length})`}>
+                {pending.length === 0 && <Empty>Everything is synced</Empty>}
+                {pending.map(record => (
+                    <div key={record.messageId} className="flex justify-between items-center text-sm">
+                        <div className="flex flex-col min-w-0">
+                            <span className="font-bold text-slate-700 dark:text-slate-200">{record.type}</span>
+                            <span className="font-mono text-[10px] text-slate-400 truncate">{record.messageId}</span>
+                        </div>
+                        <div className="flex flex-col items-end shrink-0">
+                            <span className="text-[10px] text-slate-400">{ago(record.timestamp)}</span>
+                            {record.retryCount > 0 && (
+                                <span className="flex items-center gap-1 text-[10px] text-amber-500">
+                                    <Activity className="w-3 h-3" /> {record.retryCount} retries
+                                </span>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </Section>
+        </div>
+    );
+}
+
+export default Diagnostics;
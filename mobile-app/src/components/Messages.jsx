@@ -1,48 +1,95 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Send, Shield, MessageSquare } from 'lucide-react';
-import { getDatabase, ref, push, onValue, off } from 'firebase/database';
+import { getDatabase, ref, set, onValue, off } from 'firebase/database';
+import chatCrypto from '../services/ChatCryptoService';
+import { chatKey } from '../services/backend/paths';
+import { withTimeout } from '../services/backend/timeout';
 
-function Messages({ deviceId, db }) {
+// Add messages the list doesn't have yet, in time order
+// Same sender and time = same message (the chatKey it is stored under)
+const mergeMessages = (list, extra) => {
+    const known = new Set(list.map(chatKey));
+    return [
+        ...list,
+        ...extra.filter(msg => !known.has(chatKey(msg)))
+    ].sort((a, b) => a.time - b.time);
+};
+
+function Messages({ deviceId, db, backend, connectivity, offlineStorage, meshChat }) {
     const [messages, setMessages] = useState([]);
     const [input, setInput] = useState('');
-    const [online, setOnline] = useState(navigator.onLine);
+    const [online, setOnline] = useState(() => connectivity.isOnline());
+    const [encrypted, setEncrypted] = useState(() => chatCrypto.canEncrypt());
     const scrollRef = useRef(null);
-    const meshChannel = new BroadcastChannel('sos_mesh_network');
+    const meshHistory = useRef([]); // decrypted messages that only travelled over the mesh
+
+    useEffect(() => connectivity.subscribe(() => setOnline(connectivity.isOnline())), [connectivity]);
 
     useEffect(() => {
-        const handleOnline = () => setOnline(true);
-        const handleOffline = () => setOnline(false);
-        window.addEventListener('online', handleOnline);
-        window.addEventListener('offline', handleOffline);
-
-        const messagesRef = ref(db, `chats/${deviceId}`);
-        onValue(messagesRef, (snapshot) => {
-            const data = snapshot.val();
-            if (data) {
-                const list = Object.entries(data).map(([id, val]) => ({ id, ...val }));
-                setMessages(list.sort((a, b) => a.time - b.time));
+        // Fetch every operator's key so we can encrypt, and publish ours so they can reply
+        const controlKeyRef = ref(db, 'control_room/keys');
+        onValue(controlKeyRef, (snapshot) => {
+            const operators = Object.values(snapshot.val() || {});
+            chatCrypto.setControlRoomKeys(operators.flatMap(keys => Object.values(keys).map(entry => entry.publicKey)));
+            setEncrypted(chatCrypto.canEncrypt());
+        });
+        chatCrypto.ready.then(() => {
+            if (chatCrypto.publicKey && connectivity.isOnline()) {
+                set(ref(db, `chat_keys/${deviceId}`), chatCrypto.publicKey).catch(err => {
+                    console.warn('[Messages] Could not publish chat key:', err);
+                });
             }
         });
 
-        // Listen for mesh messages to update UI even if offline
-        meshChannel.onmessage = (event) => {
-            if (event.data.type === 'CHAT_BROADCAST' && event.data.payload.deviceId === deviceId) {
-                setMessages(prev => {
-                    const exists = prev.find(m => m.time === event.data.payload.msg.time);
-                    if (exists) return prev;
-                    return [...prev, { id: `mesh-${Date.now()}`, ...event.data.payload.msg }].sort((a, b) => a.time - b.time);
-                });
+        // Decrypt snapshots in order; a newer snapshot wins over a slower older one
+        let snapshotVersion = 0;
+        const showSnapshot = async (data) => {
+            const version = ++snapshotVersion;
+            const list = await Promise.all(
+                Object.entries(data).map(async ([id, val]) => ({ id, ...(await chatCrypto.decryptMessage(deviceId, val)) }))
+            );
+            if (version === snapshotVersion) {
+                setMessages(mergeMessages(list, meshHistory.current));
             }
         };
+        const unsubscribeChat = backend.subscribe('chats', deviceId, (data) => {
+            if (data) showSnapshot(data);
+        });
+
+        // Until the backend answers (or while offline), show the copy SyncManager kept
+        offlineStorage?.getRemoteRecord('chats', deviceId).then(record => {
+            if (record?.value && snapshotVersion === 0) showSnapshot(record.value);
+        }).catch(err => {
+            console.warn('[Messages] Could not read synced conversation:', err);
+        });
+
+        // Mesh-only messages never show up in the backend copy; keep them in the thread
+        meshHistory.current = [];
+        offlineStorage?.getChatHistory(deviceId).then(async (history) => {
+            const decrypted = await Promise.all(history.map(async (val) => ({ id: `mesh-${val.time}`, ...(await chatCrypto.decryptMessage(deviceId, val)) })));
+            meshHistory.current = mergeMessages(meshHistory.current, decrypted);
+            setMessages(prev => mergeMessages(prev, decrypted));
+        }).catch(err => {
+            console.warn('[Messages] Could not read chat history:', err);
+        });
 
         return () => {
-            off(messagesRef);
-            window.removeEventListener('online', handleOnline);
-            window.removeEventListener('offline', handleOffline);
-            meshChannel.close();
+            off(controlKeyRef);
+            unsubscribeChat();
         };
-    }, [deviceId, db]);
+    }, [deviceId, db, backend, connectivity, offlineStorage]);
+
+    // Listen for mesh messages to update UI even if offline
+    useEffect(() => meshChat.subscribe(async (payload) => {
+        if (payload.deviceId !== deviceId) return;
+        offlineStorage?.saveChatMessage(deviceId, payload.msg).catch(err => {
+            console.warn('[Messages] Could not keep mesh message:', err);
+        });
+        const msg = { id: `mesh-${payload.msg.time}`, ...(await chatCrypto.decryptMessage(deviceId, payload.msg)) };
+        meshHistory.current = mergeMessages(meshHistory.current, [msg]);
+        setMessages(prev => mergeMessages(prev, [msg]));
+    }), [deviceId, meshChat, offlineStorage]);
 
     useEffect(() => {
         if (scrollRef.current) {
@@ -71,16 +118,41 @@ function Messages({ deviceId, db }) {
             aiSummary: aiResult.summary || input
         };
 
+        // Only the body is encrypted; sender and time stay readable for ordering
+        const outgoing = await chatCrypto.encryptMessage(deviceId, msg);
+
+        let uploaded = false;
         if (online) {
-            await push(ref(db, `chats/${deviceId}`), msg);
-        } else {
+            try {
+                await withTimeout(backend.appendChat(deviceId, outgoing), 'Chat upload');
+                uploaded = true;
+            } catch (err) {
+                console.warn('[Messages] Upload failed, sending over the mesh instead:', err);
+            }
+        }
+
+        if (!uploaded) {
             // OFFLINE MESH BROADCAST
-            meshChannel.postMessage({
+            try {
+                await meshChat.send({ deviceId, msg: outgoing });
+            } catch (err) {
+                console.error('[Messages] Mesh broadcast failed:', err);
+            }
+            offlineStorage?.saveChatMessage(deviceId, outgoing).catch(err => {
+                console.warn('[Messages] Could not keep sent message:', err);
+            });
+            // Queue it for the control room too; SyncManager uploads it once we're back online
+            offlineStorage?.storeMessage({
                 type: 'CHAT_BROADCAST',
-                payload: { deviceId, msg }
+                payload: { deviceId, msg: outgoing },
+                messageId: `chat_${deviceId}_${chatKey(outgoing)}`
+            }).catch(err => {
+                console.warn('[Messages] Could not queue sent message:', err);
             });
             // Update local UI immediately
-            setMessages(prev => [...prev, { id: `local-${Date.now()}`, ...msg }]);
+            const local = { id: `local-${msg.time}`, ...msg };
+            meshHistory.current = mergeMessages(meshHistory.current, [local]);
+            setMessages(prev => mergeMessages(prev, [local]));
         }
 
         setInput('');
@@ -100,8 +172,17 @@ function Messages({ deviceId, db }) {
                 <div>
                     <h3 className="text-base font-black text-slate-900 dark:text-white tracking-tight">Rescue Command</h3>
                     <div className="flex items-center gap-1.5">
-                        <div className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse" />
-                        <p className="text-[10px] text-emerald-600 dark:text-emerald-400 font-black uppercase tracking-widest">Secure Link Active</p>
+                        {encrypted ? (
+                            <>
+                                <div className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse" />
+                                <p className="text-[10px] text-emerald-600 dark:text-emerald-400 font-black uppercase tracking-widest">End-to-End Encrypted</p>
+                            </>
+                        ) : (
+                            <>
+                                <div className="w-1.5 h-1.5 rounded-full bg-amber-500" />
+                                <p className="text-[10px] text-amber-600 dark:text-amber-400 font-black uppercase tracking-widest">Not Encrypted - Awaiting Key</p>
+                            </>
+                        )}
                     </div>
                 </div>
             </div>
@@ -117,7 +198,7 @@ function Messages({ deviceId, db }) {
                             <div className="w-20 h-20 rounded-[2rem] bg-slate-100 dark:bg-slate-900/50 flex items-center justify-center border border-slate-200 dark:border-white/5">
                                 <MessageSquare className="w-10 h-10" />
                             </div>
-                            <p className="text-[10px] font-black uppercase tracking-[0.3em]">Encrypted Channel Ready</p>
+                            <p className="text-[10px] font-black uppercase tracking-[0.3em]">{encrypted ? 'Encrypted Channel Ready' : 'Channel Ready'}</p>
                         </div>
                     ) : (
                         messages.map((msg) => (
@@ -159,7 +240,7 @@ function Messages({ deviceId, db }) {
                     type="text"
                     value={input}
                     onChange={(e) => setInput(e.target.value)}
-                    placeholder="Type secure message..."
+                    placeholder={encrypted ? 'Type secure message...' : 'Type message...'}
                     className="flex-1 min-w-0 bg-white dark:bg-slate-800/50 border border-slate-200 dark:border-white/5 outline-none rounded-2xl px-4 py-3.5 text-sm text-slate-800 dark:text-slate-100 placeholder:text-slate-400 dark:placeholder:text-slate-700 shadow-inner font-bold"
                 />
                 <motion.button
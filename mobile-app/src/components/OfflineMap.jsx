@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MapContainer, CircleMarker, Popup, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { Download, Trash2, X } from 'lucide-react';
+import { MAX_AREA_TILES } from '../services/TileCacheService';
+
+const ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const DEFAULT_CENTER = [9.9252, 78.1198]; // same default view as the control room map
+const DEFAULT_ZOOM = 15;
+
+// Area downloads offered around the current location
+const AREA_PRESETS = [
+    { key: 'streets', label: 'Streets · 1 km', radiusKm: 1, minZoom: 13, maxZoom: 17 },
+    { key: 'town', label: 'Town · 5 km', radiusKm: 5, minZoom: 11, maxZoom: 15 },
+    { key: 'region', label: 'Region · 25 km', radiusKm: 25, minZoom: 8, maxZoom: 12 }
+];
+
+const megabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Leaflet tile layer that loads every tile through the TileCacheService
+ */
+const CachedTileLayer = L.TileLayer.extend({
+    createTile(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.onload = () => done(null, tile);
+        tile.onerror = (error) => done(error, tile);
+
+        this.options.tileCache.getTile(this.getTileUrl(coords))
+            .then(blob => { tile.src = URL.createObjectURL(blob); })
+            .catch(error => done(error, tile)); // not cached and no network: the tile stays blank
+        return tile;
+    }
+});
+
+function CachedTiles({ tileCache }) {
+    const map = useMap();
+
+    useEffect(() => {
+        const layer = new CachedTileLayer(tileCache.urlTemplate, { tileCache, attribution: ATTRIBUTION, maxZoom: 19 });
+        layer.on('tileunload', ({ tile }) => {
+            if (tile.src.startsWith('blob:')) URL.revokeObjectURL(tile.src);
+        });
+        layer.addTo(map);
+        return () => layer.remove();
+    }, [map, tileCache]);
+
+    return null;
+}
+
+// Center on the user once their position is known, then leave panning to them
+function FollowFirstFix({ position }) {
+    const map = useMap();
+    const centered = useRef(false);
+
+    useEffect(() => {
+        if (!position || centered.current) return;
+        centered.current = true;
+        map.setView(position, DEFAULT_ZOOM);
+    }, [map, position]);
+
+    return null;
+}
+
+/**
+ * OfflineMap - Where the user, nearby SOS senders and mesh neighbors are,
+ * drawn from cached tiles so it keeps working with no connectivity
+ */
+function OfflineMap({ tileCache, offlineStorage, location, online, sosMarkers, neighbors }) {
+    const [usage, setUsage] = useState(() => tileCache.getUsage());
+    const [regions, setRegions] = useState([]); // downloaded areas, newest first
+    const [presetKey, setPresetKey] = useState(AREA_PRESETS[0].key);
+    const [download, setDownload] = useState(null); // { done, total, failed, controller } while downloading
+    const [error, setError] = useState(null);
+
+    const position = location.lat && location.lon ? [location.lat, location.lon] : null;
+    const preset = AREA_PRESETS.find(p => p.key === presetKey);
+    const area = position ? { lat: position[0], lon: position[1], ...preset } : null;
+    const tileCount = area ? tileCache.countAreaTiles(area) : 0;
+
+    useEffect(() => {
+        tileCache.ready.then(() => setUsage(tileCache.getUsage()));
+        return tileCache.subscribe(() => setUsage(tileCache.getUsage()));
+    }, [tileCache]);
+
+    useEffect(() => {
+        offlineStorage?.getMapRegions().then(setRegions).catch(err => {
+            console.warn('[OfflineMap] Could not read saved areas:', err);
+        });
+    }, [offlineStorage]);
+
+    // Stop a running download when the map goes away
+    useEffect(() => () => download?.controller.abort(), [download?.controller]);
+
+    const startDownload = async () => {
+        const controller = new AbortController();
+        setError(null);
+        setDownload({ done: 0, total: tileCount, failed: 0, controller });
+        try {
+            const result = await tileCache.downloadArea(area, {
+                signal: controller.signal,
+                onProgress: (progress) => setDownload(prev => prev && { ...prev, ...progress })
+            });
+            if (result.failed > 0) setError(`${result.failed} tile(s) could not be downloaded`);
+            if (!controller.signal.aborted && offlineStorage) {
+                const region = {
+                    id: `${preset.key}_${area.lat.toFixed(3)}_${area.lon.toFixed(3)}`,
+                    label: preset.label,
+                    ...area,
+                    tiles: result.done - result.failed,
+                    downloadedAt: Date.now()
+                };
+                await offlineStorage.saveMapRegion(region);
+                setRegions(prev => [region, ...prev.filter(r => r.id !== region.id)]);
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+        setDownload(null);
+    };
+
+    const clearTiles = async () => {
+        if (!window.confirm('Delete all saved map tiles?')) return;
+        await tileCache.clear();
+        await offlineStorage?.clearMapRegions();
+        setRegions([]);
+    };
+
+    return (
+        <div className="w-full google-card mt-4">
+            <p className="text-google-label mb-3" style={{ color: 'var(--md-on-surface-variant)' }}>Offline Map</p>
+
+            <div className="w-full h-64 rounded-2xl overflow-hidden relative z-0">
+                <MapContainer center={position || DEFAULT_CENTER} zoom={DEFAULT_ZOOM} className="w-full h-full" attributionControl>
+                    <CachedTiles tileCache={tileCache} />
+                    <FollowFirstFix position={position} />
+
+                    {neighbors.filter(n => n.position).map(neighbor => (
+                        <CircleMarker
+                            key={neighbor.deviceId}
+                            center={[neighbor.position.lat, neighbor.position.lon]}
+                            radius={6}
+                            pathOptions={{ color: neighbor.online ? '#34A853' : '#5f6368', fillOpacity: 0.7 }}
+                        >
+                            <Popup>
+                                <b>{neighbor.deviceId}</b><br />
+                                Mesh neighbor · {neighbor.online ? 'has internet' : 'offline'}
+                                {neighbor.battery != null && ` · ${neighbor.battery}%`}
+                            </Popup>
+                        </CircleMarker>
+                    ))}
+
+                    {sosMarkers.map(sos => (
+                        <CircleMarker
+                            key={sos.id}
+                            center={[sos.lat, sos.lon]}
+                            radius={9}
+                            pathOptions={{ color: '#EA4335', fillOpacity: 0.8 }}
+                        >
+                            <Popup>
+                                <b>{sos.userName}</b> needs help<br />
+                                {sos.message}<br />
+                                {sos.hops} hop(s) · {new Date(sos.time).toLocaleTimeString()}
+                            </Popup>
+                        </CircleMarker>
+                    ))}
+
+                    {position && (
+                        <CircleMarker center={position} radius={8} pathOptions={{ color: '#4285F4', fillOpacity: 1 }}>
+                            <Popup>You are here</Popup>
+                        </CircleMarker>
+                    )}
+                </MapContainer>
+            </div>
+
+            <div className="flex items-center gap-2 mt-3">
+                <select
+                    value={presetKey}
+                    onChange={(e) => setPresetKey(e.target.value)}
+                    disabled={Boolean(download)}
+                    className="flex-1 text-xs font-bold rounded-xl px-2 py-2 md-surface-variant"
+                    style={{ color: 'var(--md-on-surface)' }}
+                >
+                    {AREA_PRESETS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                </select>
+                {download ? (
+                    <button onClick={() => download.controller.abort()} className="flex items-center gap-1 text-xs font-bold shrink-0" style={{ color: 'var(--emergency-red)' }}>
+                        <X className="w-3 h-3" /> Cancel
+                    </button>
+                ) : (
+                    <button
+                        onClick={startDownload}
+                        disabled={!area || !online || tileCount > MAX_AREA_TILES}
+                        className="flex items-center gap-1 text-xs font-bold shrink-0 disabled:opacity-40"
+                        style={{ color: 'var(--google-blue)' }}
+                    >
+                        <Download className="w-3 h-3" /> Download area
+                    </button>
+                )}
+            </div>
+
+            <p className="text-[10px] mt-2" style={{ color: 'var(--md-on-surface-variant)' }}>
+                {download
+                    ? `Downloading ${download.done} / ${download.total} tiles`
+                    : !position
+                        ? 'Waiting for your location'
+                        : tileCount > MAX_AREA_TILES
+                            ? `Area too large (${tileCount} tiles)`
+                            : `About ${tileCount} tiles, zoom ${preset.minZoom}–${preset.maxZoom}`}
+            </p>
+            {download && (
+                <div className="w-full h-1 rounded-full mt-1 overflow-hidden" style={{ background: 'var(--md-surface-variant)' }}>
+                    <div className="h-full" style={{ width: `${(download.done / Math.max(1, download.total)) * 100}%`, background: 'var(--google-blue)' }} />
+                </div>
+            )}
+            {error && <p className="text-[10px] mt-1" style={{ color: 'var(--emergency-red)' }}>{error}</p>}
+
+            {regions.map(region => (
+                <p key={region.id} className="text-[10px] mt-1" style={{ color: 'var(--md-on-surface-variant)' }}>
+                    Saved: {region.label} · {region.tiles} tiles · {new Date(region.downloadedAt).toLocaleDateString()}
+                </p>
+            ))}
+
+            <div className="flex items-center justify-between mt-2">
+                <span className="text-[10px] font-mono" style={{ color: 'var(--md-on-surface-variant)' }}>
+                    {usage.tiles} tiles · {megabytes(usage.bytes)} of {megabytes(usage.maxBytes)}
+                </span>
+                <button
+                    onClick={clearTiles}
+                    disabled={Boolean(download) || usage.tiles === 0}
+                    className="flex items-center gap-1 text-[10px] font-bold disabled:opacity-40"
+                    style={{ color: 'var(--md-on-surface-variant)' }}
+                >
+                    <Trash2 className="w-3 h-3" /> Clear
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default OfflineMap;
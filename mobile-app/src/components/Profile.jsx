@@ -1,9 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { User, Droplets, Phone, Activity, Save, CheckCircle2, Mail, Calendar, LogOut, AlertTriangle } from 'lucide-react';
 import { ref, set } from 'firebase/database';
 
-function Profile({ onLogout, user, userProfile, db }) {
+// Tapping the heading this many times in a row opens the hidden diagnostics screen
+const DIAGNOSTICS_TAPS = 5;
+const TAP_WINDOW = 1500;
+
+function Profile({ onLogout, user, userProfile, db, onOpenDiagnostics }) {
     const [profile, setProfile] = useState({
         fullName: '',
         email: '',
@@ -14,6 +18,7 @@ function Profile({ onLogout, user, userProfile, db }) {
     });
     const [saved, setSaved] = useState(false);
     const [loading, setLoading] = useState(false);
+    const headingTaps = useRef({ count: 0, last: 0 });
 
     useEffect(() => {
         if (userProfile) {
@@ -48,6 +53,17 @@ function Profile({ onLogout, user, userProfile, db }) {
         }
     };
 
+    const handleHeadingTap = () => {
+        const now = Date.now();
+        const taps = headingTaps.current;
+        taps.count = now - taps.last < TAP_WINDOW ? taps.count + 1 : 1;
+        taps.last = now;
+        if (taps.count >= DIAGNOSTICS_TAPS && onOpenDiagnostics) {
+            taps.count = 0;
+            onOpenDiagnostics();
+        }
+    };
+
     return (
         <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -56,7 +72,7 @@ function Profile({ onLogout, user, userProfile, db }) {
         >
             <div className="flex justify-between items-end px-2">
                 <div className="flex flex-col gap-1">
-                    <h2 className="text-3xl font-black text-gradient tracking-tighter">My Profile</h2>
+                    <h2 onClick={handleHeadingTap} className="text-3xl font-black text-gradient tracking-tighter select-none">My Profile</h2>
                     <p className="text-slate-500 dark:text-slate-400 text-[10px] font-black uppercase tracking-widest opacity-70">Personal & Medical Info</p>
                 </div>
                 <div className="flex gap-2">
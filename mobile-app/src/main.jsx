@@ -2,16 +2,9 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './serviceWorkerRegistration'
 
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then(reg => {
-      console.log('SW registered:', reg);
-    }).catch(err => {
-      console.log('SW registration failed:', err);
-    });
-  });
-}
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
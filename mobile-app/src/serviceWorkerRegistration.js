@@ -0,0 +1,72 @@
+// Registers the service worker and tells the app when a newer build is installed
+// and waiting. The update only takes over when the user accepts it, so a page
+// reload never interrupts someone in the middle of sending an SOS.
+
+const listeners = new Set();
+let waitingWorker = null;
+let updateAccepted = false;
+
+function setWaiting(worker) {
+  waitingWorker = worker;
+  listeners.forEach(listener => listener(true));
+}
+
+export function registerServiceWorker() {
+  // The worker is only built for production (see vite.config.js)
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').then(reg => {
+      console.log('SW registered:', reg);
+
+      // Without a controller this is the first install, not an update
+      if (reg.waiting && navigator.serviceWorker.controller) setWaiting(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaiting(worker);
+        });
+      });
+    }).catch(err => {
+      console.log('SW registration failed:', err);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!updateAccepted) return;
+      updateAccepted = false;
+      window.location.reload();
+    });
+  });
+}
+
+/**
+ * Call listener(true) once an update is waiting; returns an unsubscribe function
+ */
+export function onUpdateAvailable(listener) {
+  listeners.add(listener);
+  if (waitingWorker) listener(true);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Activate the waiting build; the page reloads when it takes control
+ */
+export function applyUpdate() {
+  if (!waitingWorker) return;
+  updateAccepted = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Call listener(event) for each upload the service worker made in the background
+ * (SyncManager's message_uploaded events); returns an unsubscribe function
+ */
+export function onWorkerSyncEvent(listener) {
+  if (!('serviceWorker' in navigator)) return () => {};
+
+  const handleMessage = (message) => {
+    if (message.data?.type === 'SYNC_EVENT') listener(message.data.event);
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+}
@@ -0,0 +1,263 @@
+/**
+ * ChatCryptoService - End-to-end encryption for victim <-> control room chat
+ *
+ * The device holds a persistent ECDH (P-256) keypair, generated non-extractable and
+ * kept in IndexedDB (keyStore, see OfflineStorageService). Every control room operator
+ * browser publishes its own public key under `control_room/keys/{uid}/{keyId}`.
+ * A message body is encrypted once with a random AES-GCM content key, and that key
+ * is wrapped for each recipient with the pairwise conversation key: ECDH shared
+ * secret -> HKDF bound to the deviceId. Devices write for every operator key, so no
+ * single browser has to hold the only key that can read a conversation.
+ * Only the message body (text, priority, AI summary) is encrypted; sender and time
+ * stay readable so relays and the dashboard can still order and route messages.
+ *
+ * Encrypted record (v2): { sender, time, enc: { v, iv, ciphertext, senderKey, recipients: [{ key, iv, wrapped }] } }
+ * Version 1 records ({ enc: { v, iv, ciphertext, deviceKey, controlKey } }, one shared
+ * control room key at `control_room/publicKey`) can still be read.
+ */
+
+import OfflineStorageService from './OfflineStorageService';
+
+const KEYPAIR_ID = 'chat';
+const KEYPAIR_STORAGE_KEY = 'google_sos_chat_keypair'; // LocalStorage fallback, and where earlier builds kept it
+const CONTROL_KEYS_STORAGE_KEY = 'google_sos_control_room_keys';
+const LEGACY_CONTROL_KEY_STORAGE_KEY = 'google_sos_control_room_key';
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const ENCRYPTION_VERSION = 2;
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/**
+ * Additional authenticated data: ties a ciphertext to its conversation, sender and time
+ */
+const associatedData = (deviceId, sender, time) => new TextEncoder().encode(`${deviceId}|${sender}|${time}`);
+
+export class ChatCryptoService {
+    constructor({ keyStore = null } = {}) {
+        this.subtle = globalThis.crypto?.subtle || null;
+        this.keyStore = keyStore; // getKey(id) / putKey(record); opened on first use when not given
+        this.keyPair = null;
+        this.publicKey = null;
+        this.conversationKeys = new Map();
+        this.ready = this.subtle ? this.loadKeys() : Promise.resolve();
+    }
+
+    /**
+     * Load the device ECDH keypair, generating and persisting one on first run
+     */
+    async loadKeys() {
+        if (!this.keyStore && typeof indexedDB !== 'undefined') {
+            this.keyStore = new OfflineStorageService();
+        }
+
+        try {
+            const stored = await this.keyStore?.getKey(KEYPAIR_ID);
+            if (stored) this.keyPair = { privateKey: stored.privateKey, publicKey: stored.publicKey };
+        } catch (error) {
+            console.warn('[ChatCrypto] Could not read the stored keypair', error);
+        }
+
+        if (!this.keyPair) this.keyPair = await this.loadLegacyKeys();
+        if (!this.keyPair) {
+            this.keyPair = await this.generateKeys();
+            console.log('[ChatCrypto] Generated chat keypair');
+        }
+
+        this.publicKey = toBase64(await this.subtle.exportKey('raw', this.keyPair.publicKey));
+    }
+
+    /**
+     * The JWK keypair in LocalStorage, moved into the key store when there is one
+     * Keeping the same key matters: it is published under chat_keys and identifies this device
+     */
+    async loadLegacyKeys() {
+        let keyPair = null;
+        try {
+            const stored = localStorage.getItem(KEYPAIR_STORAGE_KEY);
+            if (!stored) return null;
+            const { privateKey, publicKey } = JSON.parse(stored);
+            keyPair = {
+                privateKey: await this.subtle.importKey('jwk', privateKey, ECDH, false, ['deriveBits']),
+                publicKey: await this.subtle.importKey('jwk', publicKey, ECDH, true, [])
+            };
+        } catch (error) {
+            console.warn('[ChatCrypto] Stored keypair unreadable, generating a new one', error);
+            return null;
+        }
+
+        if (this.keyStore) {
+            try {
+                await this.keyStore.putKey({ id: KEYPAIR_ID, ...keyPair });
+                localStorage.removeItem(KEYPAIR_STORAGE_KEY);
+                console.log('[ChatCrypto] Moved chat keypair out of LocalStorage');
+            } catch (error) {
+                console.warn('[ChatCrypto] Could not move chat keypair out of LocalStorage', error);
+            }
+        }
+        return keyPair;
+    }
+
+    async generateKeys() {
+        if (this.keyStore) {
+            const keyPair = await this.subtle.generateKey(ECDH, false, ['deriveBits']);
+            try {
+                await this.keyStore.putKey({ id: KEYPAIR_ID, privateKey: keyPair.privateKey, publicKey: keyPair.publicKey });
+                return keyPair;
+            } catch (error) {
+                console.warn('[ChatCrypto] Could not store chat keypair, falling back to LocalStorage', error);
+            }
+        }
+
+        const keyPair = await this.subtle.generateKey(ECDH, true, ['deriveBits']);
+        localStorage.setItem(KEYPAIR_STORAGE_KEY, JSON.stringify({
+            privateKey: await this.subtle.exportKey('jwk', keyPair.privateKey),
+            publicKey: await this.subtle.exportKey('jwk', keyPair.publicKey)
+        }));
+        return keyPair;
+    }
+
+    /**
+     * Remember every operator key the control room published, so we can encrypt while offline
+     */
+    setControlRoomKeys(publicKeys) {
+        if (publicKeys.length > 0) localStorage.setItem(CONTROL_KEYS_STORAGE_KEY, JSON.stringify(publicKeys));
+    }
+
+    /**
+     * Operator keys to encrypt for; before any were fetched, the single key earlier builds kept
+     */
+    getControlRoomKeys() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONTROL_KEYS_STORAGE_KEY));
+            if (Array.isArray(stored) && stored.length > 0) return stored;
+        } catch {
+            // Unreadable: fall through to the legacy key
+        }
+        const legacy = localStorage.getItem(LEGACY_CONTROL_KEY_STORAGE_KEY);
+        return legacy ? [legacy] : [];
+    }
+
+    /**
+     * True when messages sent now would be end-to-end encrypted
+     */
+    canEncrypt() {
+        return Boolean(this.subtle && this.getControlRoomKeys().length > 0);
+    }
+
+    /**
+     * AES-GCM key for the conversation between this device and a control room key
+     */
+    async conversationKey(deviceId, controlKey) {
+        await this.ready;
+        const cacheKey = `${deviceId}:${controlKey}`;
+
+        if (!this.conversationKeys.has(cacheKey)) {
+            const peer = await this.subtle.importKey('raw', fromBase64(controlKey), ECDH, false, []);
+            const secret = await this.subtle.deriveBits({ name: 'ECDH', public: peer }, this.keyPair.privateKey, 256);
+            const hkdfKey = await this.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+            const key = await this.subtle.deriveKey(
+                {
+                    name: 'HKDF',
+                    hash: 'SHA-256',
+                    salt: new Uint8Array(0),
+                    info: new TextEncoder().encode(`google-mesh-chat:${deviceId}`)
+                },
+                hkdfKey,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+            this.conversationKeys.set(cacheKey, key);
+        }
+
+        return this.conversationKeys.get(cacheKey);
+    }
+
+    /**
+     * Encrypt a chat message for every operator key; returns it unchanged if none is known yet
+     */
+    async encryptMessage(deviceId, msg) {
+        const controlKeys = this.getControlRoomKeys();
+        if (!this.subtle || controlKeys.length === 0) return msg;
+        await this.ready;
+
+        const { sender, time, ...body } = msg;
+        const aad = associatedData(deviceId, sender, time);
+        const raw = crypto.getRandomValues(new Uint8Array(32));
+        const key = await this.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await this.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: aad },
+            key,
+            new TextEncoder().encode(JSON.stringify(body))
+        );
+
+        const recipients = await Promise.all(controlKeys.map(async (controlKey) => {
+            const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+            const wrapped = await this.subtle.encrypt(
+                { name: 'AES-GCM', iv: wrapIv, additionalData: aad },
+                await this.conversationKey(deviceId, controlKey),
+                raw
+            );
+            return { key: controlKey, iv: toBase64(wrapIv), wrapped: toBase64(wrapped) };
+        }));
+
+        return {
+            sender,
+            time,
+            enc: {
+                v: ENCRYPTION_VERSION,
+                iv: toBase64(iv),
+                ciphertext: toBase64(ciphertext),
+                senderKey: this.publicKey,
+                recipients
+            }
+        };
+    }
+
+    /**
+     * Content key of a version 2 message: our own through its first recipient, an operator's through our entry
+     */
+    async contentKey(deviceId, enc, aad) {
+        await this.ready;
+        const ownMessage = enc.senderKey === this.publicKey;
+        const entry = ownMessage ? enc.recipients[0] : enc.recipients.find(r => r.key === this.publicKey);
+        if (!entry) throw new Error('Not encrypted for this device');
+
+        const wrapKey = await this.conversationKey(deviceId, ownMessage ? entry.key : enc.senderKey);
+        const raw = await this.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(entry.iv), additionalData: aad },
+            wrapKey,
+            fromBase64(entry.wrapped)
+        );
+        return this.subtle.importKey('raw', raw, 'AES-GCM', false, ['decrypt']);
+    }
+
+    /**
+     * Decrypt a stored chat message; plaintext messages pass through
+     * Messages we cannot open come back with `undecryptable: true`
+     */
+    async decryptMessage(deviceId, stored) {
+        if (!stored.enc) return { ...stored, encrypted: false };
+
+        const { enc, ...meta } = stored;
+        const aad = associatedData(deviceId, meta.sender, meta.time);
+        try {
+            const key = enc.v === 1
+                ? await this.conversationKey(deviceId, enc.controlKey)
+                : await this.contentKey(deviceId, enc, aad);
+            const plaintext = await this.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(enc.iv), additionalData: aad },
+                key,
+                fromBase64(enc.ciphertext)
+            );
+            return { ...meta, ...JSON.parse(new TextDecoder().decode(plaintext)), encrypted: true };
+        } catch (error) {
+            console.warn('[ChatCrypto] Could not decrypt message:', error);
+            return { ...meta, text: 'Unable to decrypt message', undecryptable: true, encrypted: true };
+        }
+    }
+}
+
+export default new ChatCryptoService();
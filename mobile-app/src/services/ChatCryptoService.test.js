@@ -0,0 +1,167 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import chatCrypto, { ChatCryptoService } from './ChatCryptoService';
+import OfflineStorageService, { DB_NAME } from './OfflineStorageService';
+
+const DEVICE = 'GOS-A1B2C3';
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+
+// Key store stand-in backed by a Map
+function memoryKeyStore() {
+    const keys = new Map();
+    return {
+        getKey: async (id) => keys.get(id) || null,
+        putKey: async (record) => { keys.set(record.id, record); }
+    };
+}
+
+// LocalStorage stand-in backed by a Map, one per device or browser
+function stubStorage(items) {
+    vi.stubGlobal('localStorage', {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    });
+}
+
+// A device or operator browser with its own LocalStorage and key store
+async function participant(items = new Map(), keyStore = memoryKeyStore()) {
+    stubStorage(items);
+    const service = new ChatCryptoService({ keyStore });
+    await service.ready;
+    return { service, items };
+}
+
+// Run with that participant's LocalStorage in place
+const as = async ({ service, items }, action) => {
+    stubStorage(items);
+    return action(service);
+};
+
+describe('ChatCryptoService', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('encrypts for every operator key, and each operator can read and answer', async () => {
+        const device = await participant();
+        const first = await participant();
+        const second = await participant();
+        await as(device, s => s.setControlRoomKeys([first.service.publicKey, second.service.publicKey]));
+
+        const msg = { sender: 'user', time: 1000, text: 'trapped on the second floor' };
+        const sent = await as(device, s => s.encryptMessage(DEVICE, msg));
+        expect(sent.enc.recipients.map(r => r.key)).toEqual([first.service.publicKey, second.service.publicKey]);
+        expect(JSON.stringify(sent)).not.toContain('second floor');
+
+        expect(await as(first, s => s.decryptMessage(DEVICE, sent))).toEqual({ ...msg, encrypted: true });
+        expect(await as(second, s => s.decryptMessage(DEVICE, sent))).toEqual({ ...msg, encrypted: true });
+        expect(await as(device, s => s.decryptMessage(DEVICE, sent))).toEqual({ ...msg, encrypted: true });
+
+        // An operator reply addressed to the device first, as the dashboard writes it
+        await as(second, s => s.setControlRoomKeys([device.service.publicKey, first.service.publicKey]));
+        const reply = { sender: 'control', time: 2000, text: 'team on the way' };
+        const answered = await as(second, s => s.encryptMessage(DEVICE, reply));
+        expect(await as(device, s => s.decryptMessage(DEVICE, answered))).toEqual({ ...reply, encrypted: true });
+        expect(await as(first, s => s.decryptMessage(DEVICE, answered))).toEqual({ ...reply, encrypted: true });
+    });
+
+    it('cannot be read by a key it was not encrypted for, or under another conversation', async () => {
+        const device = await participant();
+        const operator = await participant();
+        const outsider = await participant();
+        await as(device, s => s.setControlRoomKeys([operator.service.publicKey]));
+
+        const sent = await as(device, s => s.encryptMessage(DEVICE, { sender: 'user', time: 1000, text: 'help' }));
+
+        expect(await as(outsider, s => s.decryptMessage(DEVICE, sent))).toMatchObject({ undecryptable: true });
+        expect(await as(operator, s => s.decryptMessage('GOS-OTHER1', sent))).toMatchObject({ undecryptable: true });
+    });
+
+    it('reads version 1 messages written for the single control room key', async () => {
+        const device = await participant();
+        const control = await crypto.subtle.generateKey(ECDH, false, ['deriveBits']);
+        const controlKey = toBase64(await crypto.subtle.exportKey('raw', control.publicKey));
+
+        const key = await device.service.conversationKey(DEVICE, controlKey);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(`${DEVICE}|user|1000`) },
+            key,
+            new TextEncoder().encode(JSON.stringify({ text: 'old message' }))
+        );
+        const stored = {
+            sender: 'user',
+            time: 1000,
+            enc: { v: 1, iv: toBase64(iv), ciphertext: toBase64(ciphertext), deviceKey: device.service.publicKey, controlKey }
+        };
+
+        expect(await as(device, s => s.decryptMessage(DEVICE, stored))).toEqual({ sender: 'user', time: 1000, text: 'old message', encrypted: true });
+    });
+
+    it('keeps encrypting for the single key earlier builds fetched until the operator keys arrive', async () => {
+        const operator = await participant();
+        const device = await participant(new Map([['google_sos_control_room_key', operator.service.publicKey]]));
+
+        expect(await as(device, s => s.canEncrypt())).toBe(true);
+        const sent = await as(device, s => s.encryptMessage(DEVICE, { sender: 'user', time: 1000, text: 'help' }));
+        expect(await as(operator, s => s.decryptMessage(DEVICE, sent))).toMatchObject({ text: 'help', encrypted: true });
+    });
+
+    describe('device keypair', () => {
+        let keyStore;
+
+        const deleteDatabase = () => new Promise(resolve => {
+            indexedDB.deleteDatabase(DB_NAME).onsuccess = resolve;
+        });
+
+        beforeEach(async () => {
+            // Start without the keypair the module's own instance stored on import
+            await chatCrypto.ready;
+            await deleteDatabase();
+            keyStore = new OfflineStorageService();
+        });
+
+        afterEach(async () => {
+            await keyStore.destroy();
+            await deleteDatabase();
+        });
+
+        it('keeps a non-extractable private key in IndexedDB across restarts', async () => {
+            const { service, items } = await participant(new Map(), keyStore);
+
+            expect(service.keyPair.privateKey.extractable).toBe(false);
+            await expect(crypto.subtle.exportKey('jwk', service.keyPair.privateKey)).rejects.toThrow();
+            expect(items.size).toBe(0);
+
+            const restarted = await participant(items, keyStore);
+            expect(restarted.service.publicKey).toBe(service.publicKey);
+        });
+
+        it('moves the LocalStorage keypair of earlier builds into IndexedDB, keeping its public key', async () => {
+            const legacy = await crypto.subtle.generateKey(ECDH, true, ['deriveBits']);
+            const items = new Map([['google_sos_chat_keypair', JSON.stringify({
+                privateKey: await crypto.subtle.exportKey('jwk', legacy.privateKey),
+                publicKey: await crypto.subtle.exportKey('jwk', legacy.publicKey)
+            })]]);
+            const publicKey = toBase64(await crypto.subtle.exportKey('raw', legacy.publicKey));
+
+            const { service } = await participant(items, keyStore);
+            expect(service.publicKey).toBe(publicKey);
+            expect(items.has('google_sos_chat_keypair')).toBe(false);
+
+            const stored = await keyStore.getKey('chat');
+            expect(stored.privateKey.extractable).toBe(false);
+            const restarted = await participant(items, keyStore);
+            expect(restarted.service.publicKey).toBe(publicKey);
+        });
+    });
+});
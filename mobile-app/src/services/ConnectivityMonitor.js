@@ -0,0 +1,180 @@
+/**
+ * ConnectivityMonitor - Decides whether the cloud is actually reachable
+ *
+ * navigator.onLine only says a network interface is up; it stays true behind
+ * captive portals and on dead cellular links. This combines three signals:
+ *   - navigator.onLine                  (cheap, catches airplane mode instantly)
+ *   - the backend's own connection      (Firebase .info/connected)
+ *   - a small HTTP probe with a timeout (catches portals and links that stopped passing traffic)
+ *
+ * State: { status: 'offline' | 'degraded' | 'online', latency, browserOnline,
+ *          backendConnected, probeOk, checkedAt }
+ * 'degraded' means requests get through but slowly or only over one of the two
+ * paths; treat it as online for sending, but expect retries.
+ */
+
+const PROBE_INTERVAL = 30000; // re-check a healthy link every 30 seconds
+const PROBE_RETRY_DELAY = 5000; // first re-check after a failed probe
+const MAX_PROBE_RETRY_DELAY = 120000; // failed probes back off up to 2 minutes
+const PROBE_TIMEOUT = 5000;
+const SLOW_LATENCY = 1500; // probe round trips slower than this count as degraded
+
+class ConnectivityMonitor {
+    /**
+     * backend: adapter with onConnectionChange(fn)
+     * probeUrl: URL that answers with CORS headers (null disables the probe)
+     */
+    constructor(backend, { probeUrl = null } = {}) {
+        this.backend = backend;
+        this.probeUrl = probeUrl;
+        this.listeners = new Set();
+        this.probeTimer = null;
+        this.probeFailures = 0;
+        this.probing = false; // a probe is in flight
+        this.stopBackend = null;
+        this.started = false;
+
+        this.handleBrowserOnline = () => this.update({ browserOnline: true }, true);
+        this.handleBrowserOffline = () => this.update({ browserOnline: false });
+
+        this.state = {
+            status: navigator.onLine ? 'degraded' : 'offline', // unconfirmed until a signal arrives
+            latency: null,
+            browserOnline: navigator.onLine,
+            backendConnected: false,
+            probeOk: null, // null until the first probe finishes
+            checkedAt: null
+        };
+    }
+
+    /**
+     * Start watching; safe to call more than once
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        window.addEventListener('online', this.handleBrowserOnline);
+        window.addEventListener('offline', this.handleBrowserOffline);
+        this.stopBackend = this.backend.onConnectionChange((connected) => {
+            // A backend that just dropped is worth re-probing right away
+            this.update({ backendConnected: connected }, !connected);
+        });
+        this.probe();
+
+        console.log('[ConnectivityMonitor] Started');
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        window.removeEventListener('online', this.handleBrowserOnline);
+        window.removeEventListener('offline', this.handleBrowserOffline);
+        this.stopBackend?.();
+        this.stopBackend = null;
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+    }
+
+    /**
+     * Merge new signal values and recompute the status
+     */
+    update(changes, probeNow = false) {
+        const previous = this.state;
+        const next = { ...previous, ...changes };
+        next.status = this.classify(next);
+        this.state = next;
+
+        if (next.status !== previous.status) {
+            console.log(`[ConnectivityMonitor] ${previous.status} -> ${next.status}`);
+        }
+        this.listeners.forEach(listener => {
+            try {
+                listener(next, previous);
+            } catch (error) {
+                console.error('[ConnectivityMonitor] Listener error:', error);
+            }
+        });
+
+        if (probeNow && this.started) this.probe();
+    }
+
+    classify({ browserOnline, backendConnected, probeOk, latency }) {
+        if (!browserOnline) return 'offline';
+        if (probeOk === null) return backendConnected ? 'online' : 'degraded';
+        if (!probeOk) return backendConnected ? 'degraded' : 'offline';
+        if (!backendConnected || latency > SLOW_LATENCY) return 'degraded';
+        return 'online';
+    }
+
+    /**
+     * Run one probe now and schedule the next one
+     */
+    async probe() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+        if (!this.probeUrl) return;
+
+        if (!navigator.onLine) {
+            // Nothing to probe; the browser's online event restarts us
+            this.update({ browserOnline: false });
+            return;
+        }
+
+        // The probe in flight answers for this one too, and schedules the next
+        if (this.probing) return;
+        this.probing = true;
+
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+        let probeOk = false;
+        try {
+            // Any response we are allowed to read came from the real server; a portal's
+            // redirect to another origin fails the CORS check and throws
+            const response = await fetch(this.probeUrl, { cache: 'no-store', signal: controller.signal });
+            probeOk = response.status < 500;
+        } catch {
+            probeOk = false;
+        } finally {
+            clearTimeout(timeout);
+            this.probing = false;
+        }
+        if (!this.started) return;
+
+        this.probeFailures = probeOk ? 0 : this.probeFailures + 1;
+        this.update({
+            browserOnline: navigator.onLine,
+            probeOk,
+            latency: probeOk ? Date.now() - startedAt : null,
+            checkedAt: Date.now()
+        });
+
+        const delay = probeOk
+            ? PROBE_INTERVAL
+            : Math.min(MAX_PROBE_RETRY_DELAY, PROBE_RETRY_DELAY * 2 ** (this.probeFailures - 1));
+        this.probeTimer = setTimeout(() => this.probe(), delay);
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * True when sending is worth trying (online or degraded)
+     */
+    isOnline() {
+        return this.state.status !== 'offline';
+    }
+
+    /**
+     * Call listener(state, previous) on every change; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
+
+export default ConnectivityMonitor;
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ConnectivityMonitor from './ConnectivityMonitor';
+import MemoryBackend from './backend/MemoryBackend';
+
+const PROBE_URL = 'https://probe.example/ping';
+
+// fetch that answers after `delay` ms, or never (aborting it rejects like the real one)
+const respond = (status, delay = 50) => (url, { signal }) => new Promise((resolve, reject) => {
+    const timer = status === null ? null : setTimeout(() => resolve({ status }), delay);
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted', 'AbortError'));
+    });
+});
+
+describe('ConnectivityMonitor', () => {
+    let backend;
+    let browser;
+    let monitor;
+    let transitions;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        browser = Object.assign(new EventTarget(), { onLine: true });
+        vi.stubGlobal('window', browser);
+        vi.stubGlobal('navigator', browser);
+        vi.stubGlobal('fetch', vi.fn(respond(204)));
+
+        backend = new MemoryBackend();
+        backend.connected = false;
+        monitor = new ConnectivityMonitor(backend, { probeUrl: PROBE_URL });
+        transitions = [];
+        monitor.subscribe((state, previous) => {
+            if (state.status !== previous.status) transitions.push(`${previous.status}->${state.status}`);
+        });
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('starts degraded while nothing is confirmed, and offline without a network', () => {
+        expect(monitor.getState().status).toBe('degraded');
+        expect(monitor.isOnline()).toBe(true);
+
+        browser.onLine = false;
+        expect(new ConnectivityMonitor(backend, { probeUrl: PROBE_URL }).getState().status).toBe('offline');
+    });
+
+    it('goes online once the probe answers and the backend connects', async () => {
+        monitor.start();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(monitor.getState()).toMatchObject({ status: 'degraded', probeOk: true, latency: 50 });
+
+        backend.setConnected(true);
+        expect(monitor.getState().status).toBe('online');
+        expect(transitions).toEqual(['degraded->online']);
+    });
+
+    it('goes offline when the probe cannot reach the server and the backend is down', async () => {
+        fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+        monitor.start();
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(monitor.getState()).toMatchObject({ status: 'offline', probeOk: false, latency: null });
+        expect(monitor.isOnline()).toBe(false);
+        expect(transitions).toEqual(['degraded->offline']);
+    });
+
+    it('counts a 5xx answer as a failed probe', async () => {
+        fetch.mockImplementation(respond(503));
+        monitor.start();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(monitor.getState()).toMatchObject({ status: 'offline', probeOk: false });
+
+        // The backend's own connection still gets through
+        backend.setConnected(true);
+        expect(monitor.getState().status).toBe('degraded');
+    });
+
+    it('fails a probe that does not answer within the timeout', async () => {
+        fetch.mockImplementation(respond(null));
+        monitor.start();
+
+        await vi.advanceTimersByTimeAsync(4999);
+        expect(monitor.getState().probeOk).toBe(null);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(monitor.getState()).toMatchObject({ status: 'offline', probeOk: false });
+        expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    it('reports a slow probe as degraded', async () => {
+        fetch.mockImplementation(respond(200, 2000));
+        backend.setConnected(true);
+        monitor.start();
+        await vi.advanceTimersByTimeAsync(2000);
+
+        expect(monitor.getState()).toMatchObject({ status: 'degraded', probeOk: true, latency: 2000 });
+    });
+
+    it('backs off failed probes and recovers when the link comes back', async () => {
+        fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+        monitor.start();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(9999);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(fetch).toHaveBeenCalledTimes(3);
+
+        // The backend reconnects first, the next probe confirms
+        fetch.mockImplementation(respond(204));
+        backend.setConnected(true);
+        expect(monitor.getState().status).toBe('degraded');
+        await vi.advanceTimersByTimeAsync(20000 + 50);
+
+        expect(fetch).toHaveBeenCalledTimes(4);
+        expect(monitor.getState().status).toBe('online');
+        expect(transitions).toEqual(['degraded->offline', 'offline->degraded', 'degraded->online']);
+    });
+
+    it('follows the browser going offline and back online', async () => {
+        backend.setConnected(true);
+        monitor.start();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(monitor.getState().status).toBe('online');
+
+        browser.onLine = false;
+        browser.dispatchEvent(new Event('offline'));
+        expect(monitor.getState().status).toBe('offline');
+
+        browser.onLine = true;
+        browser.dispatchEvent(new Event('online'));
+        await vi.advanceTimersByTimeAsync(100);
+        expect(monitor.getState().status).toBe('online');
+        expect(transitions).toEqual(['degraded->online', 'online->offline', 'offline->online']);
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * DeviceIdentityService - Persistent device identity
+ *
+ * Each Firebase account gets one stable `GOS-XXXXXX` deviceId on this install,
+ * kept in IndexedDB (LocalStorage fallback) so reloads no longer mint a new victim.
+ * Identities live in OfflineStorageService's database and upgrade through its
+ * MIGRATIONS; builds before that kept them in a database of their own.
+ * IDs the account used before are linked to the current one under
+ * `device_links/{oldId}` so the control room can still find earlier chats.
+ * A link belongs to the account that wrote it first; database.rules.json refuses
+ * anyone else's write, so an ID can't be claimed away from the account that has it.
+ * Every ID an account gets is also noted in LocalStorage, so if the identity
+ * store is lost and a new ID has to be minted, the old one is still linked.
+ */
+
+import { ref, get, set, query, orderByValue, equalTo } from 'firebase/database';
+import { DB_NAME, DB_VERSION, STORES, migrate } from './OfflineStorageService';
+
+const ID_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ID_LENGTH = 6;
+const LEGACY_DB_NAME = 'GoogleSOSIdentity';
+
+class DeviceIdentityService {
+    constructor() {
+        this.dbName = DB_NAME;
+        this.dbVersion = DB_VERSION;
+        this.storeName = STORES.identities;
+        this.localStorageKey = 'google_sos_identity';
+        this.usedIdsKey = 'google_sos_used_device_ids'; // uid -> every deviceId it had on this install
+        this.db = null;
+        this.useLocalStorage = false;
+        this.identity = null;
+
+        this.ready = this.init();
+    }
+
+    /**
+     * Initialize IndexedDB
+     */
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            console.log('[DeviceIdentity] IndexedDB initialized');
+        } catch (error) {
+            console.warn('[DeviceIdentity] IndexedDB failed, using LocalStorage fallback', error);
+            this.useLocalStorage = true;
+            return;
+        }
+
+        try {
+            await this.importLegacyDatabase();
+        } catch (error) {
+            // The old database is only deleted after a full copy; the next launch tries again
+            console.warn('[DeviceIdentity] Could not import identities from the old database', error);
+        }
+    }
+
+    /**
+     * Open IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                // Don't hold up a newer build's upgrade; the next read or write reopens
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) this.db = null;
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                migrate(request.result, request.transaction, event.oldVersion);
+            };
+        });
+    }
+
+    async connection() {
+        if (!this.db) this.db = await this.openDatabase();
+        return this.db;
+    }
+
+    /**
+     * Copy identities from the database earlier builds kept them in, then delete it
+     * Identities already in the current store win over the old copies.
+     */
+    async importLegacyDatabase() {
+        const legacy = await new Promise((resolve) => {
+            const request = indexedDB.open(LEGACY_DB_NAME);
+            // Opening a database that doesn't exist would create it; abort instead
+            request.onupgradeneeded = (event) => {
+                if (event.oldVersion === 0) request.transaction.abort();
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+        if (!legacy) return;
+
+        let identities = [];
+        try {
+            if (legacy.objectStoreNames.contains(this.storeName)) {
+                identities = await new Promise((resolve, reject) => {
+                    const request = legacy.transaction([this.storeName], 'readonly').objectStore(this.storeName).getAll();
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+        } finally {
+            legacy.close();
+        }
+
+        for (const identity of identities) {
+            if (!(await this.read(identity.uid))) await this.write(identity);
+        }
+        await new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(LEGACY_DB_NAME);
+            // Blocked by another tab: it is deleted once that tab lets go
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        });
+        console.log(`[DeviceIdentity] Moved ${identities.length} identity record(s) out of ${LEGACY_DB_NAME}`);
+    }
+
+    /**
+     * Load (or create on first login) the identity for a Firebase uid
+     * Resolves to { uid, deviceId, previousIds, createdAt }
+     */
+    async load(uid) {
+        await this.ready;
+
+        let identity = await this.read(uid);
+        if (!identity) {
+            identity = {
+                uid,
+                deviceId: this.generateDeviceId(),
+                previousIds: this.getUsedIds(uid), // the store was lost; linkPreviousIds publishes these
+                createdAt: Date.now()
+            };
+            await this.write(identity);
+            console.log(`[DeviceIdentity] Created ${identity.deviceId} for this account`);
+        }
+
+        this.rememberUsedId(uid, identity.deviceId);
+        this.identity = identity;
+        return identity;
+    }
+
+    getUsedIds(uid) {
+        try {
+            return (JSON.parse(localStorage.getItem(this.usedIdsKey)) || {})[uid] || [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Note an ID in LocalStorage, apart from the identity store, before it can be replaced
+     */
+    rememberUsedId(uid, deviceId) {
+        if (this.getUsedIds(uid).includes(deviceId)) return;
+        try {
+            const used = JSON.parse(localStorage.getItem(this.usedIdsKey)) || {};
+            used[uid] = [...(used[uid] || []), deviceId];
+            localStorage.setItem(this.usedIdsKey, JSON.stringify(used));
+        } catch (error) {
+            console.warn('[DeviceIdentity] Could not note the device ID:', error);
+        }
+    }
+
+    /**
+     * Publish links for every earlier ID, including ones from before identities were persisted
+     *
+     * Builds before that minted a fresh deviceId per launch and kept nothing of it
+     * locally, but they kept one chat keypair, so every ID that published our chat key
+     * under `chat_keys` was this device. IDs that already have a link belong to a
+     * persisted identity and are left alone. Each link is written on its own: one the
+     * rules refuse (another account got there first) is dropped, not the whole batch.
+     */
+    async linkPreviousIds(db, chatPublicKey = null) {
+        const identity = this.identity;
+        if (!identity) return [];
+
+        const found = [];
+        if (chatPublicKey) {
+            try {
+                // Only the entries holding our key; with `".indexOn": ".value"` on chat_keys the server filters them
+                const snapshot = await get(query(ref(db, 'chat_keys'), orderByValue(), equalTo(chatPublicKey)));
+                const candidates = [];
+                snapshot.forEach(child => {
+                    candidates.push(child.key);
+                });
+                for (const id of candidates) {
+                    const link = await get(ref(db, `device_links/${id}`));
+                    if (!link.exists() || link.val().uid === identity.uid) found.push(id);
+                }
+            } catch (error) {
+                console.warn('[DeviceIdentity] Could not look up earlier IDs:', error);
+            }
+        }
+
+        const added = found.filter(id => id !== identity.deviceId && !identity.previousIds.includes(id));
+        if (added.length > 0) {
+            identity.previousIds = [...identity.previousIds, ...added];
+            await this.write(identity);
+            console.log(`[DeviceIdentity] Linked ${added.length} earlier ID(s) to ${identity.deviceId}`);
+        }
+
+        // Every known ID points at the current one, tagged with the account it belongs to
+        const link = { uid: identity.uid, deviceId: identity.deviceId, linkedAt: Date.now() };
+        const ids = [identity.deviceId, ...identity.previousIds];
+        const results = await Promise.allSettled(ids.map(id => set(ref(db, `device_links/${id}`), link)));
+
+        const refused = ids.filter((id, i) => results[i].status === 'rejected' && results[i].reason?.code === 'PERMISSION_DENIED');
+        results.forEach((result, i) => {
+            if (result.status === 'rejected' && !refused.includes(ids[i])) {
+                console.warn(`[DeviceIdentity] Could not link ${ids[i]}:`, result.reason);
+            }
+        });
+        if (refused.length > 0) {
+            console.warn(`[DeviceIdentity] ${refused.join(', ')} belong(s) to another account, not linked`);
+            identity.previousIds = identity.previousIds.filter(id => !refused.includes(id));
+            await this.write(identity);
+        }
+
+        return added.filter(id => !refused.includes(id));
+    }
+
+    generateDeviceId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(ID_LENGTH));
+        return `GOS-${Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('')}`;
+    }
+
+    async read(uid) {
+        if (this.useLocalStorage) {
+            return this.getLocalStorageIdentities()[uid] || null;
+        }
+
+        const db = await this.connection();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readonly');
+            const request = transaction.objectStore(this.storeName).get(uid);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async write(identity) {
+        if (this.useLocalStorage) {
+            const identities = this.getLocalStorageIdentities();
+            identities[identity.uid] = identity;
+            localStorage.setItem(this.localStorageKey, JSON.stringify(identities));
+            return;
+        }
+
+        const db = await this.connection();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.storeName], 'readwrite');
+            const request = transaction.objectStore(this.storeName).put(identity);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getLocalStorageIdentities() {
+        try {
+            return JSON.parse(localStorage.getItem(this.localStorageKey)) || {};
+        } catch {
+            return {};
+        }
+    }
+}
+
+export default new DeviceIdentityService();
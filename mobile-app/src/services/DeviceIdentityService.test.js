@@ -0,0 +1,117 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+// Realtime Database stand-in: a flat path -> value map that enforces the device_links
+// rule from database.rules.json (a link can only be rewritten by the account that owns it)
+const remote = vi.hoisted(() => {
+    const data = new Map();
+    const snapshot = (value, children = []) => ({
+        exists: () => value !== undefined,
+        val: () => value,
+        forEach: (callback) => children.forEach(key => callback({ key }))
+    });
+    return {
+        data,
+        ref: (db, path) => ({ path }),
+        orderByValue: () => ({}),
+        equalTo: (value) => ({ equalTo: value }),
+        query: (at, ...constraints) => ({ ...at, equalTo: constraints.find(c => 'equalTo' in c).equalTo }),
+        get: async ({ path, equalTo }) => {
+            if (equalTo === undefined) return snapshot(data.get(path));
+            const keys = Array.from(data.keys())
+                .filter(key => key.startsWith(`${path}/`) && data.get(key) === equalTo)
+                .map(key => key.slice(path.length + 1));
+            return snapshot(keys.length > 0 ? {} : undefined, keys);
+        },
+        set: async ({ path }, value) => {
+            const existing = data.get(path);
+            if (path.startsWith('device_links/') && existing && existing.uid !== value.uid) {
+                throw Object.assign(new Error('PERMISSION_DENIED: Permission denied'), { code: 'PERMISSION_DENIED' });
+            }
+            data.set(path, value);
+        }
+    };
+});
+vi.mock('firebase/database', () => remote);
+
+// The separate database identities were kept in before they joined the shared schema
+function createLegacyDatabase(identities) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open('GoogleSOSIdentity', 1);
+        open.onupgradeneeded = () => {
+            const store = open.result.createObjectStore('identities', { keyPath: 'uid' });
+            identities.forEach(identity => store.put(identity));
+        };
+        open.onsuccess = () => {
+            open.result.close();
+            resolve();
+        };
+        open.onerror = () => reject(open.error);
+    });
+}
+
+describe('DeviceIdentityService', () => {
+    const saved = { uid: 'user-1', deviceId: 'GOS-ABC123', previousIds: ['GOS-OLD999'], createdAt: 1000 };
+    let deviceIdentity;
+
+    beforeAll(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const items = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        });
+        await createLegacyDatabase([saved]);
+
+        // The service is a singleton that opens its database on import
+        ({ default: deviceIdentity } = await import('./DeviceIdentityService'));
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('keeps the deviceId stored by builds that used a separate database', async () => {
+        expect(await deviceIdentity.load('user-1')).toEqual(saved);
+
+        const databases = (await indexedDB.databases()).map(db => db.name);
+        expect(databases).not.toContain('GoogleSOSIdentity');
+    });
+
+    it('links the old deviceId when the identity store is lost', async () => {
+        await deviceIdentity.load('user-1');
+        await new Promise((resolve, reject) => {
+            const request = deviceIdentity.db.transaction([deviceIdentity.storeName], 'readwrite')
+                .objectStore(deviceIdentity.storeName).clear();
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        const identity = await deviceIdentity.load('user-1');
+        expect(identity.deviceId).not.toBe(saved.deviceId);
+        expect(identity.previousIds).toEqual([saved.deviceId]);
+    });
+
+    it('links earlier IDs that published our chat key, except ones another account owns', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const identity = await deviceIdentity.load('user-1');
+        const other = { uid: 'user-9', deviceId: 'GOS-OTHER9', linkedAt: 1 };
+        remote.data.set('chat_keys/GOS-OLD001', 'our-key');
+        remote.data.set('chat_keys/GOS-TAKEN1', 'our-key'); // copied by another account, which linked it first
+        remote.data.set('chat_keys/GOS-OTHER9', 'their-key');
+        remote.data.set('device_links/GOS-TAKEN1', other);
+        remote.data.set(`device_links/${saved.deviceId}`, other); // claimed while this install still listed it
+
+        const added = await deviceIdentity.linkPreviousIds({}, 'our-key');
+
+        expect(added).toEqual(['GOS-OLD001']);
+        expect(identity.previousIds).toEqual(['GOS-OLD001']);
+        expect((await deviceIdentity.load('user-1')).previousIds).toEqual(['GOS-OLD001']);
+        expect(remote.data.get('device_links/GOS-OLD001')).toMatchObject({ uid: 'user-1', deviceId: identity.deviceId });
+        expect(remote.data.get(`device_links/${identity.deviceId}`)).toMatchObject({ uid: 'user-1' });
+        expect(remote.data.get('device_links/GOS-TAKEN1')).toBe(other);
+        expect(remote.data.get(`device_links/${saved.deviceId}`)).toBe(other);
+    });
+});
@@ -1,75 +1,241 @@
 /**
- * NearbyConnectionsService - Handles mesh networking via BroadcastChannel
- * Simulates Bluetooth/Wi-Fi Direct for web, will use native APIs in Android build
+ * NearbyConnectionsService - Handles mesh networking over a pluggable transport
+ * Uses BLE on native builds (central-only where there is no GATT server bridge),
+ * BroadcastChannel (same-browser tabs / same WebView) on the web
  */
 
+import { Capacitor } from '@capacitor/core';
+import BroadcastChannelTransport from './mesh/BroadcastChannelTransport';
+import BleTransport from './mesh/BleTransport';
+import { loadGattServer } from './mesh/gattServerBridge';
+import NeighborTable from './mesh/NeighborTable';
+import TransmitQueue from './mesh/TransmitQueue';
+import PacketSigner, { canonicalize, MUTABLE_FIELDS } from './mesh/PacketSigner';
+import { hashMessageId, createDigest, digestFingerprint, packetSize } from './mesh/digest';
+import { validatePacket, SCHEMA_VERSION, MAX_PATH_LENGTH } from './mesh/packetSchema';
+import { wireCodec, quantizeCoordinate } from './mesh/wireFormat';
+import { systemClock } from './mesh/clock';
+
+const MAX_ACCEPTED_IDS = 2000; // how many verified IDs to remember for replay detection
+const MAX_CUSTODY = 200; // SOS packets carried at once; the oldest is dropped beyond this
+const MAX_HEARD_FROM = 8; // forwarders remembered per cached packet
+
+// ACK stages that prove an SOS reached the cloud, ending custody
+const CUSTODY_RELEASE_STAGES = ['cloud', 'responder'];
+
+// Single-hop control packets: verified but never cached or forwarded
+const LINK_LOCAL_TYPES = ['HELLO', 'SUMMARY_VECTOR', 'CUSTODY_REQUEST', 'DIGEST', 'PULL'];
+
+const PULL_TIMEOUT = 1000; // don't pull (or serve) the same packet twice within this window
+const DIGEST_RETRY_BEACONS = 2; // repeat a digest for an unchanged difference every this many beacons (it may have been lost)
+
+// Adaptive forwarding: with more neighbors than this, each relays with probability DENSE_NEIGHBORS / n
+const DENSE_NEIGHBORS = 4;
+const MIN_FORWARD_PROBABILITY = 0.25;
+
+// Transports whose frames are at most this big get the compact binary wire format
+const COMPACT_WIRE_MTU = 512;
+
+// PacketSigner failure reason -> getStats().dropped counter
+const VERIFY_DROP_COUNTERS = {
+    'unsigned': 'unsigned',
+    'invalid-signature': 'invalidSignature',
+    'key-mismatch': 'keyMismatch'
+};
+
+/**
+ * Pick the transport for the current platform
+ * Native builds use BLE. Android has the MeshGattServer plugin and takes both roles;
+ * elsewhere (iOS) BLE runs central-only and reaches advertising peers but is not
+ * found by other central-only nodes. The web stays on BroadcastChannel.
+ */
+export function createTransport({ gattServer = loadGattServer(), native = Capacitor.isNativePlatform() } = {}) {
+    if (gattServer || native) {
+        return new BleTransport({ gattServer });
+    }
+    return new BroadcastChannelTransport();
+}
+
 class NearbyConnectionsService {
-    constructor(deviceId) {
+    constructor(deviceId, {
+        transport,
+        signer,
+        custodyStore = null,
+        custodyLifetime = 24 * 60 * 60 * 1000,
+        clock = systemClock,
+        random = Math.random,
+        beaconInterval = 10000,
+        neighborExpiry = 30000,
+        queueOptions = {}
+    } = {}) {
         this.deviceId = deviceId;
-        this.meshChannel = new BroadcastChannel('google_sos_mesh');
-        this.connectedPeers = new Map();
+        this.transport = transport || createTransport();
+        if (this.transport.mtu <= COMPACT_WIRE_MTU && this.transport.setCodec) {
+            this.transport.setCodec(wireCodec);
+        }
+        this.signer = signer || new PacketSigner({ keyStore: custodyStore });
+        this.clock = clock;
+        this.random = random;
+        this.beaconInterval = beaconInterval;
+        this.neighbors = new NeighborTable({ beaconInterval, expiry: neighborExpiry, clock });
+        this.queue = new TransmitQueue({ ...queueOptions, localId: deviceId, clock, send: (message) => this.transmit(message) });
+        this.presence = { battery: null, online: false, position: null };
         this.messageCache = new Map();
+        this.acceptedIds = new Set(); // outlives messageCache (and restarts, via custodyStore) so replays of old packets are caught
+        this.unverified = 0; // packets accepted without a signature check, because WebCrypto is missing
+        this.verifying = new Set();
+        this.dropped = {
+            duplicate: 0,
+            maxHops: 0,
+            expired: 0,
+            replayed: 0,
+            unsigned: 0,
+            invalidSignature: 0,
+            keyMismatch: 0,
+            senderMismatch: 0,
+            malformed: 0,
+            invalidPayload: 0
+        };
         this.messageHandlers = [];
+        this.pendingWork = 0; // packets being verified or signed right now
         this.maxHops = 5; // Maximum hops for message forwarding
+        this.maxCustodyHops = MAX_PATH_LENGTH; // SOS packets go on past maxHops, but only by custody hand-off
+        this.routingStats = { gradient: 0, gossiped: 0, suppressed: 0, skipped: 0, unprocessed: 0 };
         this.ttl = 300000; // 5 minutes TTL for messages
 
+        // Store-and-forward: SOS packets we carry until a cloud ACK or custodyLifetime
+        this.custody = new Map(); // messageId -> { messageId, packet, sosId, expiresAt }
+        this.custodyStore = custodyStore; // persists custody, accepted IDs and the signing key across restarts (OfflineStorageService)
+        this.custodyLifetime = custodyLifetime;
+        this.custodyStats = { offered: 0, requested: 0, transferred: 0, released: 0, expired: 0 };
+
+        // Anti-entropy gossip: neighbors swap digests of messageCache and pull what they lack
+        this.digestPending = null; // timer of the next debounced digest
+        this.digestedFor = new Map(); // neighborId -> { pair, beacons } for the difference we last sent a digest over
+        this.pulling = new Map(); // hash -> time we asked for it
+        this.served = new Map(); // hash -> time we last put it on the air for a pull
+        this.gossipStats = { digestsSent: 0, pullsSent: 0, packetsServed: 0, floodBytes: 0, gossipBytes: 0 };
+
         this.init();
     }
 
     init() {
         // Listen for mesh messages
-        this.meshChannel.onmessage = (event) => {
-            this.handleIncomingMessage(event.data);
-        };
+        this.unsubscribeTransport = this.transport.onReceive((data) => {
+            this.pendingWork++;
+            this.handleIncomingMessage(data)
+                .catch(error => console.error('[NearbyConnections] Failed to handle incoming packet:', error))
+                .finally(() => this.pendingWork--);
+        });
 
         // Periodic cleanup of old messages
-        setInterval(() => this.cleanupOldMessages(), 60000);
+        this.cleanupTimer = this.clock.setInterval(() => this.cleanupOldMessages(), 60000);
+
+        // Announce ourselves and expire silent neighbors
+        this.beaconTimer = this.clock.setInterval(() => {
+            this.neighbors.prune();
+            this.sendBeacon().catch(error => console.warn('[NearbyConnections] Beacon failed:', error));
+        }, this.beaconInterval);
+        this.trackBattery();
+        this.restored = Promise.all([this.loadCustody(), this.loadAcceptedIds()]);
+        this.sendBeacon().catch(error => console.warn('[NearbyConnections] Beacon failed:', error));
 
-        console.log(`[NearbyConnections] Initialized for device: ${this.deviceId}`);
+        console.log(`[NearbyConnections] Initialized for device: ${this.deviceId} (${this.transport.name})`);
     }
 
     /**
      * Handle incoming mesh messages
      */
-    handleIncomingMessage(data) {
-        const { type, payload, messageId, hops = 0, timestamp, senderId } = data;
+    async handleIncomingMessage(data) {
+        // Reject anything that doesn't match the packet schema before touching it
+        const check = validatePacket(data);
+        if (!check.valid) {
+            this.dropped[check.reason] = (this.dropped[check.reason] || 0) + 1;
+            console.warn(`[NearbyConnections] Rejected ${check.reason} packet (${check.detail}): ${data?.messageId}`);
+            return;
+        }
+
+        const { type, payload, messageId, hops = 0, timestamp, senderId, path = [] } = data;
 
         // Ignore messages from self
         if (senderId === this.deviceId) return;
 
+        // Beacons, gossip and custody negotiation are single-hop, never cached or forwarded
+        if (LINK_LOCAL_TYPES.includes(type)) {
+            if (hops === 0 && await this.verifyPacket(data)) {
+                this.handleLinkLocal(data);
+            }
+            return;
+        }
+
+        // Replay checks need what the last session accepted
+        await this.restored;
+
         // Check if we've already seen this message (prevent loops)
-        if (this.messageCache.has(messageId)) {
+        if (this.messageCache.has(messageId) || this.verifying.has(messageId) || this.custody.has(messageId)) {
+            this.dropped.duplicate++;
+            this.noteHeardFrom(this.messageCache.get(messageId), data);
             console.log(`[NearbyConnections] Duplicate message ignored: ${messageId}`);
             return;
         }
 
-        // Check if message has exceeded max hops
-        if (hops >= this.maxHops) {
+        // Already accepted once and since evicted from the cache: someone is replaying it
+        if (this.acceptedIds.has(messageId)) {
+            this.dropped.replayed++;
+            console.warn(`[NearbyConnections] Replayed message dropped: ${messageId}`);
+            return;
+        }
+
+        // Check if message has exceeded max hops; an SOS may come further by custody hand-off
+        if (hops >= (type === 'SOS_BROADCAST' ? this.maxCustodyHops : this.maxHops)) {
+            this.dropped.maxHops++;
             console.log(`[NearbyConnections] Message exceeded max hops: ${messageId}`);
             return;
         }
 
-        // Check if message has expired
-        const age = Date.now() - timestamp;
-        if (age > this.ttl) {
+        // Check if message has expired; SOS packets may arrive late from a custodian
+        const age = this.clock.now() - timestamp;
+        if (age > (type === 'SOS_BROADCAST' ? Math.max(this.ttl, this.custodyLifetime) : this.ttl)) {
+            this.dropped.expired++;
             console.log(`[NearbyConnections] Expired message ignored: ${messageId}`);
             return;
         }
 
+        // Verify the originator's signature before acting on or relaying anything
+        this.verifying.add(messageId);
+        let verified = false;
+        try {
+            verified = await this.verifyPacket(data);
+        } finally {
+            this.verifying.delete(messageId);
+        }
+        if (!verified) return;
+
         // Cache this message
-        this.messageCache.set(messageId, {
-            timestamp,
-            hops,
-            type,
-            payload
-        });
+        const { proof } = this.remember(data);
+
+        // Unknown type or newer schema: relay it for the devices that understand it
+        if (!check.process) {
+            this.routingStats.unprocessed++;
+            console.log(`[NearbyConnections] Relaying unprocessed ${type} (v${data.v}) from ${senderId}`);
+            this.forwardMessage(data);
+            return;
+        }
+
+        if (type === 'SOS_BROADCAST') {
+            this.takeCustody(data);
+            // Flooding stops here; from now on only custody hand-offs carry it further
+            if (hops + 1 >= this.maxHops) this.offerCustodyAround(data);
+        } else if (type === 'SOS_ACK' && CUSTODY_RELEASE_STAGES.includes(payload.stage)) {
+            this.releaseCustody(payload.sosId);
+        }
 
         console.log(`[NearbyConnections] Received ${type} from ${senderId} (hops: ${hops})`);
 
         // Notify all registered handlers
         this.messageHandlers.forEach(handler => {
             try {
-                handler({ type, payload, messageId, hops, senderId });
+                handler({ type, payload, messageId, hops, senderId, proof, path });
             } catch (error) {
                 console.error('[NearbyConnections] Handler error:', error);
             }
@@ -79,11 +245,299 @@ class NearbyConnectionsService {
         this.forwardMessage(data);
     }
 
+    /**
+     * Handle a verified single-hop packet from a direct neighbor
+     */
+    handleLinkLocal({ type, payload, senderId }) {
+        if (type === 'HELLO') {
+            const isNew = !this.neighbors.get(senderId);
+            this.neighbors.update(senderId, payload);
+            if (isNew) this.offerCustody(senderId);
+            this.compareDigest(senderId, payload.digest);
+            return;
+        }
+
+        // Digests go to every neighbor at once
+        if (type === 'DIGEST') {
+            if (Array.isArray(payload.hashes)) this.handleDigest(senderId, payload.hashes);
+            return;
+        }
+
+        if (type === 'PULL') {
+            if (payload.to === this.deviceId && Array.isArray(payload.hashes)) this.servePull(senderId, payload.hashes);
+            return;
+        }
+
+        // Summary vectors and requests are addressed to one neighbor
+        if (payload.to !== this.deviceId || !Array.isArray(payload.ids)) return;
+
+        if (type === 'SUMMARY_VECTOR') {
+            const missing = payload.ids.filter(id => !this.hasSeen(id));
+            if (missing.length > 0) {
+                this.custodyStats.requested += missing.length;
+                this.sendLinkLocal('CUSTODY_REQUEST', senderId, { ids: missing });
+            }
+        } else if (type === 'CUSTODY_REQUEST') {
+            let handed = 0;
+            payload.ids.forEach(id => {
+                const entry = this.custody.get(id);
+                if (!entry) return;
+                // A hand-off is a hop like any relay, counted against maxCustodyHops instead of maxHops
+                const hops = this.custodyHops(entry);
+                if (hops >= this.maxCustodyHops) return;
+                this.custodyStats.transferred++;
+                handed++;
+                this.send({
+                    ...entry.packet,
+                    hops,
+                    forwardedBy: this.deviceId,
+                    routeDistance: this.getGatewayDistance(),
+                    path: this.extendPath(entry.packet.path, entry.packet.senderId)
+                });
+            });
+            console.log(`[NearbyConnections] Handed ${handed} custody packet(s) to ${senderId}`);
+        }
+    }
+
+    /**
+     * Whether a packet has already reached us (now or before a restart)
+     */
+    hasSeen(messageId) {
+        return this.messageCache.has(messageId) || this.acceptedIds.has(messageId) || this.custody.has(messageId);
+    }
+
+    /**
+     * Tell a newly met neighbor which SOS packets we carry; it asks for the ones it lacks
+     */
+    offerCustody(neighborId, entries = this.custody.values()) {
+        const ids = Array.from(entries)
+            .filter(entry => this.custodyHops(entry) < this.maxCustodyHops)
+            .map(entry => entry.messageId);
+        if (ids.length === 0) return;
+        this.custodyStats.offered++;
+        this.sendLinkLocal('SUMMARY_VECTOR', neighborId, { ids });
+    }
+
+    /**
+     * Offer a packet that arrived at the edge of flood range to the neighbors we already have
+     * (newly met ones get it from offerCustody)
+     */
+    offerCustodyAround(packet) {
+        const entry = this.custody.get(packet.messageId);
+        if (!entry) return;
+        const from = packet.forwardedBy || packet.senderId;
+        this.neighbors.list()
+            .filter(neighbor => neighbor.deviceId !== from)
+            .forEach(neighbor => this.offerCustody(neighbor.deviceId, [entry]));
+    }
+
+    /**
+     * Hops a custody packet would carry if we handed it over now
+     */
+    custodyHops(entry) {
+        return this.servedHops({ packet: entry.packet, hops: entry.packet.hops || 0 });
+    }
+
+    async sendLinkLocal(type, to, fields) {
+        const now = this.clock.now();
+        await this.signAndSend({
+            type,
+            payload: { deviceId: this.deviceId, to, ...fields },
+            messageId: `${type.toLowerCase()}_${this.deviceId}_${to}_${now}`,
+            hops: 0,
+            timestamp: now,
+            senderId: this.deviceId
+        });
+    }
+
+    /**
+     * Carry an SOS packet until it is acknowledged by the cloud or custody expires
+     * The app-level SOS id is `${deviceId}-${time}`, which is what ACKs refer to
+     */
+    takeCustody(packet) {
+        if (this.custody.has(packet.messageId)) return;
+
+        const record = {
+            messageId: packet.messageId,
+            packet: { ...this.stripHopFields(packet), hops: packet.hops || 0, path: packet.path },
+            sosId: `${packet.payload.deviceId}-${packet.payload.time}`,
+            expiresAt: packet.timestamp + this.custodyLifetime
+        };
+
+        this.custody.set(record.messageId, record);
+        if (this.custody.size > MAX_CUSTODY) {
+            this.dropCustody(this.custody.keys().next().value);
+        }
+
+        this.custodyStore?.storeCustody(record).catch(error => {
+            console.warn('[NearbyConnections] Could not persist custody:', error);
+        });
+    }
+
+    /**
+     * End custody of an SOS once the cloud has it
+     */
+    releaseCustody(sosId) {
+        for (const [messageId, record] of this.custody.entries()) {
+            if (record.sosId === sosId) {
+                this.dropCustody(messageId);
+                this.custodyStats.released++;
+                console.log(`[NearbyConnections] Custody released for ${sosId}`);
+            }
+        }
+    }
+
+    dropCustody(messageId) {
+        this.custody.delete(messageId);
+        this.custodyStore?.removeCustody(messageId).catch(error => {
+            console.warn('[NearbyConnections] Could not remove custody record:', error);
+        });
+    }
+
+    /**
+     * Restore packets carried before the app was restarted
+     */
+    async loadCustody() {
+        if (!this.custodyStore) return;
+
+        try {
+            const records = await this.custodyStore.getCustodyPackets();
+            const now = this.clock.now();
+            records.forEach(record => {
+                if (record.expiresAt > now) {
+                    this.custody.set(record.messageId, record);
+                } else {
+                    this.dropCustody(record.messageId);
+                }
+            });
+            if (this.custody.size > 0) {
+                console.log(`[NearbyConnections] Restored ${this.custody.size} packet(s) in custody`);
+            }
+        } catch (error) {
+            console.warn('[NearbyConnections] Could not load custody:', error);
+        }
+    }
+
+    /**
+     * Restore the IDs of packets accepted before the app was restarted
+     */
+    async loadAcceptedIds() {
+        if (!this.custodyStore) return;
+
+        try {
+            const ids = await this.custodyStore.getAcceptedIds();
+            // Oldest first, so the newest survive the cap; anything accepted meanwhile stays newest
+            const current = Array.from(this.acceptedIds);
+            this.acceptedIds = new Set([...ids.slice(-MAX_ACCEPTED_IDS), ...current]);
+        } catch (error) {
+            console.warn('[NearbyConnections] Could not load accepted IDs:', error);
+        }
+    }
+
+    /**
+     * Check signature, pinned key and that the payload speaks for the signer
+     */
+    async verifyPacket(data) {
+        const { type, payload, senderId, messageId } = data;
+
+        if (payload?.deviceId && payload.deviceId !== senderId) {
+            this.dropped.senderMismatch++;
+            console.warn(`[NearbyConnections] ${type} ${messageId} claims ${payload.deviceId} but was signed by ${senderId}`);
+            return false;
+        }
+
+        const { valid, reason } = await this.signer.verify(data);
+        if (!valid) {
+            // A reason without a counter of its own is still counted, under its name
+            const counter = VERIFY_DROP_COUNTERS[reason] || reason;
+            this.dropped[counter] = (this.dropped[counter] || 0) + 1;
+            console.warn(`[NearbyConnections] Dropped ${type} ${messageId} from ${senderId}: ${reason}`);
+            return false;
+        }
+
+        if (reason === 'unverifiable') this.unverified++;
+        return true;
+    }
+
+    /**
+     * Cache a packet we accepted or originated
+     */
+    remember(packet) {
+        const { messageId, timestamp, hops = 0, type, payload, publicKey, signature } = packet;
+        const entry = {
+            timestamp,
+            hops,
+            type,
+            payload,
+            packet: this.stripHopFields(packet),
+            path: packet.path, // relays it took to reach us, extended when we serve it
+            proof: signature ? { publicKey, signature, canonical: canonicalize(packet) } : null,
+            verified: this.signer.available, // without WebCrypto nothing is checked
+            receivedAt: this.clock.now(),
+            heardFrom: [] // neighbors we got a copy from, first one first
+        };
+        this.noteHeardFrom(entry, packet);
+
+        this.messageCache.set(messageId, entry);
+        this.acceptedIds.add(messageId);
+        if (this.acceptedIds.size > MAX_ACCEPTED_IDS) {
+            this.acceptedIds.delete(this.acceptedIds.values().next().value);
+        }
+        this.custodyStore?.addAcceptedId(messageId).catch(error => {
+            console.warn('[NearbyConnections] Could not persist accepted ID:', error);
+        });
+
+        return entry;
+    }
+
+    /**
+     * A packet's relay path with this device appended (time and last known position),
+     * keeping the newest MAX_PATH_LENGTH relays; originators don't list themselves
+     */
+    extendPath(path = [], originId = null) {
+        if (originId === this.deviceId) return path;
+
+        const hop = { id: this.deviceId, t: this.clock.now() };
+        if (this.presence.position) {
+            hop.lat = this.presence.position.lat;
+            hop.lon = this.presence.position.lon;
+        }
+        return [...path, hop].slice(-MAX_PATH_LENGTH);
+    }
+
+    /**
+     * Record which neighbor handed us a copy of a cached packet (for diagnostics)
+     */
+    noteHeardFrom(entry, packet) {
+        const neighborId = packet.forwardedBy || packet.senderId;
+        if (!entry?.heardFrom || neighborId === this.deviceId || entry.heardFrom.includes(neighborId)) return;
+        if (entry.heardFrom.length < MAX_HEARD_FROM) entry.heardFrom.push(neighborId);
+    }
+
+    /**
+     * The packet as its originator signed it, without per-hop fields
+     */
+    stripHopFields(packet) {
+        const stripped = { ...packet };
+        MUTABLE_FIELDS.forEach(field => {
+            if (field !== 'signature') delete stripped[field];
+        });
+        return stripped;
+    }
+
+    /**
+     * Signature details of a cached packet, for uploading alongside it
+     * so the control room can verify the sender itself
+     */
+    getProof(messageId) {
+        return this.messageCache.get(messageId)?.proof || null;
+    }
+
     /**
      * Forward message to other peers (multi-hop relay)
      */
     forwardMessage(originalData) {
-        const { messageId, hops, timestamp } = originalData;
+        const { messageId, hops } = originalData;
 
         // Increment hop count
         const newHops = hops + 1;
@@ -91,34 +545,333 @@ class NearbyConnectionsService {
         // Don't forward if we've reached max hops
         if (newHops >= this.maxHops) return;
 
+        const forwardedData = {
+            ...originalData,
+            hops: newHops,
+            forwardedBy: this.deviceId,
+            routeDistance: this.getGatewayDistance(),
+            path: this.extendPath(originalData.path, originalData.senderId)
+        };
+
+        const mode = this.relayMode(originalData);
+        if (mode === 'suppressed') {
+            this.routingStats.suppressed++;
+            return;
+        }
+
+        // Neighbors pull it from our next digest; count what a blind re-post would have cost
+        // In a crowd, most of us leave the announcement to others (beacon digests still repair gaps)
+        if (mode === 'gossip') {
+            this.routingStats.gossiped++;
+            this.gossipStats.floodBytes += packetSize(forwardedData);
+            if (originalData.type === 'SOS_BROADCAST' || this.random() < this.forwardProbability()) {
+                this.scheduleDigest();
+            } else {
+                this.routingStats.skipped++;
+            }
+            return;
+        }
+
         // Forward after a small delay to prevent network congestion
-        setTimeout(() => {
-            const forwardedData = {
-                ...originalData,
-                hops: newHops,
-                forwardedBy: this.deviceId
+        this.routingStats.gradient++;
+        this.clock.setTimeout(() => {
+            this.send(forwardedData);
+            console.log(`[NearbyConnections] Forwarded message ${messageId} (hops: ${newHops})`);
+        }, 100 + this.random() * 200); // Random delay 100-300ms
+    }
+
+    /**
+     * Chance of relaying a non-SOS packet, shrinking as the neighborhood gets denser
+     */
+    forwardProbability() {
+        const count = this.neighbors.size;
+        if (count <= DENSE_NEIGHBORS) return 1;
+        return Math.max(MIN_FORWARD_PROBABILITY, DENSE_NEIGHBORS / count);
+    }
+
+    /**
+     * Decide how a packet travels on from here
+     * 'gradient': SOS_BROADCAST pushed on right away because we are strictly closer to
+     * a gateway than the node that transmitted it
+     * 'gossip': left for neighbors to pull (everything else, or no gradient on either side)
+     * 'suppressed': an SOS further from a gateway than its transmitter, or reaching a gateway
+     */
+    relayMode({ type, routeDistance }) {
+        if (type !== 'SOS_BROADCAST') return 'gossip';
+
+        const distance = this.getGatewayDistance();
+
+        // Gateways hand SOS packets to the cloud instead of relaying them further
+        if (distance === 0) return 'suppressed';
+
+        if (distance === null || routeDistance === null || routeDistance === undefined) {
+            return 'gossip';
+        }
+
+        return distance < routeDistance ? 'gradient' : 'suppressed';
+    }
+
+    /**
+     * Hops a cached packet would carry if we handed it to a neighbor now
+     * Our own packets go out as if fresh; relayed ones count us as a hop
+     */
+    servedHops(entry) {
+        return entry.packet.senderId === this.deviceId ? 0 : entry.hops + 1;
+    }
+
+    /**
+     * Fingerprint of every live packet we hold, advertised in beacons
+     */
+    cacheFingerprint() {
+        const now = this.clock.now();
+        const ids = [];
+        for (const [messageId, entry] of this.messageCache.entries()) {
+            if (entry.packet && now - entry.timestamp <= this.ttl) ids.push(messageId);
+        }
+        return digestFingerprint(createDigest(ids));
+    }
+
+    /**
+     * A neighbor's beacon fingerprint differs from ours: exchange digests
+     * An unchanged pair of fingerprints is retried only every DIGEST_RETRY_BEACONS
+     * beacons, so a difference that can't be resolved (e.g. packets at maxHops)
+     * doesn't cost a digest every beacon
+     */
+    compareDigest(neighborId, fingerprint) {
+        if (fingerprint === undefined) return;
+
+        const ours = this.cacheFingerprint();
+        if (fingerprint === ours) return;
+
+        const pair = `${fingerprint}:${ours}`;
+        const last = this.digestedFor.get(neighborId);
+        if (last && last.pair === pair) {
+            last.beacons++;
+            if (last.beacons % DIGEST_RETRY_BEACONS !== 0) return;
+        } else {
+            this.digestedFor.set(neighborId, { pair, beacons: 0 });
+        }
+
+        this.scheduleDigest();
+    }
+
+    /**
+     * Cached packets a neighbor could still accept from us, by digest hash
+     */
+    servablePackets() {
+        const now = this.clock.now();
+        const servable = new Map();
+        for (const [messageId, entry] of this.messageCache.entries()) {
+            if (!entry.packet) continue; // ID reserved while we sign our own ACK
+            if (this.servedHops(entry) >= this.maxHops) continue;
+            if (now - entry.timestamp > this.ttl) continue;
+            servable.set(hashMessageId(messageId), entry);
+        }
+        return servable;
+    }
+
+    /**
+     * Send a digest soon, coalescing bursts of new packets into one
+     */
+    scheduleDigest() {
+        if (this.digestPending !== null) return;
+        this.digestPending = this.clock.setTimeout(() => {
+            this.digestPending = null;
+            this.sendDigest();
+        }, 100 + this.random() * 200);
+    }
+
+    /**
+     * Advertise the packets we can serve to every neighbor
+     */
+    async sendDigest() {
+        if (this.neighbors.size === 0) return;
+
+        const servable = this.servablePackets();
+        if (servable.size === 0) return;
+
+        const now = this.clock.now();
+        const message = await this.signAndSend({
+            type: 'DIGEST',
+            payload: { deviceId: this.deviceId, hashes: createDigest(Array.from(servable.values(), entry => entry.packet.messageId)) },
+            messageId: `digest_${this.deviceId}_${now}`,
+            hops: 0,
+            timestamp: now,
+            senderId: this.deviceId
+        });
+
+        this.gossipStats.digestsSent++;
+        this.gossipStats.gossipBytes += packetSize(message);
+    }
+
+    /**
+     * Compare a neighbor's digest with what we hold and pull the difference
+     */
+    async handleDigest(senderId, hashes) {
+        const now = this.clock.now();
+        const known = new Set();
+        [...this.messageCache.keys(), ...this.acceptedIds, ...this.custody.keys()].forEach(id => known.add(hashMessageId(id)));
+
+        const missing = hashes.filter(hash => {
+            if (known.has(hash)) return false;
+            const askedAt = this.pulling.get(hash);
+            return askedAt === undefined || now - askedAt > PULL_TIMEOUT;
+        });
+        if (missing.length === 0) return;
+
+        missing.forEach(hash => this.pulling.set(hash, now));
+        const message = await this.signAndSend({
+            type: 'PULL',
+            payload: { deviceId: this.deviceId, to: senderId, hashes: missing },
+            messageId: `pull_${this.deviceId}_${senderId}_${now}`,
+            hops: 0,
+            timestamp: now,
+            senderId: this.deviceId
+        });
+
+        this.gossipStats.pullsSent++;
+        this.gossipStats.gossipBytes += packetSize(message);
+    }
+
+    /**
+     * Send a neighbor the packets it pulled from our digest
+     */
+    servePull(senderId, hashes) {
+        const now = this.clock.now();
+        const servable = this.servablePackets();
+        let served = 0;
+
+        hashes.forEach(hash => {
+            const entry = servable.get(hash);
+            if (!entry) return;
+
+            // One transmission reaches every neighbor; later pulls in the window are covered
+            const servedAt = this.served.get(hash);
+            if (servedAt !== undefined && now - servedAt <= PULL_TIMEOUT) return;
+            this.served.set(hash, now);
+
+            const packet = {
+                ...entry.packet,
+                hops: this.servedHops(entry),
+                forwardedBy: this.deviceId,
+                routeDistance: this.getGatewayDistance(),
+                path: this.extendPath(entry.path, entry.packet.senderId)
             };
+            this.send(packet);
+            this.gossipStats.packetsServed++;
+            this.gossipStats.gossipBytes += packetSize(packet);
+            served++;
+        });
 
-            this.meshChannel.postMessage(forwardedData);
-            console.log(`[NearbyConnections] Forwarded message ${messageId} (hops: ${newHops})`);
-        }, 100 + Math.random() * 200); // Random delay 100-300ms
+        if (served > 0) {
+            console.log(`[NearbyConnections] Served ${served} pulled packet(s) to ${senderId}`);
+        }
+    }
+
+    /**
+     * Hop distance to the nearest device with internet
+     * 0 when we are online ourselves, null when no gateway is known within maxHops
+     */
+    getGatewayDistance() {
+        if (this.presence.online) return 0;
+
+        let best = null;
+        for (const neighbor of this.neighbors.list()) {
+            const distance = neighbor.online ? 0 : neighbor.gatewayDistance;
+            if (typeof distance !== 'number') continue;
+            if (best === null || distance + 1 < best) best = distance + 1;
+        }
+
+        return best !== null && best < this.maxHops ? best : null;
+    }
+
+    /**
+     * Update what this device announces in its beacons
+     * Accepts any of { battery, online, position }; uplink changes are announced right away
+     */
+    setPresence(update) {
+        const uplinkChanged = update.online !== undefined && Boolean(update.online) !== this.presence.online;
+        this.presence = {
+            ...this.presence,
+            ...update,
+            online: update.online !== undefined ? Boolean(update.online) : this.presence.online
+        };
+        if (this.presence.position) {
+            const { lat, lon } = this.presence.position;
+            this.presence.position = { lat: quantizeCoordinate(lat), lon: quantizeCoordinate(lon) };
+        }
+
+        if (uplinkChanged) {
+            this.sendBeacon().catch(error => console.warn('[NearbyConnections] Beacon failed:', error));
+        }
+    }
+
+    /**
+     * Keep the advertised battery level current where the Battery Status API exists
+     */
+    async trackBattery() {
+        const getBattery = globalThis.navigator?.getBattery;
+        if (!getBattery) return;
+
+        try {
+            const battery = await getBattery.call(globalThis.navigator);
+            const read = () => {
+                this.presence.battery = Math.round(battery.level * 100);
+            };
+            read();
+            battery.addEventListener('levelchange', read);
+        } catch (error) {
+            console.warn('[NearbyConnections] Battery status unavailable:', error);
+        }
+    }
+
+    /**
+     * Broadcast a HELLO beacon to direct neighbors
+     */
+    async sendBeacon() {
+        const now = this.clock.now();
+        await this.signAndSend({
+            type: 'HELLO',
+            payload: {
+                deviceId: this.deviceId,
+                ...this.presence,
+                gatewayDistance: this.getGatewayDistance(),
+                digest: this.cacheFingerprint()
+            },
+            messageId: `hello_${this.deviceId}_${now}`,
+            hops: 0,
+            timestamp: now,
+            senderId: this.deviceId
+        });
+    }
+
+    /**
+     * Subscribe to neighbor table changes
+     * Listener receives { neighbors, total, withInternet }
+     */
+    onNeighborsChange(listener) {
+        return this.neighbors.subscribe(listener);
     }
 
     /**
      * Broadcast SOS message to mesh network
      */
-    broadcastSOS(sosData) {
-        const messageId = `sos_${this.deviceId}_${Date.now()}`;
+    async broadcastSOS(sosData) {
+        const now = this.clock.now();
+        const messageId = `sos_${this.deviceId}_${now}`;
         const message = {
             type: 'SOS_BROADCAST',
-            payload: sosData,
+            // Rounded to what the compact wire format carries, so the signature survives it
+            payload: { ...sosData, lat: quantizeCoordinate(sosData.lat), lon: quantizeCoordinate(sosData.lon) },
             messageId,
             hops: 0,
-            timestamp: Date.now(),
-            senderId: this.deviceId
+            timestamp: now,
+            senderId: this.deviceId,
+            routeDistance: this.getGatewayDistance()
         };
 
-        this.meshChannel.postMessage(message);
+        const signed = await this.signAndSend(message);
+        this.takeCustody(signed);
         console.log(`[NearbyConnections] Broadcasted SOS: ${messageId}`);
 
         return messageId;
@@ -127,23 +880,88 @@ class NearbyConnectionsService {
     /**
      * Broadcast chat message to mesh network
      */
-    broadcastChat(chatData) {
-        const messageId = `chat_${this.deviceId}_${Date.now()}`;
+    async broadcastChat(chatData) {
+        const now = this.clock.now();
+        const messageId = `chat_${this.deviceId}_${now}`;
         const message = {
             type: 'CHAT_BROADCAST',
             payload: chatData,
             messageId,
             hops: 0,
-            timestamp: Date.now(),
+            timestamp: now,
             senderId: this.deviceId
         };
 
-        this.meshChannel.postMessage(message);
+        await this.signAndSend(message);
         console.log(`[NearbyConnections] Broadcasted chat: ${messageId}`);
 
         return messageId;
     }
 
+    /**
+     * Flood a delivery acknowledgement back towards the device that raised an SOS
+     * stage: 'relayed' | 'cloud' | 'responder'
+     * The messageId is shared by every node acking the same stage, so the network
+     * carries one ACK per stage no matter how many relays emit it
+     */
+    async broadcastAck({ sosId, originId, stage }) {
+        const now = this.clock.now();
+        const messageId = `ack_${sosId}_${stage}`;
+
+        if (this.messageCache.has(messageId)) return messageId;
+
+        const message = {
+            type: 'SOS_ACK',
+            payload: { sosId, originId, stage, ackedBy: this.deviceId, time: now },
+            messageId,
+            hops: 0,
+            timestamp: now,
+            senderId: this.deviceId
+        };
+
+        // Reserve the ID before signing so concurrent calls don't ack twice
+        this.messageCache.set(messageId, { timestamp: now, hops: 0, type: message.type, payload: message.payload, proof: null });
+        if (CUSTODY_RELEASE_STAGES.includes(stage)) this.releaseCustody(sosId);
+        await this.signAndSend(message);
+        console.log(`[NearbyConnections] Broadcasted ${stage} ACK for ${sosId}`);
+
+        return messageId;
+    }
+
+    /**
+     * Sign a packet we originate, cache it and send it
+     */
+    async signAndSend(message) {
+        this.pendingWork++;
+        try {
+            const signed = await this.signer.sign({ v: SCHEMA_VERSION, ...message });
+            if (!LINK_LOCAL_TYPES.includes(message.type)) this.remember(signed);
+            this.send(signed);
+            return signed;
+        } finally {
+            this.pendingWork--;
+        }
+    }
+
+    /**
+     * Queue a packet for the transport, by priority
+     */
+    send(message) {
+        this.queue.enqueue(message);
+    }
+
+    /**
+     * Put a packet on the air (called by the transmit queue)
+     */
+    transmit(message) {
+        const onError = (error) => console.error(`[NearbyConnections] Send failed for ${message.messageId}:`, error);
+        try {
+            Promise.resolve(this.transport.send(message)).catch(onError);
+        } catch (error) {
+            onError(error);
+        }
+    }
+
     /**
      * Register a message handler
      */
@@ -161,9 +979,11 @@ class NearbyConnectionsService {
      * Clean up old messages from cache
      */
     cleanupOldMessages() {
-        const now = Date.now();
+        const now = this.clock.now();
         let cleaned = 0;
 
+        this.queue.prune();
+
         for (const [messageId, data] of this.messageCache.entries()) {
             if (now - data.timestamp > this.ttl) {
                 this.messageCache.delete(messageId);
@@ -174,6 +994,28 @@ class NearbyConnectionsService {
         if (cleaned > 0) {
             console.log(`[NearbyConnections] Cleaned up ${cleaned} old messages`);
         }
+
+        for (const [hash, askedAt] of this.pulling.entries()) {
+            if (now - askedAt > PULL_TIMEOUT) this.pulling.delete(hash);
+        }
+        for (const [hash, servedAt] of this.served.entries()) {
+            if (now - servedAt > PULL_TIMEOUT) this.served.delete(hash);
+        }
+        for (const neighborId of this.digestedFor.keys()) {
+            if (!this.neighbors.get(neighborId)) this.digestedFor.delete(neighborId);
+        }
+
+        for (const [messageId, record] of this.custody.entries()) {
+            if (now > record.expiresAt) {
+                this.dropCustody(messageId);
+                this.custodyStats.expired++;
+                console.log(`[NearbyConnections] Custody expired: ${messageId}`);
+            }
+        }
+
+        this.custodyStore?.pruneAcceptedIds(MAX_ACCEPTED_IDS).catch(error => {
+            console.warn('[NearbyConnections] Could not prune accepted IDs:', error);
+        });
     }
 
     /**
@@ -183,18 +1025,65 @@ class NearbyConnectionsService {
         return {
             deviceId: this.deviceId,
             cachedMessages: this.messageCache.size,
-            connectedPeers: this.connectedPeers.size,
+            connectedPeers: this.neighbors.size,
+            peersWithInternet: this.neighbors.summary().withInternet,
+            transport: this.transport.name,
+            gatewayDistance: this.getGatewayDistance(),
+            routing: { ...this.routingStats, forwardProbability: this.forwardProbability() },
+            queue: this.queue.getStats(),
+            custody: { held: this.custody.size, ...this.custodyStats },
+            gossip: {
+                ...this.gossipStats,
+                bytesSaved: this.gossipStats.floodBytes - this.gossipStats.gossipBytes
+            },
+            dropped: { ...this.dropped },
+            verification: { signing: this.signer.available, unverified: this.unverified },
             handlers: this.messageHandlers.length
         };
     }
 
+    /**
+     * Everything the diagnostics screen shows: stats, live neighbors and the most
+     * recently received packets with their relay path and who handed them to us
+     */
+    getDiagnostics({ limit = 50 } = {}) {
+        const recentPackets = Array.from(this.messageCache.entries())
+            .map(([messageId, entry]) => ({
+                messageId,
+                type: entry.type,
+                senderId: entry.packet?.senderId ?? null,
+                hops: entry.hops,
+                timestamp: entry.timestamp,
+                receivedAt: entry.receivedAt ?? entry.timestamp,
+                heardFrom: entry.heardFrom ? [...entry.heardFrom] : [],
+                path: (entry.path || []).map(hop => hop.id),
+                verified: entry.verified,
+                inCustody: this.custody.has(messageId)
+            }))
+            .sort((a, b) => b.receivedAt - a.receivedAt)
+            .slice(0, limit);
+
+        return {
+            stats: this.getStats(),
+            neighbors: this.neighbors.list(),
+            recentPackets
+        };
+    }
+
     /**
      * Cleanup and disconnect
      */
     destroy() {
-        this.meshChannel.close();
+        this.clock.clearInterval(this.cleanupTimer);
+        this.clock.clearInterval(this.beaconTimer);
+        if (this.digestPending !== null) this.clock.clearTimeout(this.digestPending);
+        this.unsubscribeTransport();
+        this.queue.clear();
+        this.transport.close();
         this.messageCache.clear();
-        this.connectedPeers.clear();
+        this.acceptedIds.clear();
+        this.custody.clear();
+        this.neighbors.clear();
         this.messageHandlers = [];
         console.log('[NearbyConnections] Service destroyed');
     }
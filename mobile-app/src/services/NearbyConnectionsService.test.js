@@ -0,0 +1,133 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import NearbyConnectionsService, { createTransport } from './NearbyConnectionsService';
+import OfflineStorageService, { DB_NAME } from './OfflineStorageService';
+import PacketSigner from './mesh/PacketSigner';
+import { VirtualClock } from './mesh/MeshSimulator';
+import BleTransport from './mesh/BleTransport';
+import BroadcastChannelTransport from './mesh/BroadcastChannelTransport';
+import { SCHEMA_VERSION } from './mesh/packetSchema';
+
+const NOW = 1767225600000;
+const PEER = 'GOS-A1B2C3';
+const DEVICE = 'GOS-Z9Y8X7';
+
+// Transport that goes nowhere: packets are handed to the service directly
+const silentTransport = () => ({
+    name: 'test',
+    mtu: Infinity,
+    send: () => {},
+    onReceive: () => () => {},
+    peers: () => [],
+    close: () => {}
+});
+
+const chat = (time) => ({
+    v: SCHEMA_VERSION,
+    type: 'CHAT_BROADCAST',
+    payload: { deviceId: PEER, msg: { sender: 'user', time, text: 'on the roof' } },
+    messageId: `chat_${PEER}_${time}`,
+    hops: 0,
+    timestamp: time,
+    senderId: PEER
+});
+
+describe('NearbyConnectionsService: packet checks', () => {
+    let clock;
+    let storage;
+    let services;
+
+    const start = (options) => {
+        const service = new NearbyConnectionsService(DEVICE, { transport: silentTransport(), clock, ...options });
+        services.push(service);
+        return service;
+    };
+
+    const received = (service) => {
+        const messages = [];
+        service.onMessage(message => messages.push(message));
+        return messages;
+    };
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        clock = new VirtualClock(NOW);
+        storage = new OfflineStorageService();
+        services = [];
+    });
+
+    afterEach(async () => {
+        services.forEach(service => service.destroy());
+        await storage.destroy();
+        await new Promise(resolve => {
+            indexedDB.deleteDatabase(DB_NAME).onsuccess = resolve;
+        });
+        vi.restoreAllMocks();
+    });
+
+    it('drops a packet replayed after a restart, once its cached copy is gone', async () => {
+        const peer = new PacketSigner({ storage: null });
+        const packet = await peer.sign(chat(NOW));
+
+        const before = start({ custodyStore: storage });
+        const heard = received(before);
+        await before.handleIncomingMessage(packet);
+        expect(heard).toHaveLength(1);
+        await vi.waitFor(async () => expect(await storage.getAcceptedIds()).toEqual([packet.messageId]));
+        before.destroy();
+
+        const after = start({ custodyStore: storage });
+        const replayed = received(after);
+        await after.handleIncomingMessage(packet);
+
+        expect(replayed).toEqual([]);
+        expect(after.getStats().dropped.replayed).toBe(1);
+        expect(after.getStats().verification).toEqual({ signing: true, unverified: 0 });
+    });
+
+    it('accepts packets without WebCrypto but counts and marks them unverified', async () => {
+        const service = start({ signer: new PacketSigner({ storage: null, subtle: null }) });
+        const heard = received(service);
+        await service.handleIncomingMessage(chat(NOW));
+
+        expect(heard).toHaveLength(1);
+        expect(service.getStats().verification).toEqual({ signing: false, unverified: 1 });
+        expect(service.getDiagnostics().recentPackets).toEqual([
+            expect.objectContaining({ messageId: `chat_${PEER}_${NOW}`, verified: false })
+        ]);
+    });
+});
+
+describe('createTransport', () => {
+    const gattServer = { startAdvertising: async () => {}, stopAdvertising: async () => {}, onWrite: () => {}, notify: async () => {} };
+    let transport;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {}); // no Bluetooth in the test runtime
+    });
+
+    afterEach(async () => {
+        await transport.close();
+        vi.restoreAllMocks();
+    });
+
+    it('uses BLE in both roles when the GATT server plugin is there', () => {
+        transport = createTransport({ gattServer, native: true });
+        expect(transport).toBeInstanceOf(BleTransport);
+        expect(transport.name).toBe('ble');
+    });
+
+    it('uses central-only BLE on native builds without the plugin', () => {
+        transport = createTransport({ gattServer: null, native: true });
+        expect(transport).toBeInstanceOf(BleTransport);
+        expect(transport.name).toBe('ble-central');
+    });
+
+    it('stays on BroadcastChannel on the web', () => {
+        transport = createTransport();
+        expect(transport).toBeInstanceOf(BroadcastChannelTransport);
+    });
+});
@@ -1,17 +1,175 @@
 /**
  * OfflineStorageService - Handles offline message storage and sync
  * Uses IndexedDB with LocalStorage fallback
+ * The service worker reads the same IndexedDB queue to upload while the app is closed
+ *
+ * Every public method waits for `ready`, so callers can use the service right after
+ * constructing it. If IndexedDB breaks mid-session, its records are copied to
+ * LocalStorage and the failed call is retried there; the next launch that can open
+ * IndexedDB imports them back.
  */
 
+import { chatKey } from './backend/paths';
+
+// Background Sync tag the service worker uploads the pending queue on
+export const BACKGROUND_SYNC_TAG = 'sos-upload';
+const PERIODIC_SYNC_INTERVAL = 15 * 60 * 1000; // browsers treat this as a minimum, not a schedule
+
+export const DB_NAME = 'GoogleSOSDB';
+
+export const STORES = {
+    pending: 'pendingMessages',
+    custody: 'custodyPackets',
+    deadLetters: 'deadLetters',
+    remote: 'remoteRecords',
+    mesh: 'meshMessages',
+    chats: 'chatHistory',
+    mapRegions: 'mapRegions',
+    identities: 'identities', // owned by DeviceIdentityService
+    acceptedIds: 'acceptedIds',
+    cryptoKeys: 'cryptoKeys' // non-extractable CryptoKeys, which LocalStorage can't hold
+};
+
+// Where each store lives while on the LocalStorage fallback, and the field that identifies a record
+const LOCAL_STORAGE = {
+    [STORES.pending]: { key: 'google_sos_pending', id: 'messageId' },
+    [STORES.custody]: { key: 'google_sos_custody', id: 'messageId' },
+    [STORES.deadLetters]: { key: 'google_sos_dead_letters', id: 'messageId' },
+    [STORES.remote]: { key: 'google_sos_remote', id: 'key' },
+    [STORES.mesh]: { key: 'google_sos_mesh', id: 'messageId' },
+    [STORES.chats]: { key: 'google_sos_chats', id: 'key' },
+    [STORES.mapRegions]: { key: 'google_sos_map_regions', id: 'id' },
+    [STORES.acceptedIds]: { key: 'google_sos_accepted_ids', id: 'messageId' }
+};
+
+// Errors about the request itself (duplicate key, bad query); LocalStorage wouldn't do better
+const REQUEST_ERRORS = ['ConstraintError', 'DataError'];
+
+/**
+ * Schema history, oldest first. A database at version N runs every step above N,
+ * in order, inside the upgrade transaction: if a step throws, the whole upgrade is
+ * rolled back and the data stays at version N. Append new steps; never edit one
+ * that has shipped.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'pending upload queue',
+        upgrade(db) {
+            const pendingStore = db.createObjectStore(STORES.pending, { keyPath: 'id', autoIncrement: true });
+            pendingStore.createIndex('messageId', 'messageId', { unique: true });
+            pendingStore.createIndex('timestamp', 'timestamp', { unique: false });
+            pendingStore.createIndex('type', 'type', { unique: false });
+            pendingStore.createIndex('synced', 'synced', { unique: false });
+        }
+    },
+    {
+        version: 2,
+        description: 'mesh packets this device carries in custody (store-and-forward)',
+        upgrade(db) {
+            const custodyStore = db.createObjectStore(STORES.custody, { keyPath: 'messageId' });
+            custodyStore.createIndex('expiresAt', 'expiresAt', { unique: false });
+        }
+    },
+    {
+        version: 3,
+        description: 'messages that ran out of upload attempts, kept for a manual resend',
+        upgrade(db) {
+            const deadLetterStore = db.createObjectStore(STORES.deadLetters, { keyPath: 'messageId' });
+            deadLetterStore.createIndex('failedAt', 'failedAt', { unique: false });
+        }
+    },
+    {
+        version: 4,
+        description: 'local copies of backend records this device follows (replies, SOS status)',
+        upgrade(db) {
+            const remoteStore = db.createObjectStore(STORES.remote, { keyPath: 'key' });
+            remoteStore.createIndex('collection', 'collection', { unique: false });
+        }
+    },
+    {
+        version: 5,
+        description: 'received mesh messages, chat history and saved map regions',
+        upgrade(db, transaction) {
+            const meshStore = db.createObjectStore(STORES.mesh, { keyPath: 'messageId' });
+            meshStore.createIndex('type', 'type', { unique: false });
+            meshStore.createIndex('receivedAt', 'receivedAt', { unique: false });
+
+            const chatStore = db.createObjectStore(STORES.chats, { keyPath: 'key' });
+            chatStore.createIndex('deviceId', 'deviceId', { unique: false });
+
+            db.createObjectStore(STORES.mapRegions, { keyPath: 'id' });
+
+            // Messages queued by builds before upload backoff have no retry state
+            transaction.objectStore(STORES.pending).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.value.retryCount === undefined) {
+                    cursor.update({ retryCount: 0, nextAttemptAt: 0, lastError: null, ...cursor.value });
+                }
+                cursor.continue();
+            };
+        }
+    },
+    {
+        version: 6,
+        description: 'device identities, until now kept in their own GoogleSOSIdentity database',
+        upgrade(db) {
+            db.createObjectStore(STORES.identities, { keyPath: 'uid' });
+        }
+    },
+    {
+        version: 7,
+        description: 'accepted mesh packet IDs (replay protection) and device keys',
+        upgrade(db) {
+            const acceptedStore = db.createObjectStore(STORES.acceptedIds, { keyPath: 'messageId' });
+            acceptedStore.createIndex('acceptedAt', 'acceptedAt', { unique: false });
+
+            db.createObjectStore(STORES.cryptoKeys, { keyPath: 'id' });
+        }
+    }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration step newer than oldVersion, from an upgradeneeded handler
+ * Every service that opens DB_NAME upgrades through here, whichever opens it first.
+ */
+export function migrate(db, transaction, oldVersion) {
+    for (const step of MIGRATIONS.filter(migration => migration.version > oldVersion)) {
+        console.log(`[OfflineStorage] Migrating to v${step.version}: ${step.description}`);
+        try {
+            step.upgrade(db, transaction);
+        } catch (error) {
+            // Aborting fails the open request, so the caller falls back to LocalStorage
+            console.error(`[OfflineStorage] Migration to v${step.version} failed:`, error);
+            transaction.abort();
+            return;
+        }
+    }
+}
+
 class OfflineStorageService {
     constructor() {
-        this.dbName = 'GoogleSOSDB';
-        this.dbVersion = 1;
-        this.storeName = 'pendingMessages';
+        this.dbName = DB_NAME;
+        this.dbVersion = DB_VERSION;
+        this.storeName = STORES.pending;
+        this.custodyStoreName = STORES.custody;
+        this.deadLetterStoreName = STORES.deadLetters;
+        this.remoteStoreName = STORES.remote;
+        this.meshStoreName = STORES.mesh;
+        this.chatStoreName = STORES.chats;
+        this.mapRegionStoreName = STORES.mapRegions;
+        this.acceptedIdStoreName = STORES.acceptedIds;
+        this.keyStoreName = STORES.cryptoKeys;
         this.db = null;
         this.useLocalStorage = false;
+        this.failingOver = null; // set while records are being copied to LocalStorage
+        this.reopening = null; // set while the database is opened again after a version change
+        this.destroyed = false;
 
-        this.init();
+        this.ready = this.init();
     }
 
     /**
@@ -22,8 +180,163 @@ class OfflineStorageService {
             this.db = await this.openDatabase();
             console.log('[OfflineStorage] IndexedDB initialized');
         } catch (error) {
+            if (typeof localStorage === 'undefined') throw error; // service worker: nothing to fall back to
             console.warn('[OfflineStorage] IndexedDB failed, using LocalStorage fallback', error);
             this.useLocalStorage = true;
+            return;
+        }
+
+        try {
+            await this.importLocalStorage();
+        } catch (error) {
+            // Still in LocalStorage; the next launch tries again
+            console.warn('[OfflineStorage] Could not import LocalStorage records', error);
+        }
+    }
+
+    /**
+     * Run a storage operation once the service is ready. If it fails because
+     * IndexedDB broke, move to LocalStorage and run it again there.
+     */
+    async withFailover(operation) {
+        await this.ready;
+        if (this.failingOver) await this.failingOver;
+        if (this.destroyed) throw new Error('[OfflineStorage] Service destroyed');
+
+        const usedIndexedDB = !this.useLocalStorage;
+        try {
+            if (usedIndexedDB && !this.db) await this.reopen();
+            return await operation();
+        } catch (error) {
+            if (!usedIndexedDB || REQUEST_ERRORS.includes(error?.name)) throw error;
+            await this.failover(error);
+            return operation();
+        }
+    }
+
+    /**
+     * Open the database again after a version change let go of it
+     * Calls that find it closed together share one open
+     */
+    reopen() {
+        if (!this.reopening) {
+            this.reopening = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                    console.log('[OfflineStorage] IndexedDB reopened');
+                })
+                .finally(() => {
+                    this.reopening = null;
+                });
+        }
+        return this.reopening;
+    }
+
+    /**
+     * Switch to LocalStorage; calls failing together share one switch
+     */
+    failover(error) {
+        if (!this.failingOver) {
+            this.failingOver = this.moveToLocalStorage(error).finally(() => {
+                this.failingOver = null;
+            });
+        }
+        return this.failingOver;
+    }
+
+    /**
+     * Copy whatever IndexedDB can still read into LocalStorage. IndexedDB is left
+     * untouched, so nothing is lost if the copy fails.
+     */
+    async moveToLocalStorage(error) {
+        if (this.useLocalStorage) return;
+
+        const db = this.db;
+        this.db = null;
+        // The service worker has no LocalStorage: let go of the database and fail the
+        // operation; the next one reopens it, and the sync event is retried
+        if (typeof localStorage === 'undefined') {
+            db?.close();
+            throw error;
+        }
+        console.warn('[OfflineStorage] IndexedDB failed mid-session, moving to LocalStorage', error);
+        let moved = 0;
+        // Pending messages first: if LocalStorage fills up, the SOS queue is what must survive
+        for (const [storeName, { key, id }] of Object.entries(LOCAL_STORAGE)) {
+            try {
+                const records = await this.readAllFrom(db, storeName);
+                if (records.length === 0) continue;
+                const kept = this.readLocalStorage(key).filter(local => !records.some(record => record[id] === local[id]));
+                localStorage.setItem(key, JSON.stringify([...kept, ...records]));
+                moved += records.length;
+            } catch (copyError) {
+                console.error(`[OfflineStorage] Could not copy ${storeName} to LocalStorage:`, copyError);
+            }
+        }
+
+        try {
+            db?.close();
+        } catch {
+            // Already closed
+        }
+        this.useLocalStorage = true;
+        console.log(`[OfflineStorage] Using LocalStorage, ${moved} record(s) copied`);
+    }
+
+    readAllFrom(db, storeName) {
+        if (!db) return Promise.reject(new Error('[OfflineStorage] Database is closed'));
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Move records written to LocalStorage (by a failover, or a launch where IndexedDB
+     * wouldn't open) back into IndexedDB
+     */
+    async importLocalStorage() {
+        if (typeof localStorage === 'undefined') return; // service worker
+
+        for (const [storeName, { key }] of Object.entries(LOCAL_STORAGE)) {
+            const records = this.readLocalStorage(key);
+            if (records.length === 0) continue;
+
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                const objectStore = transaction.objectStore(storeName);
+                const queued = new Set();
+                records.forEach(record => {
+                    if (storeName !== this.storeName) {
+                        objectStore.put(record);
+                        return;
+                    }
+                    // The queue assigns its own keys; a message it still holds wins over the copy
+                    if (queued.has(record.messageId)) return;
+                    queued.add(record.messageId);
+                    const message = { ...record };
+                    delete message.id;
+                    objectStore.index('messageId').getKey(record.messageId).onsuccess = (event) => {
+                        if (event.target.result === undefined) objectStore.add(message);
+                    };
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            localStorage.removeItem(key);
+            console.log(`[OfflineStorage] Imported ${records.length} record(s) into ${storeName} from LocalStorage`);
+        }
+    }
+
+    readLocalStorage(key) {
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error(`[OfflineStorage] Error reading ${key} from LocalStorage:`, error);
+            return [];
         }
     }
 
@@ -35,24 +348,24 @@ class OfflineStorageService {
             const request = indexedDB.open(this.dbName, this.dbVersion);
 
             request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result);
+            request.onsuccess = () => {
+                const db = request.result;
+                // The app and the service worker both open this database: don't hold up the
+                // other's upgrade or delete. The next read or write reopens it.
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) this.db = null;
+                };
+                // The browser dropped the connection (storage cleared, disk error)
+                db.onclose = () => this.failover(new Error('IndexedDB connection closed')).catch(() => {});
+                resolve(db);
+            };
+            request.onblocked = () => {
+                console.warn('[OfflineStorage] Upgrade waiting for another tab to close the database');
+            };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Create object store if it doesn't exist
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    const objectStore = db.createObjectStore(this.storeName, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-
-                    // Create indexes
-                    objectStore.createIndex('messageId', 'messageId', { unique: true });
-                    objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    objectStore.createIndex('type', 'type', { unique: false });
-                    objectStore.createIndex('synced', 'synced', { unique: false });
-                }
+                migrate(request.result, request.transaction, event.oldVersion);
             };
         });
     }
@@ -67,13 +380,41 @@ class OfflineStorageService {
             payload: message.payload,
             timestamp: Date.now(),
             synced: false,
-            retryCount: 0
+            retryCount: 0,
+            nextAttemptAt: 0, // SyncManager backs off failed uploads until this time
+            lastError: null
         };
 
-        if (this.useLocalStorage) {
-            return this.storeInLocalStorage(record);
-        } else {
-            return this.storeInIndexedDB(record);
+        // Rejects only if neither IndexedDB nor LocalStorage could keep it
+        const stored = await this.withFailover(() => (this.useLocalStorage
+            ? this.storeInLocalStorage(record)
+            : this.storeInIndexedDB(record)));
+        this.requestBackgroundSync();
+        return stored;
+    }
+
+    /**
+     * Ask the service worker to upload the queue once there is a connection, even if
+     * the app has been closed by then. Best effort: unsupported browsers (and the
+     * LocalStorage fallback, which the worker can't read) rely on SyncManager alone.
+     */
+    async requestBackgroundSync() {
+        if (this.useLocalStorage || typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration) return;
+
+            if (registration.sync) {
+                await registration.sync.register(BACKGROUND_SYNC_TAG);
+            }
+            if (registration.periodicSync) {
+                // Only granted to installed apps; a retry net for when the one-off sync gives up
+                await registration.periodicSync.register(BACKGROUND_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL })
+                    .catch(error => console.log('[OfflineStorage] Periodic sync unavailable:', error.message));
+            }
+        } catch (error) {
+            console.warn('[OfflineStorage] Could not register background sync:', error);
         }
     }
 
@@ -101,6 +442,10 @@ class OfflineStorageService {
     storeInLocalStorage(record) {
         try {
             const stored = this.getLocalStorageMessages();
+            if (stored.some(msg => msg.messageId === record.messageId)) {
+                // Same as the IndexedDB queue's unique messageId index
+                return Promise.reject(new DOMException(`Already queued: ${record.messageId}`, 'ConstraintError'));
+            }
             stored.push(record);
             localStorage.setItem('google_sos_pending', JSON.stringify(stored));
             console.log(`[OfflineStorage] Stored in LocalStorage: ${record.messageId}`);
@@ -115,11 +460,13 @@ class OfflineStorageService {
      * Get all pending messages
      */
     async getPendingMessages() {
-        if (this.useLocalStorage) {
-            return this.getLocalStorageMessages().filter(msg => !msg.synced);
-        } else {
-            return this.getIndexedDBMessages();
-        }
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.getLocalStorageMessages().filter(msg => !msg.synced);
+            } else {
+                return this.getIndexedDBMessages();
+            }
+        });
     }
 
     /**
@@ -129,9 +476,9 @@ class OfflineStorageService {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readonly');
             const objectStore = transaction.objectStore(this.storeName);
-            const index = objectStore.index('synced');
-            // Use openCursor without key range to avoid DataError
-            const request = index.openCursor(); 
+            // Booleans aren't valid IndexedDB keys, so the 'synced' index never holds
+            // anything; walk the store itself
+            const request = objectStore.openCursor();
 
             const results = [];
             request.onsuccess = (event) => {
@@ -167,11 +514,13 @@ class OfflineStorageService {
      * Mark message as synced
      */
     async markAsSynced(messageId) {
-        if (this.useLocalStorage) {
-            return this.markSyncedInLocalStorage(messageId);
-        } else {
-            return this.markSyncedInIndexedDB(messageId);
-        }
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.markSyncedInLocalStorage(messageId);
+            } else {
+                return this.markSyncedInIndexedDB(messageId);
+            }
+        });
     }
 
     /**
@@ -228,15 +577,17 @@ class OfflineStorageService {
      * Clear all synced messages (cleanup)
      */
     async clearSyncedMessages() {
-        if (this.useLocalStorage) {
-            const stored = this.getLocalStorageMessages();
-            const unsynced = stored.filter(msg => !msg.synced);
-            localStorage.setItem('google_sos_pending', JSON.stringify(unsynced));
-            console.log(`[OfflineStorage] Cleared synced messages from LocalStorage`);
-            return Promise.resolve();
-        } else {
-            return this.clearSyncedFromIndexedDB();
-        }
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageMessages();
+                const unsynced = stored.filter(msg => !msg.synced);
+                localStorage.setItem('google_sos_pending', JSON.stringify(unsynced));
+                console.log(`[OfflineStorage] Cleared synced messages from LocalStorage`);
+                return Promise.resolve();
+            } else {
+                return this.clearSyncedFromIndexedDB();
+            }
+        });
     }
 
     /**
@@ -246,9 +597,9 @@ class OfflineStorageService {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const objectStore = transaction.objectStore(this.storeName);
-            const index = objectStore.index('synced');
-            // Use openCursor without key range to avoid DataError
-            const request = index.openCursor(); 
+            // Booleans aren't valid IndexedDB keys, so the 'synced' index never holds
+            // anything; walk the store itself
+            const request = objectStore.openCursor();
 
             request.onsuccess = (event) => {
                 const cursor = event.target.result;
@@ -268,13 +619,635 @@ class OfflineStorageService {
         });
     }
 
+    /**
+     * Save retry state on a pending message after a failed upload
+     * changes: { retryCount, nextAttemptAt, lastError }
+     */
+    async recordFailure(messageId, changes) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const updated = this.getLocalStorageMessages().map(msg =>
+                    msg.messageId === messageId ? { ...msg, ...changes } : msg
+                );
+                localStorage.setItem('google_sos_pending', JSON.stringify(updated));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.storeName], 'readwrite');
+                const objectStore = transaction.objectStore(this.storeName);
+                const request = objectStore.index('messageId').get(messageId);
+
+                request.onsuccess = () => {
+                    if (request.result) objectStore.put({ ...request.result, ...changes });
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    /**
+     * Take a message out of the sync queue after its last failed attempt
+     * changes: { retryCount, lastError } of that attempt
+     */
+    async moveToDeadLetter(messageId, changes) {
+        return this.withFailover(async () => {
+            const failedAt = Date.now();
+
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageMessages();
+                const record = stored.find(msg => msg.messageId === messageId);
+                if (!record) return;
+                localStorage.setItem('google_sos_pending', JSON.stringify(stored.filter(msg => msg.messageId !== messageId)));
+                const deadLetters = this.getLocalStorageDeadLetters().filter(r => r.messageId !== messageId);
+                deadLetters.push({ ...record, ...changes, failedAt });
+                localStorage.setItem('google_sos_dead_letters', JSON.stringify(deadLetters));
+                console.log(`[OfflineStorage] Moved to dead letters: ${messageId}`);
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.storeName, this.deadLetterStoreName], 'readwrite');
+                const pendingStore = transaction.objectStore(this.storeName);
+                const request = pendingStore.index('messageId').get(messageId);
+
+                request.onsuccess = () => {
+                    const record = request.result;
+                    if (!record) return;
+                    pendingStore.delete(record.id);
+                    transaction.objectStore(this.deadLetterStoreName).put({ ...record, ...changes, failedAt });
+                };
+                transaction.oncomplete = () => {
+                    console.log(`[OfflineStorage] Moved to dead letters: ${messageId}`);
+                    resolve();
+                };
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    /**
+     * Messages that gave up on uploading, oldest failure first
+     */
+    async getDeadLetters() {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.getLocalStorageDeadLetters().sort((a, b) => a.failedAt - b.failedAt);
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.deadLetterStoreName], 'readonly');
+                const request = transaction.objectStore(this.deadLetterStoreName).index('failedAt').getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Put a dead letter back in the sync queue with a fresh set of attempts
+     */
+    async resendDeadLetter(messageId) {
+        return this.withFailover(async () => {
+            const requeue = (deadLetter) => {
+                const record = { ...deadLetter, synced: false, retryCount: 0, nextAttemptAt: 0, lastError: null };
+                delete record.id; // IndexedDB assigns a new key
+                delete record.failedAt;
+                return record;
+            };
+
+            if (this.useLocalStorage) {
+                const deadLetters = this.getLocalStorageDeadLetters();
+                const record = deadLetters.find(r => r.messageId === messageId);
+                if (!record) return false;
+                localStorage.setItem('google_sos_dead_letters', JSON.stringify(deadLetters.filter(r => r.messageId !== messageId)));
+                localStorage.setItem('google_sos_pending', JSON.stringify([...this.getLocalStorageMessages(), requeue(record)]));
+                return true;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.storeName, this.deadLetterStoreName], 'readwrite');
+                const deadLetterStore = transaction.objectStore(this.deadLetterStoreName);
+                const request = deadLetterStore.get(messageId);
+                let found = false;
+
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    found = true;
+                    deadLetterStore.delete(messageId);
+                    transaction.objectStore(this.storeName).add(requeue(request.result));
+                };
+                transaction.oncomplete = () => resolve(found);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    getLocalStorageDeadLetters() {
+        try {
+            const stored = localStorage.getItem('google_sos_dead_letters');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading dead letters from LocalStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the latest backend value of a record this device follows
+     * record: { collection, id, value, cursor } - cursor marks how far the copy is synced
+     */
+    async saveRemoteRecord({ collection, id, value, cursor }) {
+        return this.withFailover(async () => {
+            const record = { key: `${collection}/${id}`, collection, id, value, cursor, syncedAt: Date.now() };
+
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageRemote().filter(r => r.key !== record.key);
+                stored.push(record);
+                localStorage.setItem('google_sos_remote', JSON.stringify(stored));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.remoteStoreName], 'readwrite');
+                const request = transaction.objectStore(this.remoteStoreName).put(record);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Local copy of one backend record, or null if it was never synced
+     */
+    async getRemoteRecord(collection, id) {
+        return this.withFailover(async () => {
+            const key = `${collection}/${id}`;
+
+            if (this.useLocalStorage) {
+                return this.getLocalStorageRemote().find(r => r.key === key) || null;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.remoteStoreName], 'readonly');
+                const request = transaction.objectStore(this.remoteStoreName).get(key);
+
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Local copies of every followed record in a collection
+     */
+    async getRemoteRecords(collection) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.getLocalStorageRemote().filter(r => r.collection === collection);
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.remoteStoreName], 'readonly');
+                const request = transaction.objectStore(this.remoteStoreName).index('collection').getAll(collection);
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    getLocalStorageRemote() {
+        try {
+            const stored = localStorage.getItem('google_sos_remote');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading remote records from LocalStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist a mesh packet held in custody
+     * record: { messageId, packet, sosId, expiresAt }
+     */
+    async storeCustody(record) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageCustody().filter(r => r.messageId !== record.messageId);
+                stored.push(record);
+                localStorage.setItem('google_sos_custody', JSON.stringify(stored));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.custodyStoreName], 'readwrite');
+                const request = transaction.objectStore(this.custodyStoreName).put(record);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Get every packet held in custody
+     */
+    async getCustodyPackets() {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.getLocalStorageCustody();
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.custodyStoreName], 'readonly');
+                const request = transaction.objectStore(this.custodyStoreName).getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Release a packet from custody
+     */
+    async removeCustody(messageId) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageCustody().filter(r => r.messageId !== messageId);
+                localStorage.setItem('google_sos_custody', JSON.stringify(stored));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.custodyStoreName], 'readwrite');
+                const request = transaction.objectStore(this.custodyStoreName).delete(messageId);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    getLocalStorageCustody() {
+        try {
+            const stored = localStorage.getItem('google_sos_custody');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading custody from LocalStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remember that a mesh packet was accepted, so a replay of it after a restart is caught
+     */
+    async addAcceptedId(messageId) {
+        return this.withFailover(async () => {
+            const record = { messageId, acceptedAt: Date.now() };
+
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageAcceptedIds().filter(r => r.messageId !== messageId);
+                stored.push(record);
+                localStorage.setItem('google_sos_accepted_ids', JSON.stringify(stored));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.acceptedIdStoreName], 'readwrite');
+                const request = transaction.objectStore(this.acceptedIdStoreName).put(record);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Every accepted packet ID, oldest first
+     */
+    async getAcceptedIds() {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.getLocalStorageAcceptedIds()
+                    .sort((a, b) => a.acceptedAt - b.acceptedAt)
+                    .map(r => r.messageId);
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.acceptedIdStoreName], 'readonly');
+                const request = transaction.objectStore(this.acceptedIdStoreName).index('acceptedAt').getAll();
+
+                request.onsuccess = () => resolve(request.result.map(r => r.messageId));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Forget all but the newest `keep` accepted packet IDs
+     */
+    async pruneAcceptedIds(keep) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const kept = this.getLocalStorageAcceptedIds()
+                    .sort((a, b) => a.acceptedAt - b.acceptedAt)
+                    .slice(-keep);
+                localStorage.setItem('google_sos_accepted_ids', JSON.stringify(kept));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.acceptedIdStoreName], 'readwrite');
+                const objectStore = transaction.objectStore(this.acceptedIdStoreName);
+
+                objectStore.count().onsuccess = (event) => {
+                    let excess = event.target.result - keep;
+                    if (excess <= 0) return;
+                    objectStore.index('acceptedAt').openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor || excess-- <= 0) return;
+                        cursor.delete();
+                        cursor.continue();
+                    };
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    getLocalStorageAcceptedIds() {
+        try {
+            const stored = localStorage.getItem('google_sos_accepted_ids');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading accepted IDs from LocalStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * A stored CryptoKey record { id, ...keys }, or null
+     * Keys live only in IndexedDB: on LocalStorage there are none
+     */
+    async getKey(id) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) return null;
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.keyStoreName], 'readonly');
+                const request = transaction.objectStore(this.keyStoreName).get(id);
+
+                request.onsuccess = () => resolve(request.result ?? null);
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Keep CryptoKeys (as generated, usually non-extractable) under record.id
+     * Rejects on LocalStorage, which can only hold what JSON can
+     */
+    async putKey(record) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) throw new Error('[OfflineStorage] Keys can only be kept in IndexedDB');
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.keyStoreName], 'readwrite');
+                const request = transaction.objectStore(this.keyStoreName).put(record);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Keep a message heard over the mesh (e.g. another victim's SOS) across reloads
+     * record: { messageId, type, payload, hops }
+     */
+    async saveMeshMessage(record) {
+        return this.withFailover(async () => {
+            const stored = { ...record, receivedAt: Date.now() };
+
+            if (this.useLocalStorage) {
+                const messages = this.getLocalStorageMesh().filter(r => r.messageId !== record.messageId);
+                messages.push(stored);
+                localStorage.setItem('google_sos_mesh', JSON.stringify(messages));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.meshStoreName], 'readwrite');
+                const request = transaction.objectStore(this.meshStoreName).put(stored);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Mesh messages of one type received since a time, oldest first
+     */
+    async getMeshMessages(type, since = 0) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                return this.getLocalStorageMesh()
+                    .filter(r => r.type === type && r.receivedAt >= since)
+                    .sort((a, b) => a.receivedAt - b.receivedAt);
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.meshStoreName], 'readonly');
+                const request = transaction.objectStore(this.meshStoreName).index('receivedAt').getAll(IDBKeyRange.lowerBound(since));
+
+                request.onsuccess = () => resolve(request.result.filter(r => r.type === type));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Drop mesh messages received before a time
+     */
+    async pruneMeshMessages(before) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const kept = this.getLocalStorageMesh().filter(r => r.receivedAt >= before);
+                localStorage.setItem('google_sos_mesh', JSON.stringify(kept));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.meshStoreName], 'readwrite');
+                const request = transaction.objectStore(this.meshStoreName).index('receivedAt').openCursor(IDBKeyRange.upperBound(before, true));
+
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        });
+    }
+
+    getLocalStorageMesh() {
+        try {
+            const stored = localStorage.getItem('google_sos_mesh');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading mesh messages from LocalStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Keep a chat message that only travelled over the mesh, as sent (body still encrypted)
+     * The backend copy (see saveRemoteRecord) has everything that reached the cloud
+     */
+    async saveChatMessage(deviceId, message) {
+        return this.withFailover(async () => {
+            const record = { key: `${deviceId}/${chatKey(message)}`, deviceId, message, savedAt: Date.now() };
+
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageChats().filter(r => r.key !== record.key);
+                stored.push(record);
+                localStorage.setItem('google_sos_chats', JSON.stringify(stored));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.chatStoreName], 'readwrite');
+                const request = transaction.objectStore(this.chatStoreName).put(record);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Chat messages kept for one conversation, oldest first
+     */
+    async getChatHistory(deviceId) {
+        return this.withFailover(async () => {
+            const byTime = (a, b) => a.time - b.time;
+            if (this.useLocalStorage) {
+                return this.getLocalStorageChats().filter(r => r.deviceId === deviceId).map(r => r.message).sort(byTime);
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.chatStoreName], 'readonly');
+                const request = transaction.objectStore(this.chatStoreName).index('deviceId').getAll(deviceId);
+
+                request.onsuccess = () => resolve(request.result.map(r => r.message).sort(byTime));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    getLocalStorageChats() {
+        try {
+            const stored = localStorage.getItem('google_sos_chats');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading chat history from LocalStorage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remember an area whose map tiles were downloaded for offline use
+     * region: { id, label, lat, lon, radiusKm, minZoom, maxZoom, tiles, downloadedAt }
+     */
+    async saveMapRegion(region) {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                const stored = this.getLocalStorageMapRegions().filter(r => r.id !== region.id);
+                stored.push(region);
+                localStorage.setItem('google_sos_map_regions', JSON.stringify(stored));
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.mapRegionStoreName], 'readwrite');
+                const request = transaction.objectStore(this.mapRegionStoreName).put(region);
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Downloaded map areas, most recent first
+     */
+    async getMapRegions() {
+        return this.withFailover(async () => {
+            const newestFirst = (a, b) => b.downloadedAt - a.downloadedAt;
+            if (this.useLocalStorage) {
+                return this.getLocalStorageMapRegions().sort(newestFirst);
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.mapRegionStoreName], 'readonly');
+                const request = transaction.objectStore(this.mapRegionStoreName).getAll();
+
+                request.onsuccess = () => resolve(request.result.sort(newestFirst));
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    /**
+     * Forget every downloaded map area (after the tile cache is cleared)
+     */
+    async clearMapRegions() {
+        return this.withFailover(async () => {
+            if (this.useLocalStorage) {
+                localStorage.removeItem('google_sos_map_regions');
+                return;
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.mapRegionStoreName], 'readwrite');
+                const request = transaction.objectStore(this.mapRegionStoreName).clear();
+
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+
+    getLocalStorageMapRegions() {
+        try {
+            const stored = localStorage.getItem('google_sos_map_regions');
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('[OfflineStorage] Error reading map regions from LocalStorage:', error);
+            return [];
+        }
+    }
+
     /**
      * Get storage statistics
      */
     async getStats() {
         const pending = await this.getPendingMessages();
+        const deadLetters = await this.getDeadLetters();
         return {
             pendingCount: pending.length,
+            deadLetterCount: deadLetters.length,
             storageType: this.useLocalStorage ? 'LocalStorage' : 'IndexedDB',
             oldestMessage: pending.length > 0
                 ? new Date(Math.min(...pending.map(m => m.timestamp)))
@@ -286,10 +1259,13 @@ class OfflineStorageService {
      * Cleanup
      */
     destroy() {
-        if (this.db) {
-            this.db.close();
-        }
-        console.log('[OfflineStorage] Service destroyed');
+        this.destroyed = true;
+        // An open still in flight would leave a connection nobody closes
+        return this.ready.catch(() => {}).then(() => {
+            this.db?.close();
+            this.db = null;
+            console.log('[OfflineStorage] Service destroyed');
+        });
     }
 }
 
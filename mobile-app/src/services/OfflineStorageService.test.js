@@ -0,0 +1,192 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import OfflineStorageService, { DB_NAME, DB_VERSION, STORES } from './OfflineStorageService';
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+// Object stores as each release shipped them, so old databases can be rebuilt as they were
+const SHIPPED_STORES = [
+    { since: 1, name: STORES.pending, options: { keyPath: 'id', autoIncrement: true }, indexes: ['timestamp', 'type', 'synced'], unique: ['messageId'] },
+    { since: 2, name: STORES.custody, options: { keyPath: 'messageId' }, indexes: ['expiresAt'] },
+    { since: 3, name: STORES.deadLetters, options: { keyPath: 'messageId' }, indexes: ['failedAt'] },
+    { since: 4, name: STORES.remote, options: { keyPath: 'key' }, indexes: ['collection'] },
+    { since: 5, name: STORES.mesh, options: { keyPath: 'messageId' }, indexes: ['type', 'receivedAt'] },
+    { since: 5, name: STORES.chats, options: { keyPath: 'key' }, indexes: ['deviceId'] },
+    { since: 5, name: STORES.mapRegions, options: { keyPath: 'id' }, indexes: [] }
+];
+
+// A database as release `version` left it, holding `records` (store name -> records)
+function createVersion(version, records) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, version);
+        open.onupgradeneeded = () => {
+            SHIPPED_STORES.filter(store => store.since <= version).forEach(({ name, options, indexes, unique = [] }) => {
+                const store = open.result.createObjectStore(name, options);
+                unique.forEach(index => store.createIndex(index, index, { unique: true }));
+                indexes.forEach(index => store.createIndex(index, index, { unique: false }));
+                (records[name] || []).forEach(record => store.add(record));
+            });
+        };
+        open.onsuccess = () => {
+            open.result.close();
+            resolve();
+        };
+        open.onerror = () => reject(open.error);
+    });
+}
+
+describe('OfflineStorageService: schema migrations', () => {
+    let storage;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await storage?.destroy();
+        await request(indexedDB.deleteDatabase(DB_NAME));
+        vi.restoreAllMocks();
+    });
+
+    it('upgrades a v1 queue to the current version without losing pending SOS', async () => {
+        const sos = { deviceId: 'DEV-A', lat: 9.9252, lon: 78.1198, time: 1000, message: 'trapped' };
+        await createVersion(1, {
+            [STORES.pending]: [
+                { messageId: 'DEV-A-1000', type: 'SOS_BROADCAST', payload: sos, timestamp: 1000, synced: false },
+                { messageId: 'DEV-B-2000', type: 'SOS_BROADCAST', payload: { ...sos, deviceId: 'DEV-B', time: 2000 }, timestamp: 2000, synced: false }
+            ]
+        });
+
+        storage = new OfflineStorageService();
+        await storage.ready;
+
+        expect(storage.useLocalStorage).toBe(false);
+        expect(storage.db.version).toBe(DB_VERSION);
+        expect(Array.from(storage.db.objectStoreNames).sort()).toEqual(Object.values(STORES).sort());
+
+        const pending = await storage.getPendingMessages();
+        expect(pending.map(message => message.messageId).sort()).toEqual(['DEV-A-1000', 'DEV-B-2000']);
+        expect(pending.find(message => message.messageId === 'DEV-A-1000')).toMatchObject({
+            payload: sos,
+            retryCount: 0,
+            nextAttemptAt: 0,
+            lastError: null
+        });
+
+        // Upgraded records behave like new ones
+        await storage.markAsSynced('DEV-A-1000');
+        await storage.clearSyncedMessages();
+        expect((await storage.getPendingMessages()).map(message => message.messageId)).toEqual(['DEV-B-2000']);
+    });
+
+    // What a device could be holding when each release was replaced
+    const sos = { deviceId: 'DEV-A', lat: 9.9252, lon: 78.1198, time: 1000, message: 'trapped' };
+    const chat = { sender: 'user', time: 3000, text: 'on the roof' };
+    const HELD = {
+        [STORES.pending]: [{ messageId: 'DEV-A-1000', type: 'SOS_BROADCAST', payload: sos, timestamp: 1000, synced: false }],
+        [STORES.custody]: [{ messageId: 'sos_DEV-C_500', sosId: 'DEV-C-500', packet: { type: 'SOS_BROADCAST', messageId: 'sos_DEV-C_500' }, expiresAt: 90000 }],
+        [STORES.deadLetters]: [{ messageId: 'DEV-A-900', type: 'SOS_BROADCAST', payload: { ...sos, time: 900 }, retryCount: 8, lastError: 'PERMISSION_DENIED', failedAt: 1900 }],
+        [STORES.remote]: [{ key: 'sos/DEV-A-900', collection: 'sos', id: 'DEV-A-900', value: { status: 'Rescued' }, cursor: 1800, syncedAt: 1850 }],
+        [STORES.mesh]: [{ messageId: 'DEV-D-700', type: 'SOS_BROADCAST', payload: { ...sos, deviceId: 'DEV-D', time: 700 }, hops: 2, receivedAt: 750 }],
+        [STORES.chats]: [{ key: 'DEV-A/user_3000', deviceId: 'DEV-A', message: chat, savedAt: 3000 }],
+        [STORES.mapRegions]: [{ id: 'madurai', label: 'Madurai', lat: 9.9252, lon: 78.1198, radiusKm: 2, minZoom: 12, maxZoom: 16, tiles: 180, downloadedAt: 2500 }]
+    };
+
+    it.each([3, 4, 5])('upgrades a v%i database to the current version keeping every record', async (version) => {
+        const shipped = SHIPPED_STORES.filter(store => store.since <= version).map(store => store.name);
+        const held = Object.fromEntries(shipped.map(name => [name, HELD[name]]));
+        if (version === 5) {
+            // v5 already gave queued messages retry state; the upgrade must not reset it
+            held[STORES.pending] = [{ ...HELD[STORES.pending][0], retryCount: 3, nextAttemptAt: 4000, lastError: 'timeout' }];
+        }
+        await createVersion(version, held);
+
+        storage = new OfflineStorageService();
+        await storage.ready;
+
+        expect(storage.useLocalStorage).toBe(false);
+        expect(storage.db.version).toBe(DB_VERSION);
+        expect(Array.from(storage.db.objectStoreNames).sort()).toEqual(Object.values(STORES).sort());
+
+        expect(await storage.getPendingMessages()).toEqual([expect.objectContaining(version === 5
+            ? held[STORES.pending][0]
+            : { ...HELD[STORES.pending][0], retryCount: 0, nextAttemptAt: 0, lastError: null })]);
+        expect(await storage.getCustodyPackets()).toEqual(HELD[STORES.custody]);
+        expect(await storage.getDeadLetters()).toEqual(HELD[STORES.deadLetters]);
+
+        expect(await storage.getRemoteRecord('sos', 'DEV-A-900')).toEqual(version >= 4 ? HELD[STORES.remote][0] : null);
+        expect(await storage.getMeshMessages('SOS_BROADCAST')).toEqual(version >= 5 ? HELD[STORES.mesh] : []);
+        expect(await storage.getChatHistory('DEV-A')).toEqual(version >= 5 ? [chat] : []);
+        expect(await storage.getMapRegions()).toEqual(version >= 5 ? HELD[STORES.mapRegions] : []);
+    });
+});
+
+describe('OfflineStorageService: connection', () => {
+    let storage;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await storage.destroy();
+        await request(indexedDB.deleteDatabase(DB_NAME));
+        vi.restoreAllMocks();
+    });
+
+    it('closes a connection that was still opening when destroyed', async () => {
+        storage = new OfflineStorageService();
+        await storage.destroy(); // StrictMode unmounts before the open finishes
+
+        expect(storage.db).toBe(null);
+        await expect(storage.getPendingMessages()).rejects.toThrow('destroyed');
+    });
+
+    it('lets another context delete the database, then reopens it', async () => {
+        storage = new OfflineStorageService();
+        await storage.storeMessage({ type: 'SOS_BROADCAST', payload: { deviceId: 'DEV-A' }, messageId: 'DEV-A-1000' });
+
+        const blocked = vi.fn();
+        const deletion = indexedDB.deleteDatabase(DB_NAME);
+        deletion.onblocked = blocked;
+        await request(deletion);
+        expect(blocked).not.toHaveBeenCalled();
+
+        await storage.storeMessage({ type: 'SOS_BROADCAST', payload: { deviceId: 'DEV-B' }, messageId: 'DEV-B-2000' });
+        expect(storage.useLocalStorage).toBe(false);
+        expect(storage.db.version).toBe(DB_VERSION);
+        expect((await storage.getPendingMessages()).map(message => message.messageId)).toEqual(['DEV-B-2000']);
+    });
+});
+
+describe('OfflineStorageService: accepted packet IDs', () => {
+    let storage;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        storage = new OfflineStorageService();
+    });
+
+    afterEach(async () => {
+        await storage.destroy();
+        await request(indexedDB.deleteDatabase(DB_NAME));
+        vi.restoreAllMocks();
+    });
+
+    it('lists accepted IDs oldest first and prunes all but the newest', async () => {
+        const now = vi.spyOn(Date, 'now');
+        for (const [messageId, acceptedAt] of [['chat_b', 2000], ['chat_a', 1000], ['chat_c', 3000]]) {
+            now.mockReturnValue(acceptedAt);
+            await storage.addAcceptedId(messageId);
+        }
+        expect(await storage.getAcceptedIds()).toEqual(['chat_a', 'chat_b', 'chat_c']);
+
+        await storage.pruneAcceptedIds(2);
+        expect(await storage.getAcceptedIds()).toEqual(['chat_b', 'chat_c']);
+        await storage.pruneAcceptedIds(5);
+        expect(await storage.getAcceptedIds()).toEqual(['chat_b', 'chat_c']);
+    });
+});
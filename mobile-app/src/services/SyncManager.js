@@ -1,19 +1,49 @@
 /**
- * SyncManager - Manages synchronization of offline messages to Firebase
- * Monitors internet connectivity and syncs pending messages when online
+ * SyncManager - Manages synchronization of offline messages to the cloud backend
+ * Follows the ConnectivityMonitor and syncs pending messages when the cloud is reachable
+ * Writes go through a backend adapter (FirebaseBackend, or MemoryBackend in tests)
+ *
+ * Pending messages upload in batches: each batch is one multi-path update keyed by
+ * the message's own ID, so a batch that is retried after a lost response (or a
+ * message already uploaded by another relay) overwrites the same records instead
+ * of duplicating them. SOS records are written field by field (see sosWrites), so
+ * that overwrite never undoes a rescue the control room has recorded.
+ *
+ * Sync also runs the other way: records this device follows (its conversation with
+ * the control room, its own SOS entries) are mirrored into offline storage while
+ * online, so replies and status changes survive losing the connection.
  */
 
-import { ref, set, push } from 'firebase/database';
+import { validatePayload, REJECT_REASONS } from './mesh/packetSchema';
+import { chatKey, sosWrites } from './backend/paths';
+import { withTimeout, WRITE_TIMEOUT } from './backend/timeout';
+
+// Batch size is measured in serialized bytes so a few photo-sized payloads don't
+// ride in the same round trip as fifty text messages
+const MIN_BATCH_BYTES = 4 * 1024;
+const MAX_BATCH_BYTES = 256 * 1024;
+const MAX_BATCH_WRITES = 100;
 
 class SyncManager {
-    constructor(database, offlineStorage) {
-        this.db = database;
+    constructor(backend, offlineStorage, connectivity) {
+        this.backend = backend;
         this.offlineStorage = offlineStorage;
-        this.isOnline = navigator.onLine;
+        this.connectivity = connectivity;
+        this.isOnline = connectivity.isOnline();
         this.isSyncing = false;
         this.syncListeners = [];
+        this.rejected = {}; // packetSchema reject reason -> count of records that can never upload
         this.retryDelay = 5000; // 5 seconds initial retry delay
         this.maxRetryDelay = 60000; // 1 minute max retry delay
+        this.maxAttempts = 8; // failed uploads after which a message becomes a dead letter
+        this.writeTimeout = WRITE_TIMEOUT; // a write still pending after this counts as a failed attempt
+        this.retryTimer = null;
+        this.batchBytes = 32 * 1024; // current byte budget per batch, shrinks on failure and grows on success
+        this.followed = new Map(); // "collection/id" -> { collection, id, unsubscribe }
+        this.checkTimer = null;
+        this.initialSyncTimer = null;
+        this.onlineSyncTimer = null;
+        this.stopConnectivity = null;
 
         this.init();
     }
@@ -22,16 +52,20 @@ class SyncManager {
      * Initialize sync manager
      */
     init() {
-        // Listen for online/offline events
-        window.addEventListener('online', () => this.handleOnline());
-        window.addEventListener('offline', () => this.handleOffline());
+        // Degraded still counts as online: uploads are worth trying, failures back off
+        this.stopConnectivity = this.connectivity.subscribe(() => {
+            const online = this.connectivity.isOnline();
+            if (online === this.isOnline) return;
+            if (online) this.handleOnline();
+            else this.handleOffline();
+        });
 
         // Periodic sync check (every 30 seconds)
-        setInterval(() => this.checkAndSync(), 30000);
+        this.checkTimer = setInterval(() => this.checkAndSync(), 30000);
 
         // Initial sync if online
         if (this.isOnline) {
-            setTimeout(() => this.syncPendingMessages(), 2000);
+            this.initialSyncTimer = setTimeout(() => this.syncPendingMessages(), 2000);
         }
 
         console.log('[SyncManager] Initialized');
@@ -44,9 +78,14 @@ class SyncManager {
         console.log('[SyncManager] Internet connection restored');
         this.isOnline = true;
         this.notifyListeners({ type: 'online' });
+        this.followed.forEach(entry => this.subscribeFollowed(entry));
 
         // Sync after a short delay
-        setTimeout(() => this.syncPendingMessages(), 1000);
+        clearTimeout(this.onlineSyncTimer);
+        this.onlineSyncTimer = setTimeout(() => {
+            this.onlineSyncTimer = null;
+            this.syncPendingMessages();
+        }, 1000);
     }
 
     /**
@@ -56,15 +95,13 @@ class SyncManager {
         console.log('[SyncManager] Internet connection lost');
         this.isOnline = false;
         this.notifyListeners({ type: 'offline' });
+        this.followed.forEach(entry => this.unsubscribeFollowed(entry));
     }
 
     /**
      * Check connectivity and sync if needed
      */
     async checkAndSync() {
-        // Update online status
-        this.isOnline = navigator.onLine;
-
         if (this.isOnline && !this.isSyncing) {
             const stats = await this.offlineStorage.getStats();
             if (stats.pendingCount > 0) {
@@ -75,7 +112,7 @@ class SyncManager {
     }
 
     /**
-     * Sync all pending messages to Firebase
+     * Sync all pending messages to the backend
      */
     async syncPendingMessages() {
         if (!this.isOnline) {
@@ -89,48 +126,95 @@ class SyncManager {
         }
 
         this.isSyncing = true;
-        this.notifyListeners({ type: 'sync_start' });
 
         try {
             const pendingMessages = await this.offlineStorage.getPendingMessages();
 
-            if (pendingMessages.length === 0) {
-                console.log('[SyncManager] No pending messages to sync');
-                this.isSyncing = false;
+            // Messages that failed before wait out their backoff
+            const now = Date.now();
+            const dueMessages = pendingMessages.filter(message => !(message.nextAttemptAt > now));
+
+            if (dueMessages.length === 0) {
+                console.log(pendingMessages.length === 0
+                    ? '[SyncManager] No pending messages to sync'
+                    : `[SyncManager] ${pendingMessages.length} message(s) waiting to retry`);
+                this.scheduleRetry(pendingMessages);
                 return;
             }
 
-            console.log(`[SyncManager] Syncing ${pendingMessages.length} messages...`);
+            this.notifyListeners({ type: 'sync_start' });
+            console.log(`[SyncManager] Syncing ${dueMessages.length} messages...`);
 
             let synced = 0;
             let failed = 0;
-
-            for (const message of pendingMessages) {
-                try {
-                    await this.uploadMessage(message);
+            let rejected = 0;
+            let deadLettered = 0;
+
+            const uploads = [];
+            for (const message of dueMessages) {
+                const writes = this.toWrites(message);
+                if (writes) {
+                    uploads.push({ message, writes });
+                } else {
+                    // Rejected records are retired too, retrying can't fix them
                     await this.offlineStorage.markAsSynced(message.messageId);
-                    synced++;
+                    rejected++;
+                }
+            }
 
-                    this.notifyListeners({
-                        type: 'sync_progress',
-                        synced,
-                        total: pendingMessages.length
-                    });
+            for (const batch of this.planBatches(uploads)) {
+                try {
+                    await this.commit(batch.flatMap(upload => upload.writes));
+                    this.batchBytes = Math.min(MAX_BATCH_BYTES, this.batchBytes * 2);
+                    for (const upload of batch) await this.uploaded(upload);
+                    synced += batch.length;
                 } catch (error) {
-                    console.error(`[SyncManager] Failed to sync message ${message.messageId}:`, error);
-                    failed++;
+                    this.batchBytes = Math.max(MIN_BATCH_BYTES, this.batchBytes / 2);
+
+                    if (error.name === 'TimeoutError') {
+                        // The link stopped answering: each message alone would only time out again
+                        console.warn(`[SyncManager] Batch of ${batch.length} timed out:`, error);
+                        for (const upload of batch) {
+                            failed++;
+                            if (await this.recordFailure(upload.message, error)) deadLettered++;
+                        }
+                    } else {
+                        console.warn(`[SyncManager] Batch of ${batch.length} failed, retrying one at a time:`, error);
+
+                        // One bad record shouldn't hold back the rest, and each message keeps its own backoff
+                        for (const upload of batch) {
+                            try {
+                                await this.commit(upload.writes);
+                                await this.uploaded(upload);
+                                synced++;
+                            } catch (uploadError) {
+                                console.error(`[SyncManager] Failed to sync message ${upload.message.messageId}:`, uploadError);
+                                failed++;
+                                if (await this.recordFailure(upload.message, uploadError)) deadLettered++;
+                            }
+                        }
+                    }
                 }
+
+                this.notifyListeners({
+                    type: 'sync_progress',
+                    synced,
+                    total: dueMessages.length
+                });
             }
 
             // Cleanup synced messages
             await this.offlineStorage.clearSyncedMessages();
+            this.scheduleRetry(await this.offlineStorage.getPendingMessages());
 
-            console.log(`[SyncManager] Sync complete: ${synced} synced, ${failed} failed`);
+            console.log(`[SyncManager] Sync complete: ${synced} synced, ${failed} failed, ${rejected} rejected, ${deadLettered} dead-lettered`);
 
             this.notifyListeners({
                 type: 'sync_complete',
                 synced,
-                failed
+                failed,
+                rejected,
+                deadLettered
             });
 
         } catch (error) {
@@ -145,31 +229,214 @@ class SyncManager {
     }
 
     /**
-     * Upload a single message to Firebase
+     * Commit writes, failing instead of waiting on a link that stopped answering
      */
-    async uploadMessage(message) {
+    commit(writes) {
+        return withTimeout(this.backend.commitBatch(writes), `Batch of ${writes.length} writes`, this.writeTimeout);
+    }
+
+    /**
+     * Back off a failed message, or give up on it after maxAttempts
+     * Resolves to true when the message was moved to the dead-letter store
+     */
+    async recordFailure(message, error) {
+        const retryCount = (message.retryCount || 0) + 1;
+        const lastError = error?.message || String(error);
+
+        if (retryCount >= this.maxAttempts) {
+            await this.offlineStorage.moveToDeadLetter(message.messageId, { retryCount, lastError });
+            console.warn(`[SyncManager] Giving up on ${message.messageId} after ${retryCount} attempts`);
+            this.notifyListeners({
+                type: 'sync_failed_permanently',
+                messageId: message.messageId,
+                messageType: message.type,
+                payload: message.payload,
+                attempts: retryCount,
+                error: lastError
+            });
+            return true;
+        }
+
+        const nextAttemptAt = Date.now() + this.backoffDelay(retryCount);
+        await this.offlineStorage.recordFailure(message.messageId, { retryCount, nextAttemptAt, lastError });
+        return false;
+    }
+
+    /**
+     * Exponential backoff capped at maxRetryDelay, with jitter so devices that lost
+     * the same backend don't all retry at once
+     */
+    backoffDelay(retryCount) {
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (retryCount - 1));
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    /**
+     * Wake up for the earliest backed-off message instead of waiting for the periodic check
+     */
+    scheduleRetry(pendingMessages) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        const now = Date.now();
+        const waiting = pendingMessages.map(message => message.nextAttemptAt).filter(time => time > now);
+        if (waiting.length === 0) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.syncPendingMessages();
+        }, Math.min(...waiting) - now);
+    }
+
+    /**
+     * Put a dead-lettered message back in the queue and try it right away
+     */
+    async resendDeadLetter(messageId) {
+        const requeued = await this.offlineStorage.resendDeadLetter(messageId);
+        if (requeued) {
+            console.log(`[SyncManager] Resending ${messageId}`);
+            this.syncPendingMessages();
+        }
+        return requeued;
+    }
+
+    /**
+     * Backend writes for a pending message ([{ collection, id, key?, value }])
+     * Returns null when the record fails the packet schema and must not be uploaded
+     */
+    toWrites(message) {
         const { type, payload, messageId } = message;
 
+        const problem = validatePayload(type, payload)
+            || (type !== 'SOS_BROADCAST' && type !== 'CHAT_BROADCAST'
+                ? { reason: REJECT_REASONS.UNKNOWN_TYPE, detail: type }
+                : null);
+        if (problem) {
+            this.rejected[problem.reason] = (this.rejected[problem.reason] || 0) + 1;
+            console.warn(`[SyncManager] Rejected ${type} ${messageId}: ${problem.reason} (${problem.detail})`);
+            return null;
+        }
+
         if (type === 'SOS_BROADCAST') {
-            // Upload SOS message
-            const sosRef = ref(this.db, `sos_messages/${messageId}`);
-            await set(sosRef, {
-                ...payload,
-                syncedFromOffline: true,
-                syncedAt: Date.now()
-            });
-            console.log(`[SyncManager] Uploaded SOS: ${messageId}`);
-        } else if (type === 'CHAT_BROADCAST') {
-            // Upload chat message
-            const chatRef = ref(this.db, `chats/${payload.deviceId}`);
-            await push(chatRef, {
-                ...payload.msg,
-                syncedFromOffline: true,
-                syncedAt: Date.now()
-            });
-            console.log(`[SyncManager] Uploaded chat: ${messageId}`);
+            return sosWrites(messageId, { ...payload, syncedFromOffline: true, syncedAt: Date.now() });
+        }
+        return [{
+            collection: 'chats',
+            id: payload.deviceId,
+            key: chatKey(payload.msg),
+            value: { ...payload.msg, syncedFromOffline: true, syncedAt: Date.now() }
+        }];
+    }
+
+    /**
+     * Split uploads into batches that fit the current byte budget
+     * A message bigger than the budget still goes, alone in its batch
+     */
+    planBatches(uploads) {
+        const batches = [];
+        let batch = [];
+        let bytes = 0;
+
+        for (const upload of uploads) {
+            const size = JSON.stringify(upload.writes.map(write => write.value)).length;
+            if (batch.length > 0 && (bytes + size > this.batchBytes || batch.length >= MAX_BATCH_WRITES)) {
+                batches.push(batch);
+                batch = [];
+                bytes = 0;
+            }
+            batch.push(upload);
+            bytes += size;
+        }
+        if (batch.length > 0) batches.push(batch);
+
+        return batches;
+    }
+
+    /**
+     * Retire a message once its write has committed
+     */
+    async uploaded({ message }) {
+        const { type, payload, messageId } = message;
+        await this.offlineStorage.markAsSynced(messageId);
+        console.log(`[SyncManager] Uploaded ${type === 'SOS_BROADCAST' ? 'SOS' : 'chat'}: ${messageId}`);
+        if (type === 'SOS_BROADCAST') {
+            this.notifyListeners({ type: 'message_uploaded', messageType: type, messageId, payload });
+        }
+    }
+
+    /**
+     * Mirror a backend record into offline storage whenever we are online
+     * collection 'chats' (id = deviceId) or 'sos' (id = sosId)
+     */
+    follow(collection, id) {
+        const key = `${collection}/${id}`;
+        if (this.followed.has(key)) return;
+
+        const entry = { collection, id, unsubscribe: null, saving: Promise.resolve() };
+        this.followed.set(key, entry);
+        if (this.isOnline) this.subscribeFollowed(entry);
+    }
+
+    /**
+     * Follow this device's conversation and the SOS entries it followed before a restart
+     * SOS records stop being followed once the control room marks them rescued
+     */
+    async followDevice(deviceId) {
+        this.follow('chats', deviceId);
+
+        const sosRecords = await this.offlineStorage.getRemoteRecords('sos');
+        sosRecords
+            .filter(record => record.value?.status !== 'Rescued')
+            .forEach(record => this.follow('sos', record.id));
+    }
+
+    subscribeFollowed(entry) {
+        if (entry.unsubscribe) return;
+        entry.unsubscribe = this.backend.subscribe(entry.collection, entry.id, (value) => {
+            // One save at a time, so each snapshot is compared against the one before it
+            entry.saving = entry.saving
+                .then(() => this.saveFollowed(entry, value))
+                .catch(error => {
+                    console.error(`[SyncManager] Could not store ${entry.collection}/${entry.id}:`, error);
+                });
+        });
+    }
+
+    unsubscribeFollowed(entry) {
+        entry.unsubscribe?.();
+        entry.unsubscribe = null;
+    }
+
+    /**
+     * Store a followed record and tell listeners what changed since the last copy
+     * The cursor is the newest chat message time, or the newest SOS change time
+     */
+    async saveFollowed(entry, value) {
+        if (value === null) return; // not created yet; keep whatever copy we have
+
+        const { collection, id } = entry;
+        const previous = await this.offlineStorage.getRemoteRecord(collection, id);
+        const since = previous?.cursor ?? 0;
+
+        let cursor;
+        let changes;
+        if (collection === 'chats') {
+            const messages = Object.values(value);
+            cursor = Math.max(since, ...messages.map(message => message.time || 0));
+            changes = messages.filter(message => message.time > since);
         } else {
-            console.warn(`[SyncManager] Unknown message type: ${type}`);
+            cursor = Math.max(since, value.rescuedAt || 0, value.responderAck?.at || 0, value.time || 0);
+            changes = cursor > since ? [value] : [];
+        }
+
+        await this.offlineStorage.saveRemoteRecord({ collection, id, value, cursor });
+        if (collection === 'sos' && value.status === 'Rescued') {
+            this.unsubscribeFollowed(entry);
+            this.followed.delete(`${collection}/${id}`);
+        }
+
+        if (changes.length > 0) {
+            this.notifyListeners({ type: 'remote_update', collection, id, value, changes, cursor });
         }
     }
 
@@ -205,7 +472,8 @@ class SyncManager {
     getStatus() {
         return {
             isOnline: this.isOnline,
-            isSyncing: this.isSyncing
+            isSyncing: this.isSyncing,
+            rejected: { ...this.rejected }
         };
     }
 
@@ -221,8 +489,13 @@ class SyncManager {
      * Cleanup
      */
     destroy() {
-        window.removeEventListener('online', this.handleOnline);
-        window.removeEventListener('offline', this.handleOffline);
+        clearTimeout(this.retryTimer);
+        this.followed.forEach(entry => this.unsubscribeFollowed(entry));
+        this.followed.clear();
+        clearInterval(this.checkTimer);
+        clearTimeout(this.initialSyncTimer);
+        clearTimeout(this.onlineSyncTimer);
+        this.stopConnectivity?.();
         this.syncListeners = [];
         console.log('[SyncManager] Service destroyed');
     }
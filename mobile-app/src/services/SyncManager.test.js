@@ -0,0 +1,208 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SyncManager from './SyncManager';
+import OfflineStorageService from './OfflineStorageService';
+import MemoryBackend from './backend/MemoryBackend';
+import { chatKey } from './backend/paths';
+
+// Stands in for ConnectivityMonitor: starts offline, goes online on demand
+function createConnectivity() {
+    const listeners = new Set();
+    let online = false;
+    return {
+        isOnline: () => online,
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        setOnline: (value) => {
+            online = value;
+            listeners.forEach(listener => listener());
+        }
+    };
+}
+
+const nextEvent = (syncManager, type) => new Promise(resolve => {
+    const stop = syncManager.onSyncEvent(event => {
+        if (event.type !== type) return;
+        stop();
+        resolve(event);
+    });
+});
+
+describe('SyncManager: offline to online', () => {
+    let backend;
+    let storage;
+    let connectivity;
+    let syncManager;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        backend = new MemoryBackend();
+        storage = new OfflineStorageService();
+        connectivity = createConnectivity();
+        syncManager = new SyncManager(backend, storage, connectivity);
+    });
+
+    afterEach(() => {
+        syncManager.destroy();
+        storage.destroy();
+        indexedDB.deleteDatabase('GoogleSOSDB');
+        vi.restoreAllMocks();
+    });
+
+    it('uploads what was queued offline once connectivity returns', async () => {
+        const sos = { deviceId: 'DEV-A', lat: 9.9252, lon: 78.1198, time: 1000, message: 'trapped', userName: 'Asha' };
+        const msg = { sender: 'Asha', text: 'still here', time: 2000 };
+        await storage.storeMessage({ type: 'SOS_BROADCAST', payload: sos, messageId: 'DEV-A-1000' });
+        await storage.storeMessage({ type: 'CHAT_BROADCAST', payload: { deviceId: 'DEV-A', msg }, messageId: 'chat_DEV-A_Asha_2000' });
+
+        await syncManager.syncPendingMessages();
+        expect(backend.batches).toBe(0);
+        expect(await storage.getPendingMessages()).toHaveLength(2);
+
+        const uploaded = [];
+        syncManager.onSyncEvent(event => {
+            if (event.type === 'message_uploaded') uploaded.push(event.messageId);
+        });
+        const complete = nextEvent(syncManager, 'sync_complete');
+        connectivity.setOnline(true);
+        expect(await complete).toMatchObject({ synced: 2, failed: 0, rejected: 0 });
+
+        expect(backend.read('sos', 'DEV-A-1000')).toMatchObject({ ...sos, syncedFromOffline: true });
+        expect(backend.read('chats', 'DEV-A')[chatKey(msg)]).toMatchObject(msg);
+        expect(uploaded).toEqual(['DEV-A-1000']);
+        expect(await storage.getPendingMessages()).toHaveLength(0);
+    });
+
+    it('a newly uploaded SOS reads back as Pending', async () => {
+        const sos = { deviceId: 'DEV-A', lat: 9.9252, lon: 78.1198, time: 1000, status: 'Pending' };
+        await storage.storeMessage({ type: 'SOS_BROADCAST', payload: sos, messageId: 'DEV-A-1000' });
+        const complete = nextEvent(syncManager, 'sync_complete');
+        connectivity.setOnline(true);
+        await complete;
+
+        const records = await new Promise(resolve => {
+            const stop = backend.subscribe('sos', null, value => {
+                stop();
+                resolve(value);
+            });
+        });
+        expect(records['DEV-A-1000']).toMatchObject({ lat: 9.9252, status: 'Pending' });
+        expect(backend.read('sos', 'DEV-A-1000').status).toBe('Pending');
+    });
+
+    it('uploading an SOS again keeps what the control room recorded', async () => {
+        const sos = { deviceId: 'DEV-A', lat: 9.9252, lon: 78.1198, time: 1000, status: 'Pending' };
+        await backend.putSOS('DEV-A-1000', sos);
+        await backend.updateStatus('DEV-A-1000', { status: 'Rescued', responderAck: { stage: 'responder', at: 5000 } });
+
+        // A relay that heard the SOS offline uploads it later
+        await storage.storeMessage({ type: 'SOS_BROADCAST', payload: sos, messageId: 'DEV-A-1000' });
+        const complete = nextEvent(syncManager, 'sync_complete');
+        connectivity.setOnline(true);
+        await complete;
+
+        expect(backend.read('sos', 'DEV-A-1000')).toMatchObject({
+            lat: 9.9252,
+            status: 'Rescued',
+            responderAck: { stage: 'responder', at: 5000 },
+            syncedFromOffline: true
+        });
+    });
+});
+
+describe('SyncManager: retries', () => {
+    const sos = { deviceId: 'DEV-A', lat: 9.9252, lon: 78.1198, time: 1000 };
+    let backend;
+    let storage;
+    let connectivity;
+    let syncManager;
+
+    beforeEach(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        backend = new MemoryBackend();
+        storage = new OfflineStorageService();
+        connectivity = createConnectivity();
+        syncManager = new SyncManager(backend, storage, connectivity);
+        await storage.storeMessage({ type: 'SOS_BROADCAST', payload: sos, messageId: 'DEV-A-1000' });
+    });
+
+    afterEach(() => {
+        syncManager.destroy();
+        storage.destroy();
+        indexedDB.deleteDatabase('GoogleSOSDB');
+        vi.restoreAllMocks();
+    });
+
+    it('doubles the backoff per attempt up to maxRetryDelay, jittered into its upper half', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        expect([1, 2, 3, 4, 5, 6, 7].map(attempt => syncManager.backoffDelay(attempt)))
+            .toEqual([2500, 5000, 10000, 20000, 30000, 30000, 30000]);
+
+        Math.random.mockReturnValue(0.999999);
+        [1, 2, 3, 4].forEach(attempt => {
+            expect(syncManager.backoffDelay(attempt)).toBeCloseTo(5000 * 2 ** (attempt - 1), -1);
+        });
+        expect(syncManager.backoffDelay(20)).toBeLessThanOrEqual(syncManager.maxRetryDelay);
+    });
+
+    it('counts a write that never settles as a failed attempt', async () => {
+        backend.commitBatch = () => new Promise(() => {}); // Firebase on a link that stopped answering
+        syncManager.writeTimeout = 50;
+
+        const complete = nextEvent(syncManager, 'sync_complete');
+        connectivity.setOnline(true);
+        expect(await complete).toMatchObject({ synced: 0, failed: 1 });
+
+        expect(syncManager.isSyncing).toBe(false);
+        const [pending] = await storage.getPendingMessages();
+        expect(pending).toMatchObject({ messageId: 'DEV-A-1000', retryCount: 1 });
+        expect(pending.lastError).toMatch(/timed out/);
+        expect(pending.nextAttemptAt).toBeGreaterThan(Date.now());
+    });
+
+    it('moves a message to the dead letters after maxAttempts failed uploads', async () => {
+        backend.commitBatch = async () => {
+            throw new Error('PERMISSION_DENIED');
+        };
+        syncManager.maxAttempts = 3;
+        const failures = [];
+        syncManager.onSyncEvent(event => {
+            if (event.type === 'sync_failed_permanently') failures.push(event);
+        });
+
+        const complete = nextEvent(syncManager, 'sync_complete');
+        connectivity.setOnline(true);
+        await complete;
+
+        // Nothing is retried before its backoff runs out
+        await syncManager.syncPendingMessages();
+        expect((await storage.getPendingMessages())[0].retryCount).toBe(1);
+
+        let now = Date.now();
+        vi.spyOn(Date, 'now').mockImplementation(() => now);
+        for (const attempt of [2, 3]) {
+            now += syncManager.maxRetryDelay;
+            await syncManager.syncPendingMessages();
+            if (attempt < 3) expect((await storage.getPendingMessages())[0].retryCount).toBe(attempt);
+        }
+
+        expect(await storage.getPendingMessages()).toHaveLength(0);
+        expect(await storage.getDeadLetters()).toEqual([
+            expect.objectContaining({ messageId: 'DEV-A-1000', retryCount: 3, lastError: 'PERMISSION_DENIED' })
+        ]);
+        expect(failures).toEqual([expect.objectContaining({ messageId: 'DEV-A-1000', attempts: 3 })]);
+    });
+
+    it('does not sync after destroy when connectivity returned just before', async () => {
+        const sync = vi.spyOn(syncManager, 'syncPendingMessages');
+        connectivity.setOnline(true);
+        syncManager.destroy();
+
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        expect(sync).not.toHaveBeenCalled();
+    });
+});
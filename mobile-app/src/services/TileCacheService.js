@@ -0,0 +1,313 @@
+/**
+ * TileCacheService - Map tiles kept in IndexedDB so the map works with no network
+ *
+ * Tiles are stored as blobs in their own database (a cache, cleared without touching
+ * the SOS queue). Every tile the map shows is cached on the way through; a whole area
+ * can also be downloaded ahead of time. Usage is tracked per tile and the least
+ * recently used tiles are evicted once the byte budget is exceeded.
+ *
+ * Stores: tiles { url, blob }, tileMeta { url, bytes, lastUsed } - meta is kept apart
+ * so accounting and eviction never read blob data.
+ */
+
+const TILE_URL_TEMPLATE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+export const MAX_AREA_TILES = 1500; // the tile server's usage policy frowns on bulk downloads
+const DOWNLOAD_CONCURRENCY = 2;
+const TOUCH_INTERVAL = 60 * 1000; // lastUsed is rewritten at most this often per tile
+
+/**
+ * Tile containing a coordinate at a zoom level (Web Mercator / slippy map tiles)
+ */
+export function tileForCoordinate(lat, lon, z) {
+    const n = 2 ** z;
+    const latRad = lat * Math.PI / 180;
+    const x = Math.floor((lon + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+    const clamp = (value) => Math.min(n - 1, Math.max(0, value));
+    return { x: clamp(x), y: clamp(y), z };
+}
+
+/**
+ * Every tile covering radiusKm around a point, for each zoom in [minZoom, maxZoom]
+ */
+export function tilesForArea({ lat, lon, radiusKm, minZoom, maxZoom }) {
+    const dLat = radiusKm / 111.32;
+    const dLon = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
+    const tiles = [];
+
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const topLeft = tileForCoordinate(lat + dLat, lon - dLon, z);
+        const bottomRight = tileForCoordinate(lat - dLat, lon + dLon, z);
+        for (let x = topLeft.x; x <= bottomRight.x; x++) {
+            for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                tiles.push({ x, y, z });
+            }
+        }
+    }
+    return tiles;
+}
+
+class TileCacheService {
+    constructor({ urlTemplate = TILE_URL_TEMPLATE, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+        this.dbName = 'GoogleSOSTiles';
+        this.dbVersion = 1;
+        this.urlTemplate = urlTemplate;
+        this.maxBytes = maxBytes;
+        this.db = null;
+        this.touched = new Map(); // url -> last time lastUsed was written
+        this.usage = { tiles: 0, bytes: 0 }; // running totals, so storing a tile doesn't rescan the cache
+        this.listeners = new Set();
+        this.evicting = null;
+
+        this.ready = this.init();
+    }
+
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            const meta = await this.readMeta();
+            this.usage = { tiles: meta.length, bytes: meta.reduce((sum, tile) => sum + tile.bytes, 0) };
+            console.log(`[TileCache] IndexedDB initialized, ${meta.length} tile(s) cached`);
+        } catch (error) {
+            // Without storage the map still works online, tiles just aren't kept
+            console.warn('[TileCache] IndexedDB unavailable, tiles will not be cached', error);
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('tiles')) {
+                    db.createObjectStore('tiles', { keyPath: 'url' });
+                }
+                if (!db.objectStoreNames.contains('tileMeta')) {
+                    const metaStore = db.createObjectStore('tileMeta', { keyPath: 'url' });
+                    metaStore.createIndex('lastUsed', 'lastUsed', { unique: false });
+                }
+            };
+        });
+    }
+
+    tileUrl({ x, y, z }) {
+        return this.urlTemplate.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    }
+
+    /**
+     * Tile image as a blob: from the cache if we have it, otherwise fetched and cached
+     * Rejects when the tile isn't cached and the network can't provide it
+     */
+    async getTile(url) {
+        await this.ready;
+
+        const cached = await this.readTile(url);
+        if (cached) {
+            this.touch(url);
+            return cached;
+        }
+
+        const blob = await this.fetchTile(url);
+        await this.storeTile(url, blob);
+        return blob;
+    }
+
+    async fetchTile(url, signal) {
+        const response = await fetch(url, { signal });
+        if (!response.ok) throw new Error(`[TileCache] ${url} failed: ${response.status}`);
+        return response.blob();
+    }
+
+    readTile(url) {
+        if (!this.db) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(['tiles'], 'readonly').objectStore('tiles').get(url);
+            request.onsuccess = () => resolve(request.result?.blob || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async storeTile(url, blob) {
+        if (!this.db) return;
+
+        const now = Date.now();
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['tiles', 'tileMeta'], 'readwrite');
+            const metaStore = transaction.objectStore('tileMeta');
+            const previous = metaStore.get(url);
+            previous.onsuccess = () => {
+                // The same tile can be fetched twice (map and area download racing)
+                if (previous.result) {
+                    this.usage.bytes -= previous.result.bytes;
+                    this.usage.tiles--;
+                }
+                this.usage.bytes += blob.size;
+                this.usage.tiles++;
+                metaStore.put({ url, bytes: blob.size, lastUsed: now });
+                transaction.objectStore('tiles').put({ url, blob });
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.touched.set(url, now);
+        if (this.usage.bytes > this.maxBytes) {
+            // Parallel downloads finish together; one eviction pass covers them all
+            this.evicting = this.evicting || this.evict().finally(() => { this.evicting = null; });
+            await this.evicting;
+        }
+        this.notify();
+    }
+
+    /**
+     * Mark a tile as recently used (throttled; eviction only needs rough recency)
+     */
+    touch(url) {
+        const now = Date.now();
+        if (now - (this.touched.get(url) || 0) < TOUCH_INTERVAL) return;
+        this.touched.set(url, now);
+
+        const metaStore = this.db.transaction(['tileMeta'], 'readwrite').objectStore('tileMeta');
+        const request = metaStore.get(url);
+        request.onsuccess = () => {
+            if (request.result) metaStore.put({ ...request.result, lastUsed: now });
+        };
+    }
+
+    /**
+     * Download every tile around a point for a range of zooms
+     * area: { lat, lon, radiusKm, minZoom, maxZoom }
+     * onProgress({ done, total, failed }) is called after each tile; pass an AbortSignal to cancel
+     */
+    async downloadArea(area, { onProgress = () => {}, signal } = {}) {
+        await this.ready;
+        if (!this.db) throw new Error('[TileCache] Tile storage is unavailable');
+
+        const tiles = tilesForArea(area);
+        if (tiles.length > MAX_AREA_TILES) {
+            throw new Error(`[TileCache] Area needs ${tiles.length} tiles, the limit is ${MAX_AREA_TILES}`);
+        }
+
+        const progress = { done: 0, total: tiles.length, failed: 0 };
+        const queue = tiles.map(tile => this.tileUrl(tile));
+
+        const worker = async () => {
+            while (queue.length > 0 && !signal?.aborted) {
+                const url = queue.shift();
+                try {
+                    if (!(await this.readTile(url))) {
+                        await this.storeTile(url, await this.fetchTile(url, signal));
+                    } else {
+                        this.touch(url);
+                    }
+                } catch (error) {
+                    if (signal?.aborted) break;
+                    progress.failed++;
+                    console.warn(`[TileCache] Could not download ${url}:`, error.message);
+                }
+                progress.done++;
+                onProgress({ ...progress });
+            }
+        };
+
+        await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+        console.log(`[TileCache] Area download ${signal?.aborted ? 'cancelled' : 'finished'}: ${progress.done - progress.failed}/${progress.total} tiles`);
+        return progress;
+    }
+
+    /**
+     * How many tiles an area download would fetch (before skipping cached ones)
+     */
+    countAreaTiles(area) {
+        return tilesForArea(area).length;
+    }
+
+    readMeta() {
+        if (!this.db) return Promise.resolve([]);
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(['tileMeta'], 'readonly').objectStore('tileMeta').index('lastUsed').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * { tiles, bytes, maxBytes }
+     */
+    getUsage() {
+        return { ...this.usage, maxBytes: this.maxBytes };
+    }
+
+    /**
+     * Delete least recently used tiles until the cache fits in maxBytes
+     */
+    async evict() {
+        const meta = await this.readMeta(); // oldest first
+        const victims = [];
+        let bytes = this.usage.bytes;
+        for (const tile of meta) {
+            if (bytes <= this.maxBytes) break;
+            victims.push(tile);
+            bytes -= tile.bytes;
+        }
+        if (victims.length === 0) return 0;
+
+        await this.deleteTiles(victims.map(tile => tile.url));
+        this.usage = {
+            tiles: this.usage.tiles - victims.length,
+            bytes: this.usage.bytes - victims.reduce((sum, tile) => sum + tile.bytes, 0)
+        };
+        console.log(`[TileCache] Evicted ${victims.length} tile(s)`);
+        return victims.length;
+    }
+
+    deleteTiles(urls) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['tiles', 'tileMeta'], 'readwrite');
+            urls.forEach(url => {
+                transaction.objectStore('tiles').delete(url);
+                transaction.objectStore('tileMeta').delete(url);
+                this.touched.delete(url);
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async clear() {
+        await this.ready;
+        if (!this.db) return;
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['tiles', 'tileMeta'], 'readwrite');
+            transaction.objectStore('tiles').clear();
+            transaction.objectStore('tileMeta').clear();
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        this.touched.clear();
+        this.usage = { tiles: 0, bytes: 0 };
+        this.notify();
+        console.log('[TileCache] Cleared');
+    }
+
+    /**
+     * Call listener() whenever the cached set changes; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+}
+
+export default TileCacheService;
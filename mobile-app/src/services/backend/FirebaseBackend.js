@@ -0,0 +1,70 @@
+/**
+ * FirebaseBackend - Cloud backend on the Firebase Realtime Database
+ *
+ * Backend interface (shared by every backend):
+ *   putSOS(sosId, record)           - create an SOS record or update the fields a device sends
+ *                                     (see sosWrites: control room fields are left alone)
+ *   appendChat(deviceId, message)   - add a message to a device's conversation, resolves to its key
+ *                                     (see chatKey: uploading the same message twice is harmless)
+ *   updateStatus(sosId, changes)    - merge fields into an SOS record (status, responderAck, ...)
+ *   commitBatch(writes)             - apply [{ collection, id, key?, value }] all at once, in one round trip
+ *   subscribe(collection, id, fn)   - call fn with the current value and on every change,
+ *                                     returns an unsubscribe function
+ *                                     collection 'sos' (id null = every SOS) or 'chats'
+ *   onConnectionChange(fn)          - call fn(true|false) as the live connection comes and goes,
+ *                                     returns an unsubscribe function
+ *
+ * Values are plain objects keyed like the database; a missing record is null.
+ * An SOS record without a status reads as Pending (see readRecord).
+ */
+
+import { ref, set, update, onValue } from 'firebase/database';
+import { COLLECTION_PATHS, chatKey, readRecord, sosWrites, writePath } from './paths';
+
+class FirebaseBackend {
+    constructor(db) {
+        this.name = 'firebase';
+        this.db = db;
+    }
+
+    path(collection, id = null) {
+        const root = COLLECTION_PATHS[collection];
+        if (!root) throw new Error(`[FirebaseBackend] Unknown collection: ${collection}`);
+        return id ? `${root}/${id}` : root;
+    }
+
+    putSOS(sosId, record) {
+        return this.commitBatch(sosWrites(sosId, record));
+    }
+
+    async appendChat(deviceId, message) {
+        const key = chatKey(message);
+        await set(ref(this.db, `${this.path('chats', deviceId)}/${key}`), message);
+        return key;
+    }
+
+    updateStatus(sosId, changes) {
+        return update(ref(this.db, this.path('sos', sosId)), changes);
+    }
+
+    /**
+     * One multi-location update: every write lands or none does
+     */
+    commitBatch(writes) {
+        const updates = {};
+        writes.forEach(write => {
+            updates[writePath(write)] = write.value;
+        });
+        return update(ref(this.db), updates);
+    }
+
+    subscribe(collection, id, listener) {
+        return onValue(ref(this.db, this.path(collection, id)), (snapshot) => listener(readRecord(collection, id, snapshot.val())));
+    }
+
+    onConnectionChange(listener) {
+        return onValue(ref(this.db, '.info/connected'), (snapshot) => listener(snapshot.val() === true));
+    }
+}
+
+export default FirebaseBackend;
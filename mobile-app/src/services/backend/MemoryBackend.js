@@ -0,0 +1,103 @@
+/**
+ * MemoryBackend - In-memory backend for tests and offline development
+ *
+ * Implements the FirebaseBackend interface over plain objects. Values are copied
+ * through JSON on the way in and out, so undefined fields and shared references
+ * behave as they would against the real database, and listeners are called
+ * asynchronously like Firebase's.
+ */
+
+import { chatKey, readRecord, sosWrites } from './paths';
+
+const copy = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+class MemoryBackend {
+    constructor(initial = {}) {
+        this.name = 'memory';
+        this.data = { sos: {}, chats: {}, ...copy(initial) };
+        this.listeners = new Set(); // { collection, id, listener }
+        this.writes = 0;
+        this.batches = 0;
+        this.connected = true;
+        this.connectionListeners = new Set();
+    }
+
+    read(collection, id = null) {
+        if (!(collection in this.data)) throw new Error(`[MemoryBackend] Unknown collection: ${collection}`);
+        const value = id ? this.data[collection][id] : this.data[collection];
+        if (value && typeof value === 'object' && Object.keys(value).length === 0) return null;
+        return readRecord(collection, id, copy(value));
+    }
+
+    async putSOS(sosId, record) {
+        await this.commitBatch(sosWrites(sosId, record));
+    }
+
+    async appendChat(deviceId, message) {
+        const key = chatKey(message);
+        this.data.chats[deviceId] = { ...this.data.chats[deviceId], [key]: copy(message) };
+        this.changed('chats', deviceId);
+        return key;
+    }
+
+    async updateStatus(sosId, changes) {
+        this.data.sos[sosId] = { ...this.data.sos[sosId], ...copy(changes) };
+        this.changed('sos', sosId);
+    }
+
+    /**
+     * Applies every write before notifying anyone, so listeners never see half a batch
+     */
+    async commitBatch(writes) {
+        writes.forEach(({ collection }) => {
+            if (!(collection in this.data)) throw new Error(`[MemoryBackend] Unknown collection: ${collection}`);
+        });
+        this.batches++;
+        const touched = new Map(); // "collection/id" -> [collection, id]
+        writes.forEach(({ collection, id, key, value }) => {
+            this.data[collection][id] = key
+                ? { ...this.data[collection][id], [key]: copy(value) }
+                : copy(value);
+            touched.set(`${collection}/${id}`, [collection, id]);
+        });
+        touched.forEach(([collection, id]) => this.changed(collection, id));
+    }
+
+    subscribe(collection, id, listener) {
+        const entry = { collection, id: id ?? null, listener };
+        this.listeners.add(entry);
+        this.deliver(entry);
+        return () => this.listeners.delete(entry);
+    }
+
+    onConnectionChange(listener) {
+        this.connectionListeners.add(listener);
+        queueMicrotask(() => {
+            if (this.connectionListeners.has(listener)) listener(this.connected);
+        });
+        return () => this.connectionListeners.delete(listener);
+    }
+
+    /**
+     * Simulate the live connection dropping or coming back
+     */
+    setConnected(connected) {
+        this.connected = connected;
+        this.connectionListeners.forEach(listener => listener(connected));
+    }
+
+    changed(collection, id) {
+        this.writes++;
+        this.listeners.forEach(entry => {
+            if (entry.collection === collection && (entry.id === null || entry.id === id)) this.deliver(entry);
+        });
+    }
+
+    deliver(entry) {
+        queueMicrotask(() => {
+            if (this.listeners.has(entry)) entry.listener(this.read(entry.collection, entry.id));
+        });
+    }
+}
+
+export default MemoryBackend;
@@ -0,0 +1,75 @@
+/**
+ * RestBackend - Firebase Realtime Database over its REST API
+ *
+ * For places that can't hold a live connection, like the service worker's
+ * background sync: each call is one HTTPS request. Writes only; subscribe and
+ * onConnectionChange are not available here.
+ */
+
+import { COLLECTION_PATHS, chatKey, sosWrites, writePath } from './paths';
+
+class RestBackend {
+    /**
+     * getToken: resolves to a Firebase ID token, or null to write unauthenticated
+     */
+    constructor(databaseURL, getToken = async () => null) {
+        this.name = 'rest';
+        this.databaseURL = databaseURL.replace(/\/+$/, '');
+        this.getToken = getToken;
+    }
+
+    async request(method, path, body) {
+        const token = await this.getToken();
+        const url = `${this.databaseURL}/${path}.json${token ? `?auth=${encodeURIComponent(token)}` : ''}`;
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`[RestBackend] ${method} /${path} failed: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    path(collection, id = null) {
+        const root = COLLECTION_PATHS[collection];
+        if (!root) throw new Error(`[RestBackend] Unknown collection: ${collection}`);
+        return id ? `${root}/${id}` : root;
+    }
+
+    async putSOS(sosId, record) {
+        await this.commitBatch(sosWrites(sosId, record));
+    }
+
+    async appendChat(deviceId, message) {
+        const key = chatKey(message);
+        await this.request('PUT', `${this.path('chats', deviceId)}/${key}`, message);
+        return key;
+    }
+
+    async updateStatus(sosId, changes) {
+        await this.request('PATCH', this.path('sos', sosId), changes);
+    }
+
+    /**
+     * A PATCH at the root is the REST form of a multi-location update
+     */
+    async commitBatch(writes) {
+        const updates = {};
+        writes.forEach(write => {
+            updates[writePath(write)] = write.value;
+        });
+        await this.request('PATCH', '', updates);
+    }
+
+    subscribe() {
+        throw new Error('[RestBackend] subscribe is not supported over REST');
+    }
+
+    onConnectionChange() {
+        throw new Error('[RestBackend] onConnectionChange is not supported over REST');
+    }
+}
+
+export default RestBackend;
@@ -0,0 +1,56 @@
+/**
+ * Database layout shared by every backend
+ */
+
+// Backend collection -> database path
+export const COLLECTION_PATHS = {
+    sos: 'sos_messages',
+    chats: 'chats'
+};
+
+// SOS fields only the control room writes (see updateStatus)
+export const CONTROL_ROOM_FIELDS = ['status', 'rescuedAt', 'responderAck', 'ai_analysis'];
+
+// Status of an SOS the control room has not acted on yet
+export const DEFAULT_SOS_STATUS = 'Pending';
+
+/**
+ * Batch writes for a device's SOS record, one path per field
+ * Uploading the same SOS again (a retry, or a second relay) then only rewrites what
+ * the device sent, and never the status or analysis the control room has added.
+ * A new record therefore has no status field; readRecord fills in Pending.
+ */
+export function sosWrites(sosId, record) {
+    return Object.entries(record)
+        .filter(([field, value]) => value !== undefined && !CONTROL_ROOM_FIELDS.includes(field))
+        .map(([field, value]) => ({ collection: 'sos', id: sosId, key: field, value }));
+}
+
+/**
+ * A record as every backend hands it to readers: an SOS without a status is Pending
+ * `value` is one record, or every record of the collection when id is null
+ */
+export function readRecord(collection, id, value) {
+    if (collection !== 'sos' || !value) return value;
+    const withStatus = (record) => ({ status: DEFAULT_SOS_STATUS, ...record });
+    if (id) return withStatus(value);
+    return Object.fromEntries(Object.entries(value).map(([key, record]) => [key, withStatus(record)]));
+}
+
+/**
+ * Deterministic key of a chat message within its conversation
+ * Built from who sent it and when, so the same message uploaded by its sender and
+ * again by a mesh relay lands on one record instead of two
+ */
+export function chatKey(message) {
+    return `${String(message.sender).replace(/[.#$/[\]]/g, '_')}_${message.time}`;
+}
+
+/**
+ * Database path of one batch write ({ collection, id, key? })
+ */
+export function writePath({ collection, id, key }) {
+    const root = COLLECTION_PATHS[collection];
+    if (!root) throw new Error(`[Backend] Unknown collection: ${collection}`);
+    return key ? `${root}/${id}/${key}` : `${root}/${id}`;
+}
@@ -0,0 +1,26 @@
+/**
+ * Deadlines for backend writes
+ *
+ * Firebase queues writes while its connection is down and only settles them once
+ * it reconnects, so a write on a dead or degraded link can stay pending for good.
+ * Callers that have to choose between "uploaded" and "keep it queued" bound the wait.
+ * The write itself is not cancelled: if it lands later, rewriting it is harmless.
+ */
+
+export const WRITE_TIMEOUT = 15000;
+
+/**
+ * Reject with a TimeoutError if `promise` has not settled within `ms`
+ * `label` names the write in the error message
+ */
+export function withTimeout(promise, label = 'Backend write', ms = WRITE_TIMEOUT) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`[Backend] ${label} timed out after ${ms} ms`);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
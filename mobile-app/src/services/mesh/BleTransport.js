@@ -0,0 +1,275 @@
+/**
+ * BleTransport - Mesh transport over Bluetooth LE GATT
+ *
+ * Every node advertises the mesh service and scans for others. Packets go out as
+ * writes to the mesh characteristic of each connected peripheral and as
+ * notifications to every central subscribed to our own characteristic.
+ * Payloads larger than the link MTU are chunked (see bleFraming.js).
+ *
+ * @capacitor-community/bluetooth-le only implements the central role, so the
+ * peripheral half (advertising + GATT server) comes from an optional `gattServer`
+ * bridge with this shape (gattServerBridge.js wraps the Android MeshGattServer plugin):
+ *   startAdvertising({ service, characteristic }) => Promise
+ *   stopAdvertising() => Promise
+ *   onWrite((address, DataView) => void)
+ *   notify(DataView) => Promise
+ * Without it, or if advertising fails, the transport runs central-only (name
+ * 'ble-central'): it reaches peers that advertise but cannot be discovered itself,
+ * so two central-only nodes never meet.
+ *
+ * Scanning reports duplicates: that keeps peer RSSI current and lets a peer that
+ * dropped be found and reconnected when it shows up again.
+ */
+
+import { BleClient } from '@capacitor-community/bluetooth-le';
+import { encodeFrames, FrameReassembler } from './bleFraming';
+
+export const MESH_SERVICE_UUID = '6e0f5a10-7c1d-4b52-9a6e-4d2b8f3c9a01';
+export const MESH_CHARACTERISTIC_UUID = '6e0f5a11-7c1d-4b52-9a6e-4d2b8f3c9a01';
+export const DEFAULT_MTU = 23; // BLE 4.0 minimum, used until the link reports more
+const CONNECT_RETRY_DELAY = 10000; // wait this long before retrying a peer we failed to connect to
+
+/**
+ * Default packet codec: UTF-8 JSON
+ */
+export const jsonCodec = {
+    encode: (packet) => new TextEncoder().encode(JSON.stringify(packet)),
+    decode: (bytes) => JSON.parse(new TextDecoder().decode(bytes))
+};
+
+const toBytes = (dataView) => new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+const toDataView = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+class BleTransport {
+    constructor({ client = BleClient, gattServer = null, mtu = DEFAULT_MTU, codec = jsonCodec, now = () => Date.now() } = {}) {
+        this.client = client;
+        this.gattServer = gattServer;
+        this.name = gattServer ? 'ble' : 'ble-central';
+        this.mtu = mtu;
+        this.codec = codec;
+        this.now = now;
+        this.handlers = [];
+        this.peerMap = new Map(); // BLE address -> { id, rssi, mtu, lastSeen, connected }
+        this.connecting = new Set();
+        this.retryAt = new Map(); // BLE address -> earliest time to try connecting again
+        this.reassembler = new FrameReassembler({ now });
+        this.sequence = 0;
+        this.closed = false;
+
+        this.ready = this.start().catch(error => {
+            console.error('[BleTransport] Failed to start:', error);
+        });
+    }
+
+    /**
+     * Start advertising (if a GATT server bridge is available) and scanning
+     */
+    async start() {
+        await this.client.initialize();
+
+        if (this.gattServer) {
+            try {
+                this.gattServer.onWrite((address, value) => this.handleFrame(address, toBytes(value)));
+                await this.gattServer.startAdvertising({
+                    service: MESH_SERVICE_UUID,
+                    characteristic: MESH_CHARACTERISTIC_UUID
+                });
+            } catch (error) {
+                console.warn('[BleTransport] Advertising failed, central-only mode:', error);
+                this.gattServer = null;
+                this.name = 'ble-central';
+            }
+        } else {
+            console.warn('[BleTransport] No GATT server bridge, central-only mode');
+        }
+
+        await this.client.requestLEScan(
+            { services: [MESH_SERVICE_UUID], allowDuplicates: true },
+            (result) => this.handleScanResult(result)
+        );
+
+        console.log('[BleTransport] Scanning for mesh peers');
+    }
+
+    /**
+     * Connect to newly discovered mesh peripherals and subscribe to their characteristic
+     */
+    async handleScanResult(result) {
+        const address = result.device.deviceId;
+        const known = this.peerMap.get(address);
+
+        if (known) {
+            known.rssi = result.rssi;
+            known.lastSeen = this.now();
+        }
+
+        if (this.closed || known?.connected || this.connecting.has(address)) return;
+        if (this.now() < (this.retryAt.get(address) || 0)) return;
+
+        this.connecting.add(address);
+        try {
+            await this.client.connect(address, (id) => this.handleDisconnect(id));
+
+            let mtu = DEFAULT_MTU;
+            try {
+                mtu = await this.client.getMtu(address);
+            } catch {
+                // getMtu is Android-only; stay on the safe minimum elsewhere
+            }
+
+            await this.client.startNotifications(
+                address,
+                MESH_SERVICE_UUID,
+                MESH_CHARACTERISTIC_UUID,
+                (value) => this.handleFrame(address, toBytes(value))
+            );
+
+            this.peerMap.set(address, {
+                id: address,
+                rssi: result.rssi,
+                mtu,
+                lastSeen: this.now(),
+                connected: true
+            });
+            this.retryAt.delete(address);
+            console.log(`[BleTransport] Connected to ${address} (MTU ${mtu})`);
+        } catch (error) {
+            this.retryAt.set(address, this.now() + CONNECT_RETRY_DELAY);
+            console.warn(`[BleTransport] Could not connect to ${address}:`, error);
+        } finally {
+            this.connecting.delete(address);
+        }
+    }
+
+    /**
+     * Forget a peer that dropped the connection; its next advertisement reconnects it
+     */
+    handleDisconnect(address) {
+        this.peerMap.delete(address);
+        this.reassembler.dropSource(address);
+        console.log(`[BleTransport] Disconnected from ${address}`);
+    }
+
+    /**
+     * Feed a received frame into reassembly and deliver complete packets
+     */
+    handleFrame(source, frame) {
+        this.reassembler.prune();
+
+        const bytes = this.reassembler.push(source, frame);
+        if (!bytes) return;
+
+        let packet;
+        try {
+            packet = this.codec.decode(bytes);
+        } catch (error) {
+            console.warn(`[BleTransport] Undecodable payload from ${source}:`, error);
+            return;
+        }
+
+        this.handlers.forEach(handler => handler(packet));
+    }
+
+    /**
+     * Swap the packet codec (NearbyConnectionsService picks the compact wire format)
+     */
+    setCodec(codec) {
+        this.codec = codec;
+    }
+
+    /**
+     * Send a packet to every connected peripheral and subscribed central
+     */
+    async send(packet) {
+        const bytes = this.codec.encode(packet);
+        const sequence = this.sequence;
+        this.sequence = (this.sequence + 1) & 0xffff;
+
+        const deliveries = [];
+
+        for (const peer of this.peerMap.values()) {
+            if (!peer.connected) continue;
+            const frames = encodeFrames(bytes, sequence, peer.mtu);
+            deliveries.push(this.writeFrames(peer.id, frames));
+        }
+
+        if (this.gattServer) {
+            // Subscribed centrals don't tell us their MTU, so notify with the configured one
+            const frames = encodeFrames(bytes, sequence, this.mtu);
+            deliveries.push(this.notifyFrames(frames));
+        }
+
+        const results = await Promise.allSettled(deliveries);
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.warn('[BleTransport] Delivery failed:', result.reason));
+    }
+
+    /**
+     * Write frames to one peripheral, in order
+     */
+    async writeFrames(address, frames) {
+        for (const frame of frames) {
+            await this.client.writeWithoutResponse(
+                address,
+                MESH_SERVICE_UUID,
+                MESH_CHARACTERISTIC_UUID,
+                toDataView(frame)
+            );
+        }
+    }
+
+    /**
+     * Notify frames to subscribed centrals, in order
+     */
+    async notifyFrames(frames) {
+        for (const frame of frames) {
+            await this.gattServer.notify(toDataView(frame));
+        }
+    }
+
+    /**
+     * Register a receive handler
+     */
+    onReceive(handler) {
+        this.handlers.push(handler);
+        return () => {
+            const index = this.handlers.indexOf(handler);
+            if (index > -1) {
+                this.handlers.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Currently connected peers
+     */
+    peers() {
+        return Array.from(this.peerMap.values()).map(peer => ({ ...peer }));
+    }
+
+    /**
+     * Stop scanning/advertising and drop every connection
+     */
+    async close() {
+        this.closed = true;
+        this.handlers = [];
+
+        try {
+            await this.client.stopLEScan();
+            if (this.gattServer) {
+                await this.gattServer.stopAdvertising();
+            }
+            await Promise.allSettled(
+                Array.from(this.peerMap.keys()).map(address => this.client.disconnect(address))
+            );
+        } catch (error) {
+            console.warn('[BleTransport] Error while closing:', error);
+        }
+
+        this.peerMap.clear();
+        console.log('[BleTransport] Closed');
+    }
+}
+
+export default BleTransport;
@@ -0,0 +1,237 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import BleTransport, { DEFAULT_MTU, MESH_SERVICE_UUID, MESH_CHARACTERISTIC_UUID } from './BleTransport';
+import { ATT_HEADER_SIZE, decodeFrameHeader } from './bleFraming';
+
+const CENTRAL = 'AA:00:00:00:00:01';
+const PERIPHERAL = 'AA:00:00:00:00:02';
+
+const toBytes = (dataView) => new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength).slice();
+const toDataView = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// A packet whose JSON encoding spans many frames at the minimum MTU
+const packet = (text = 'x'.repeat(200)) => ({ type: 'CHAT_BROADCAST', messageId: `chat_${text.length}`, payload: { text } });
+
+/**
+ * Radio stand-in: BleClient for the central side and a GATT server bridge for the
+ * peripheral side. Every frame written or notified is recorded and delivered
+ * through `deliver`, which tests override to drop or reorder frames.
+ */
+function fakeAir({ mtu = 64 } = {}) {
+    const air = {
+        writes: [],
+        notifications: [],
+        onScan: null,
+        onNotify: null,
+        onWrite: null,
+        onDisconnect: null,
+        deliver: (frames, handler) => frames.forEach(handler)
+    };
+
+    air.client = {
+        initialize: vi.fn(async () => {}),
+        requestLEScan: vi.fn(async (options, callback) => { air.onScan = callback; }),
+        stopLEScan: vi.fn(async () => {}),
+        connect: vi.fn(async (address, onDisconnect) => { air.onDisconnect = onDisconnect; }),
+        disconnect: vi.fn(async () => {}),
+        getMtu: vi.fn(async () => mtu),
+        startNotifications: vi.fn(async (address, service, characteristic, callback) => { air.onNotify = callback; }),
+        writeWithoutResponse: vi.fn(async (address, service, characteristic, value) => {
+            air.writes.push({ address, service, characteristic, frame: toBytes(value) });
+        })
+    };
+
+    air.gattServer = {
+        startAdvertising: vi.fn(async () => {}),
+        stopAdvertising: vi.fn(async () => {}),
+        onWrite: (handler) => { air.onWrite = handler; },
+        notify: vi.fn(async (value) => { air.notifications.push(toBytes(value)); })
+    };
+
+    // Hand what the central wrote to the peripheral, and what the peripheral notified to the central
+    air.flushWrites = () => air.deliver(air.writes.splice(0).map(write => write.frame), frame => air.onWrite(CENTRAL, toDataView(frame)));
+    air.flushNotifications = () => air.deliver(air.notifications.splice(0), frame => air.onNotify(toDataView(frame)));
+    air.discover = (rssi = -60) => air.onScan({ device: { deviceId: PERIPHERAL }, rssi });
+
+    return air;
+}
+
+const received = (transport) => {
+    const packets = [];
+    transport.onReceive(p => packets.push(p));
+    return packets;
+};
+
+describe('BleTransport', () => {
+    let transports;
+
+    const start = async (options) => {
+        const transport = new BleTransport(options);
+        transports.push(transport);
+        await transport.ready;
+        return transport;
+    };
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        transports = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(transports.map(transport => transport.close()));
+        vi.restoreAllMocks();
+    });
+
+    it('connects to a discovered peer and writes frames that fit its MTU', async () => {
+        const air = fakeAir({ mtu: 64 });
+        const central = await start({ client: air.client });
+        await air.discover();
+
+        expect(air.client.startNotifications).toHaveBeenCalledWith(PERIPHERAL, MESH_SERVICE_UUID, MESH_CHARACTERISTIC_UUID, expect.any(Function));
+        expect(central.peers()).toEqual([expect.objectContaining({ id: PERIPHERAL, mtu: 64, rssi: -60, connected: true })]);
+
+        await central.send(packet());
+
+        expect(air.writes.length).toBeGreaterThan(1);
+        air.writes.forEach(({ address, frame }, index) => {
+            expect(address).toBe(PERIPHERAL);
+            expect(frame.length).toBeLessThanOrEqual(64 - ATT_HEADER_SIZE);
+            expect(decodeFrameHeader(frame)).toMatchObject({ sequence: 0, index, count: air.writes.length });
+        });
+    });
+
+    it('falls back to the minimum MTU when the platform cannot report one', async () => {
+        const air = fakeAir();
+        air.client.getMtu.mockRejectedValue(new Error('getMtu is not available on iOS'));
+        const central = await start({ client: air.client });
+        await air.discover();
+
+        await central.send(packet());
+
+        expect(central.peers()[0].mtu).toBe(DEFAULT_MTU);
+        air.writes.forEach(({ frame }) => expect(frame.length).toBeLessThanOrEqual(DEFAULT_MTU - ATT_HEADER_SIZE));
+    });
+
+    it('carries packets both ways between a central and an advertising peripheral', async () => {
+        const air = fakeAir({ mtu: 40 });
+        const peripheral = await start({ client: fakeAir().client, gattServer: air.gattServer, mtu: 40 });
+        const central = await start({ client: air.client });
+        const atPeripheral = received(peripheral);
+        const atCentral = received(central);
+        await air.discover();
+
+        expect(peripheral.name).toBe('ble');
+        expect(air.gattServer.startAdvertising).toHaveBeenCalledWith({ service: MESH_SERVICE_UUID, characteristic: MESH_CHARACTERISTIC_UUID });
+
+        await central.send(packet('from the central'.repeat(10)));
+        air.flushWrites();
+        await peripheral.send(packet('from the peripheral'.repeat(10)));
+        air.flushNotifications();
+
+        expect(atPeripheral).toEqual([packet('from the central'.repeat(10))]);
+        expect(atCentral).toEqual([packet('from the peripheral'.repeat(10))]);
+    });
+
+    it('reassembles frames that arrive out of order', async () => {
+        const air = fakeAir({ mtu: 23 });
+        const peripheral = await start({ client: fakeAir().client, gattServer: air.gattServer });
+        const central = await start({ client: air.client });
+        const atPeripheral = received(peripheral);
+        await air.discover();
+        air.deliver = (frames, handler) => [...frames].reverse().forEach(handler);
+
+        await central.send(packet());
+        await central.send(packet('second'));
+        air.flushWrites();
+
+        expect(atPeripheral).toEqual(expect.arrayContaining([packet(), packet('second')]));
+        expect(atPeripheral).toHaveLength(2);
+    });
+
+    it('drops a packet with a lost frame and still delivers the next one', async () => {
+        let now = 0;
+        const air = fakeAir({ mtu: 23 });
+        const peripheral = await start({ client: fakeAir().client, gattServer: air.gattServer, now: () => now });
+        const central = await start({ client: air.client });
+        const atPeripheral = received(peripheral);
+        await air.discover();
+
+        air.deliver = (frames, handler) => frames.filter((_, index) => index !== 2).forEach(handler);
+        await central.send(packet());
+        air.flushWrites();
+        expect(atPeripheral).toEqual([]);
+        expect(peripheral.reassembler.pending.size).toBe(1);
+
+        // The partial payload is pruned once it times out
+        air.deliver = (frames, handler) => frames.forEach(handler);
+        now = 20000;
+        await central.send(packet('retry'));
+        air.flushWrites();
+        expect(atPeripheral).toEqual([packet('retry')]);
+        expect(peripheral.reassembler.pending.size).toBe(0);
+    });
+
+    it('ignores a payload it cannot decode', async () => {
+        const air = fakeAir();
+        const peripheral = await start({ client: fakeAir().client, gattServer: air.gattServer });
+        const atPeripheral = received(peripheral);
+
+        air.onWrite(CENTRAL, toDataView(new Uint8Array([0, 1, 0, 1, 123])));
+
+        expect(atPeripheral).toEqual([]);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Undecodable payload'), expect.anything());
+    });
+
+    it('forgets a peer and its partial payloads when it disconnects, and reconnects on its next advertisement', async () => {
+        const air = fakeAir({ mtu: 23 });
+        const central = await start({ client: air.client });
+        await air.discover();
+        central.handleFrame(PERIPHERAL, new Uint8Array([0, 5, 0, 3, 1]));
+
+        air.onDisconnect(PERIPHERAL);
+        expect(central.peers()).toEqual([]);
+        expect(central.reassembler.pending.size).toBe(0);
+
+        await air.discover(-70);
+        expect(air.client.connect).toHaveBeenCalledTimes(2);
+        expect(central.peers()).toEqual([expect.objectContaining({ id: PERIPHERAL, rssi: -70 })]);
+    });
+
+    it('waits before retrying a peer it failed to connect to', async () => {
+        let now = 0;
+        const air = fakeAir();
+        air.client.connect.mockRejectedValueOnce(new Error('GATT 133'));
+        const central = await start({ client: air.client, now: () => now });
+
+        await air.discover();
+        await air.discover();
+        expect(air.client.connect).toHaveBeenCalledTimes(1);
+
+        now = 10000;
+        await air.discover();
+        expect(air.client.connect).toHaveBeenCalledTimes(2);
+        expect(central.peers()).toHaveLength(1);
+    });
+
+    it('runs central-only when there is no GATT server bridge', async () => {
+        const air = fakeAir();
+        const central = await start({ client: air.client });
+
+        expect(central.name).toBe('ble-central');
+        expect(air.client.requestLEScan).toHaveBeenCalledWith({ services: [MESH_SERVICE_UUID], allowDuplicates: true }, expect.any(Function));
+    });
+
+    it('keeps scanning central-only when advertising fails', async () => {
+        const air = fakeAir();
+        air.gattServer.startAdvertising.mockRejectedValue(new Error('Bluetooth advertise permission denied'));
+        const transport = await start({ client: air.client, gattServer: air.gattServer });
+        await air.discover();
+
+        await transport.send(packet());
+
+        expect(transport.name).toBe('ble-central');
+        expect(air.client.requestLEScan).toHaveBeenCalled();
+        expect(air.gattServer.notify).not.toHaveBeenCalled();
+        expect(air.writes.length).toBeGreaterThan(0);
+    });
+});
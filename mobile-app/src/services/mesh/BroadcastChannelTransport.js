@@ -0,0 +1,61 @@
+/**
+ * BroadcastChannelTransport - Mesh transport over the browser BroadcastChannel API
+ * Only reaches other tabs of the same browser; used for web builds and local testing
+ *
+ * Transport interface (shared by every mesh transport):
+ *   send(packet)        - deliver a packet to every reachable neighbor
+ *   onReceive(handler)  - register a packet handler, returns an unsubscribe function
+ *   peers()             - list of currently reachable neighbors
+ *   close()             - release the underlying channel
+ *   mtu                 - largest frame the link carries in one write (Infinity if unbounded)
+ */
+
+class BroadcastChannelTransport {
+    constructor(channelName = 'google_sos_mesh') {
+        this.name = 'broadcast-channel';
+        this.mtu = Infinity;
+        this.channel = new BroadcastChannel(channelName);
+        this.handlers = [];
+
+        this.channel.onmessage = (event) => {
+            this.handlers.forEach(handler => handler(event.data));
+        };
+    }
+
+    /**
+     * Post a packet to every other tab listening on the channel
+     */
+    send(packet) {
+        this.channel.postMessage(packet);
+    }
+
+    /**
+     * Register a receive handler
+     */
+    onReceive(handler) {
+        this.handlers.push(handler);
+        return () => {
+            const index = this.handlers.indexOf(handler);
+            if (index > -1) {
+                this.handlers.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * BroadcastChannel has no notion of individual peers
+     */
+    peers() {
+        return [];
+    }
+
+    /**
+     * Close the channel
+     */
+    close() {
+        this.channel.close();
+        this.handlers = [];
+    }
+}
+
+export default BroadcastChannelTransport;
@@ -0,0 +1,397 @@
+/**
+ * MeshSimulator - Deterministic in-memory mesh for multi-node testing
+ *
+ * Runs N NearbyConnectionsService instances on a virtual clock and a seeded RNG,
+ * wired together by SimulatedTransport links with configurable topology, loss,
+ * latency and partitions. Every broadcast is tracked so delivery ratio, hop
+ * counts and duplicate transmissions can be asserted on.
+ *
+ *   const sim = new MeshSimulator({ seed: 42, loss: 0.1 });
+ *   sim.buildLine(6);
+ *   const id = await sim.broadcastSOS('GOS-SIM000', { lat: 0, lon: 0 });
+ *   await sim.run(5000);
+ *   sim.report(id); // { deliveryRatio, hopCounts, duplicates, ... }
+ */
+
+import NearbyConnectionsService from '../NearbyConnectionsService';
+
+/**
+ * deviceId of the i-th simulated node, in the GOS-XXXXXX shape real devices use
+ */
+export const simNodeId = (i) => `GOS-SIM${String(i).padStart(3, '0')}`;
+
+/**
+ * Seeded PRNG (mulberry32) - same seed, same run
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Captured before anything can swap the globals, used only to yield to pending promises
+const realSetTimeout = globalThis.setTimeout.bind(globalThis);
+const flushPromises = () => new Promise(resolve => realSetTimeout(resolve, 0));
+
+/**
+ * Virtual clock with the same surface as systemClock
+ * Time only moves when the simulator runs it
+ */
+export class VirtualClock {
+    constructor(start = 0, { isBusy = () => false } = {}) {
+        this.time = start;
+        this.isBusy = isBusy; // true while async work (e.g. WebCrypto) started by an event is unfinished
+        this.queue = [];
+        this.nextId = 1;
+        this.cancelled = new Set();
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay = 0) {
+        const id = this.nextId++;
+        this.schedule({ id, at: this.time + Math.max(0, delay), callback });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.cancelled.add(id);
+    }
+
+    setInterval(callback, delay) {
+        const id = this.nextId++;
+        const tick = () => {
+            callback();
+            this.schedule({ id, at: this.time + delay, callback: tick });
+        };
+        this.schedule({ id, at: this.time + delay, callback: tick });
+        return id;
+    }
+
+    clearInterval(id) {
+        this.cancelled.add(id);
+    }
+
+    schedule(event) {
+        // Keep the queue ordered by time, FIFO among equal times
+        let index = this.queue.length;
+        while (index > 0 && this.queue[index - 1].at > event.at) index--;
+        this.queue.splice(index, 0, event);
+    }
+
+    /**
+     * Run every event due within the next `duration` ms
+     */
+    async advance(duration) {
+        const end = this.time + duration;
+
+        while (this.queue.length > 0 && this.queue[0].at <= end) {
+            const event = this.queue.shift();
+            if (this.cancelled.has(event.id)) continue;
+
+            this.time = event.at;
+            event.callback();
+            do {
+                await flushPromises();
+            } while (this.isBusy());
+        }
+
+        this.time = end;
+    }
+}
+
+/**
+ * Transport endpoint of one simulated node
+ */
+export class SimulatedTransport {
+    constructor(simulator, nodeId, mtu = Infinity) {
+        this.name = 'simulated';
+        this.mtu = mtu;
+        this.simulator = simulator;
+        this.nodeId = nodeId;
+        this.handlers = [];
+        this.closed = false;
+        this.codec = null;
+        this.bytesSent = 0;
+    }
+
+    /**
+     * With a codec every packet makes a round trip through its byte encoding
+     */
+    setCodec(codec) {
+        this.codec = codec;
+    }
+
+    send(packet) {
+        if (this.closed) return;
+        if (this.codec) {
+            const bytes = this.codec.encode(packet);
+            this.bytesSent += bytes.length;
+            packet = this.codec.decode(bytes);
+        }
+        this.simulator.transmit(this.nodeId, packet);
+    }
+
+    deliver(packet) {
+        if (this.closed) return;
+        this.handlers.forEach(handler => handler(packet));
+    }
+
+    onReceive(handler) {
+        this.handlers.push(handler);
+        return () => {
+            const index = this.handlers.indexOf(handler);
+            if (index > -1) {
+                this.handlers.splice(index, 1);
+            }
+        };
+    }
+
+    peers() {
+        return this.simulator.reachableNeighbors(this.nodeId).map(id => ({ id }));
+    }
+
+    close() {
+        this.closed = true;
+        this.handlers = [];
+    }
+}
+
+class MeshSimulator {
+    constructor({ seed = 1, loss = 0, latency = { min: 5, max: 20 }, mtu = Infinity, serviceOptions = {} } = {}) {
+        // Real crypto finishes in real time, so hold virtual time until every node is idle
+        this.clock = new VirtualClock(0, {
+            isBusy: () => Array.from(this.nodes.values()).some(({ service }) => service.pendingWork > 0)
+        });
+        this.random = createRandom(seed);
+        this.loss = loss;
+        this.latency = latency;
+        this.mtu = mtu; // small values make nodes use the compact wire format
+        this.serviceOptions = serviceOptions;
+        this.nodes = new Map();      // nodeId -> { id, service, transport, position }
+        this.links = new Map();      // nodeId -> Set<nodeId>
+        this.partitionOf = new Map(); // nodeId -> partition index
+        this.broadcasts = new Map(); // messageId -> tracking record
+    }
+
+    /**
+     * Create a node running a real NearbyConnectionsService
+     */
+    addNode(id, position = null) {
+        const transport = new SimulatedTransport(this, id, this.mtu);
+        const service = new NearbyConnectionsService(id, {
+            ...this.serviceOptions,
+            transport,
+            clock: this.clock,
+            random: this.random
+        });
+
+        service.onMessage(({ messageId, hops }) => this.recordReceipt(messageId, id, hops));
+
+        this.nodes.set(id, { id, service, transport, position });
+        this.links.set(id, new Set());
+        return service;
+    }
+
+    link(a, b) {
+        this.links.get(a).add(b);
+        this.links.get(b).add(a);
+    }
+
+    unlink(a, b) {
+        this.links.get(a)?.delete(b);
+        this.links.get(b)?.delete(a);
+    }
+
+    /**
+     * a - b - c - ... (n nodes)
+     */
+    buildLine(n) {
+        for (let i = 0; i < n; i++) {
+            this.addNode(simNodeId(i), { x: i, y: 0 });
+            if (i > 0) this.link(simNodeId(i - 1), simNodeId(i));
+        }
+        return this;
+    }
+
+    /**
+     * width x height grid with 4-neighbour links
+     */
+    buildGrid(width, height) {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const id = simNodeId(y * width + x);
+                this.addNode(id, { x, y });
+                if (x > 0) this.link(simNodeId(y * width + x - 1), id);
+                if (y > 0) this.link(simNodeId((y - 1) * width + x), id);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * n nodes placed uniformly in the unit square, linked when closer than `radius`
+     */
+    buildRandomGeometric(n, radius) {
+        const placed = [];
+        for (let i = 0; i < n; i++) {
+            const position = { x: this.random(), y: this.random() };
+            const id = simNodeId(i);
+            this.addNode(id, position);
+
+            for (const other of placed) {
+                const dx = other.position.x - position.x;
+                const dy = other.position.y - position.y;
+                if (Math.sqrt(dx * dx + dy * dy) <= radius) {
+                    this.link(other.id, id);
+                }
+            }
+            placed.push({ id, position });
+        }
+        return this;
+    }
+
+    /**
+     * Split the network: nodes in different groups can no longer hear each other
+     * Nodes not listed keep talking to everyone in their own (unlisted) group
+     */
+    partition(groups) {
+        this.partitionOf.clear();
+        groups.forEach((group, index) => {
+            group.forEach(id => this.partitionOf.set(id, index));
+        });
+    }
+
+    heal() {
+        this.partitionOf.clear();
+    }
+
+    reachableNeighbors(nodeId) {
+        const group = this.partitionOf.get(nodeId);
+        return Array.from(this.links.get(nodeId) || [])
+            .filter(id => this.partitionOf.get(id) === group);
+    }
+
+    /**
+     * Put a packet on the air: every reachable neighbour gets a copy after latency, unless lost
+     */
+    transmit(fromId, packet) {
+        // A packet leaving its originator unrelayed marks the start of a broadcast
+        if (!this.broadcasts.has(packet.messageId) && packet.senderId === fromId && !packet.hops) {
+            this.track(packet.messageId, fromId);
+        }
+
+        const tracking = this.broadcasts.get(packet.messageId);
+        if (tracking) tracking.transmissions++;
+
+        for (const neighborId of this.reachableNeighbors(fromId)) {
+            if (this.random() < this.loss) {
+                if (tracking) tracking.lost++;
+                continue;
+            }
+
+            const { min, max } = this.latency;
+            const delay = min + this.random() * (max - min);
+            const copy = structuredClone(packet);
+
+            this.clock.setTimeout(() => {
+                if (tracking) {
+                    if (tracking.seenBy.has(neighborId)) {
+                        tracking.duplicates++;
+                    } else {
+                        tracking.seenBy.add(neighborId);
+                    }
+                }
+                this.nodes.get(neighborId)?.transport.deliver(copy);
+            }, delay);
+        }
+    }
+
+    recordReceipt(messageId, nodeId, hops) {
+        const tracking = this.broadcasts.get(messageId);
+        if (!tracking || tracking.hopCounts[nodeId] !== undefined) return;
+        // `hops` is the count carried by the packet when it arrived, i.e. relays before us
+        tracking.hopCounts[nodeId] = hops + 1;
+    }
+
+    track(messageId, originId) {
+        this.broadcasts.set(messageId, {
+            messageId,
+            originId,
+            startedAt: this.clock.now(),
+            transmissions: 0,
+            duplicates: 0,
+            lost: 0,
+            seenBy: new Set([originId]),
+            hopCounts: {}
+        });
+    }
+
+    /**
+     * Broadcast an SOS from a node; resolves to the tracked messageId
+     * Fields the packet schema requires default to the node's own values
+     */
+    async broadcastSOS(nodeId, payload = {}) {
+        const time = this.clock.now();
+        return this.nodes.get(nodeId).service.broadcastSOS({ deviceId: nodeId, time, lat: 0, lon: 0, ...payload });
+    }
+
+    /**
+     * Broadcast a chat message from a node; resolves to the tracked messageId
+     */
+    async broadcastChat(nodeId, payload = {}) {
+        const time = this.clock.now();
+        return this.nodes.get(nodeId).service.broadcastChat({ deviceId: nodeId, msg: { sender: 'user', time, text: '' }, ...payload });
+    }
+
+    /**
+     * Advance virtual time
+     */
+    run(duration) {
+        return this.clock.advance(duration);
+    }
+
+    /**
+     * Delivery statistics for one broadcast
+     */
+    report(messageId) {
+        const tracking = this.broadcasts.get(messageId);
+        if (!tracking) return null;
+
+        const hops = Object.values(tracking.hopCounts);
+        const targets = this.nodes.size - 1;
+
+        return {
+            messageId,
+            originId: tracking.originId,
+            reached: hops.length,
+            targets,
+            deliveryRatio: targets > 0 ? hops.length / targets : 1,
+            hopCounts: { ...tracking.hopCounts },
+            maxHops: hops.length > 0 ? Math.max(...hops) : 0,
+            meanHops: hops.length > 0 ? hops.reduce((sum, h) => sum + h, 0) / hops.length : 0,
+            transmissions: tracking.transmissions,
+            duplicates: tracking.duplicates,
+            lost: tracking.lost
+        };
+    }
+
+    /**
+     * Tear down every node
+     */
+    destroy() {
+        this.nodes.forEach(({ service }) => service.destroy());
+        this.nodes.clear();
+        this.links.clear();
+        this.broadcasts.clear();
+    }
+}
+
+export default MeshSimulator;
@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import MeshSimulator from './MeshSimulator';
+
+// Long enough for beacons to spread gateway distances down a 6-node line
+const SETTLE = 40000;
+
+describe('MeshSimulator: line topology', () => {
+    let sim;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        sim = new MeshSimulator({ seed: 7 }).buildLine(6);
+    });
+
+    afterEach(() => {
+        sim.destroy();
+        vi.restoreAllMocks();
+    });
+
+    it('delivers an SOS end to end and carries the cloud ACK back to the originator', async () => {
+        const origin = sim.nodes.get('GOS-SIM000').service;
+        const gateway = sim.nodes.get('GOS-SIM005').service;
+        gateway.setPresence({ online: true });
+        await sim.run(SETTLE);
+
+        const received = [];
+        gateway.onMessage(message => received.push(message));
+        const acks = [];
+        origin.onMessage(message => {
+            if (message.type === 'SOS_ACK') acks.push(message.payload);
+        });
+
+        const messageId = await sim.broadcastSOS('GOS-SIM000', { lat: 9.9252, lon: 78.1198, message: 'help' });
+        await sim.run(5000);
+
+        const report = sim.report(messageId);
+        expect(report.deliveryRatio).toBe(1);
+        expect(report.hopCounts['GOS-SIM005']).toBe(5);
+
+        const sos = received.find(message => message.messageId === messageId);
+        expect(sos.payload.message).toBe('help');
+        expect(sos.path.map(hop => hop.id)).toEqual(['GOS-SIM001', 'GOS-SIM002', 'GOS-SIM003', 'GOS-SIM004']);
+        expect(origin.custody.has(messageId)).toBe(true);
+
+        const sosId = `${sos.payload.deviceId}-${sos.payload.time}`;
+        await gateway.broadcastAck({ sosId, originId: 'GOS-SIM000', stage: 'cloud' });
+        await sim.run(5000);
+
+        expect(acks).toEqual([expect.objectContaining({ sosId, originId: 'GOS-SIM000', stage: 'cloud', ackedBy: 'GOS-SIM005' })]);
+        expect(origin.custody.has(messageId)).toBe(false);
+    });
+
+    it('counts a custody hand-off after a partition heals as a hop', async () => {
+        sim.partition([['GOS-SIM000', 'GOS-SIM001', 'GOS-SIM002'], ['GOS-SIM003', 'GOS-SIM004', 'GOS-SIM005']]);
+        await sim.run(SETTLE);
+
+        const messageId = await sim.broadcastSOS('GOS-SIM000', { lat: 9.9252, lon: 78.1198, message: 'help' });
+        await sim.run(5000);
+        expect(sim.report(messageId).reached).toBe(2);
+        expect(sim.nodes.get('GOS-SIM002').service.custody.has(messageId)).toBe(true);
+
+        sim.heal();
+        await sim.run(SETTLE);
+
+        const report = sim.report(messageId);
+        expect(report.deliveryRatio).toBe(1);
+        expect(report.hopCounts).toEqual({ 'GOS-SIM001': 1, 'GOS-SIM002': 2, 'GOS-SIM003': 3, 'GOS-SIM004': 4, 'GOS-SIM005': 5 });
+    });
+
+    // Partitioned at GOS-SIM005, with the gateway at GOS-SIM009: 9 hops, reachable only by custody past 5
+    const partitionedLine = async (maxCustodyHops) => {
+        sim.destroy();
+        sim = new MeshSimulator({ seed: 7 }).buildLine(10);
+        sim.nodes.forEach(({ service }) => {
+            if (maxCustodyHops) service.maxCustodyHops = maxCustodyHops;
+        });
+        const gateway = sim.nodes.get('GOS-SIM009').service;
+        gateway.setPresence({ online: true });
+        sim.partition([
+            ['GOS-SIM000', 'GOS-SIM001', 'GOS-SIM002', 'GOS-SIM003', 'GOS-SIM004', 'GOS-SIM005'],
+            ['GOS-SIM006', 'GOS-SIM007', 'GOS-SIM008', 'GOS-SIM009']
+        ]);
+        await sim.run(SETTLE);
+
+        const received = [];
+        gateway.onMessage(message => received.push(message));
+        const messageId = await sim.broadcastSOS('GOS-SIM000', { lat: 9.9252, lon: 78.1198 });
+        await sim.run(5000);
+        expect(sim.nodes.get('GOS-SIM005').service.custody.has(messageId)).toBe(true);
+
+        sim.heal();
+        await sim.run(SETTLE);
+        return { messageId, received };
+    };
+
+    it('carries an SOS past maxHops to a gateway by custody hand-offs', async () => {
+        const { messageId, received } = await partitionedLine();
+
+        const report = sim.report(messageId);
+        expect(report.deliveryRatio).toBe(1);
+        expect(report.hopCounts).toMatchObject({ 'GOS-SIM005': 5, 'GOS-SIM006': 6, 'GOS-SIM007': 7, 'GOS-SIM008': 8, 'GOS-SIM009': 9 });
+        expect(received.find(message => message.messageId === messageId).path.map(hop => hop.id))
+            .toEqual(['GOS-SIM001', 'GOS-SIM002', 'GOS-SIM003', 'GOS-SIM004', 'GOS-SIM005', 'GOS-SIM006', 'GOS-SIM007', 'GOS-SIM008']);
+        ['GOS-SIM005', 'GOS-SIM006', 'GOS-SIM007', 'GOS-SIM008'].forEach(id => {
+            expect(sim.nodes.get(id).service.custodyStats.transferred).toBe(1);
+        });
+    });
+
+    it('stops custody hand-offs at maxCustodyHops', async () => {
+        const { messageId, received } = await partitionedLine(8);
+
+        expect(sim.report(messageId).hopCounts['GOS-SIM008']).toBe(8);
+        expect(sim.report(messageId).hopCounts['GOS-SIM009']).toBeUndefined();
+        expect(received).toEqual([]);
+        expect(sim.nodes.get('GOS-SIM008').service.custodyStats.transferred).toBe(0);
+    });
+});
+
+// Hop distance from `origin` to every node it can reach over the simulator's links
+function hopDistances(sim, origin) {
+    const distances = { [origin]: 0 };
+    const queue = [origin];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        for (const neighborId of sim.links.get(id)) {
+            if (distances[neighborId] !== undefined) continue;
+            distances[neighborId] = distances[id] + 1;
+            queue.push(neighborId);
+        }
+    }
+    return distances;
+}
+
+describe('MeshSimulator: lossy grid and random topologies', () => {
+    const LOSSY = { loss: 0.2, latency: { min: 20, max: 400 } };
+    let sims;
+
+    const create = (options) => {
+        const sim = new MeshSimulator(options);
+        sims.push(sim);
+        return sim;
+    };
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        sims = [];
+    });
+
+    afterEach(() => {
+        sims.forEach(sim => sim.destroy());
+        vi.restoreAllMocks();
+    });
+
+    it('reaches every node of a grid despite lost packets, never in fewer hops than the shortest path', async () => {
+        const sim = create({ seed: 11, ...LOSSY }).buildGrid(5, 5);
+        const origin = 'GOS-SIM012'; // the centre, at most 4 hops from any corner
+        await sim.run(SETTLE);
+
+        const messageId = await sim.broadcastSOS(origin, { lat: 9.9252, lon: 78.1198 });
+        await sim.run(SETTLE);
+
+        const report = sim.report(messageId);
+        expect(report.lost).toBeGreaterThan(0);
+        expect(report.deliveryRatio).toBe(1);
+        const distances = hopDistances(sim, origin);
+        Object.entries(report.hopCounts).forEach(([id, hops]) => {
+            expect(hops).toBeGreaterThanOrEqual(distances[id]);
+        });
+    });
+
+    it('reaches the nodes of a random graph that are within maxHops, and only those', async () => {
+        const sim = create({ seed: 5, ...LOSSY }).buildRandomGeometric(24, 0.3);
+        const origin = 'GOS-SIM000';
+        const maxHops = sim.nodes.get(origin).service.maxHops;
+        await sim.run(SETTLE);
+
+        const messageId = await sim.broadcastSOS(origin, { lat: 9.9252, lon: 78.1198 });
+        await sim.run(SETTLE);
+
+        const distances = hopDistances(sim, origin);
+        const inRange = Object.keys(distances).filter(id => id !== origin && distances[id] <= maxHops);
+        const report = sim.report(messageId);
+        expect(inRange.length).toBeGreaterThan(5);
+        expect(Object.keys(report.hopCounts).sort()).toEqual(inRange.sort());
+        Object.entries(report.hopCounts).forEach(([id, hops]) => {
+            expect(hops).toBeGreaterThanOrEqual(distances[id]);
+        });
+    });
+
+    it('replays a run exactly from the same seed', async () => {
+        const runOnce = async (seed) => {
+            const sim = create({ seed, ...LOSSY }).buildRandomGeometric(16, 0.35);
+            await sim.run(SETTLE);
+            const messageId = await sim.broadcastSOS('GOS-SIM003', { lat: 9.9252, lon: 78.1198 });
+            await sim.run(SETTLE);
+            const links = Array.from(sim.links, ([id, neighbors]) => [id, Array.from(neighbors).sort()]);
+            return { links, report: sim.report(messageId) };
+        };
+
+        const first = await runOnce(21);
+        expect(await runOnce(21)).toEqual(first);
+        expect((await runOnce(22)).links).not.toEqual(first.links);
+    });
+});
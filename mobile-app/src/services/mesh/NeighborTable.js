@@ -0,0 +1,137 @@
+/**
+ * NeighborTable - One-hop neighbors learned from HELLO beacons
+ * Tracks last-seen time, advertised presence and an estimated link quality,
+ * and expires neighbors that stop beaconing
+ */
+
+import { systemClock } from './clock';
+
+const QUALITY_ALPHA = 0.3; // weight of the newest beacon in the link quality average
+
+class NeighborTable {
+    constructor({ beaconInterval = 10000, expiry = 30000, clock = systemClock } = {}) {
+        this.beaconInterval = beaconInterval;
+        this.expiry = expiry;
+        this.clock = clock;
+        this.neighbors = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Record a beacon from a neighbor
+     * Link quality is an EWMA of beacon reception: every beacon interval that passed
+     * without one counts as a miss
+     */
+    update(deviceId, { battery = null, online = false, position = null, ...extra } = {}) {
+        const now = this.clock.now();
+        const existing = this.neighbors.get(deviceId);
+
+        let linkQuality = QUALITY_ALPHA;
+        if (existing) {
+            const missed = Math.max(0, Math.round((now - existing.lastSeen) / this.beaconInterval) - 1);
+            linkQuality = existing.linkQuality * Math.pow(1 - QUALITY_ALPHA, missed);
+            linkQuality = linkQuality * (1 - QUALITY_ALPHA) + QUALITY_ALPHA;
+        }
+
+        const entry = {
+            ...extra,
+            deviceId,
+            battery,
+            online: Boolean(online),
+            position,
+            firstSeen: existing ? existing.firstSeen : now,
+            lastSeen: now,
+            beacons: existing ? existing.beacons + 1 : 1,
+            linkQuality
+        };
+
+        this.neighbors.set(deviceId, entry);
+        this.notify();
+
+        if (!existing) {
+            console.log(`[NeighborTable] New neighbor: ${deviceId}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Drop neighbors that have not been heard from within the expiry window
+     */
+    prune() {
+        const now = this.clock.now();
+        let removed = 0;
+
+        for (const [deviceId, entry] of this.neighbors.entries()) {
+            if (now - entry.lastSeen > this.expiry) {
+                this.neighbors.delete(deviceId);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            console.log(`[NeighborTable] Expired ${removed} neighbor(s)`);
+            this.notify();
+        }
+    }
+
+    get(deviceId) {
+        return this.neighbors.get(deviceId) || null;
+    }
+
+    get size() {
+        return this.neighbors.size;
+    }
+
+    /**
+     * Snapshot of every live neighbor, best link first
+     */
+    list() {
+        return Array.from(this.neighbors.values())
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => b.linkQuality - a.linkQuality);
+    }
+
+    /**
+     * Counts for the UI ("N devices nearby, M with internet")
+     */
+    summary() {
+        let withInternet = 0;
+        for (const entry of this.neighbors.values()) {
+            if (entry.online) withInternet++;
+        }
+        return { total: this.neighbors.size, withInternet };
+    }
+
+    /**
+     * Subscribe to table changes; the listener is called right away with the current state
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        listener({ neighbors: this.list(), ...this.summary() });
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index > -1) {
+                this.listeners.splice(index, 1);
+            }
+        };
+    }
+
+    notify() {
+        const state = { neighbors: this.list(), ...this.summary() };
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('[NeighborTable] Listener error:', error);
+            }
+        });
+    }
+
+    clear() {
+        this.neighbors.clear();
+        this.listeners = [];
+    }
+}
+
+export default NeighborTable;
@@ -0,0 +1,220 @@
+/**
+ * PacketSigner - ECDSA (P-256) signing and verification of mesh packets
+ *
+ * Each device keeps one persistent keypair. Packets are signed over a canonical
+ * serialization that leaves out the fields relays are allowed to change, and
+ * senders are pinned to the first key seen for their deviceId (trust on first use).
+ *
+ * The private key is generated non-extractable and kept as a CryptoKey in IndexedDB
+ * (keyStore, see OfflineStorageService), so page scripts can sign with it but never
+ * read it out. Only without IndexedDB does it fall back to an exportable JWK in LocalStorage.
+ */
+
+const KEYPAIR_ID = 'mesh-signing';
+const KEYPAIR_STORAGE_KEY = 'google_sos_mesh_keypair'; // LocalStorage fallback, and where earlier builds kept it
+const TRUST_STORAGE_KEY = 'google_sos_mesh_trust';
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Rewritten hop by hop, so they can't be covered by the originator's signature
+export const MUTABLE_FIELDS = ['hops', 'forwardedBy', 'routeDistance', 'path', 'signature'];
+
+export const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+export const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/**
+ * JSON with sorted keys, so every node serializes a packet identically
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * The exact string a packet's signature covers
+ */
+export function canonicalize(packet) {
+    const signed = {};
+    for (const [key, value] of Object.entries(packet)) {
+        if (!MUTABLE_FIELDS.includes(key)) signed[key] = value;
+    }
+    return stableStringify(signed);
+}
+
+class PacketSigner {
+    constructor({ storage = globalThis.localStorage, subtle = globalThis.crypto?.subtle, keyStore = null } = {}) {
+        this.storage = storage || null;
+        this.keyStore = keyStore; // getKey(id) / putKey(record), e.g. OfflineStorageService
+        this.subtle = subtle || null;
+        this.available = Boolean(this.subtle);
+        this.keyPair = null;
+        this.publicKey = null; // base64 raw public key, sent with every packet
+        this.trusted = this.loadTrust();
+        this.keyCache = new Map(); // base64 public key -> CryptoKey
+
+        if (!this.available) {
+            console.warn('[PacketSigner] WebCrypto unavailable, packets will not be signed or verified');
+        }
+
+        this.ready = this.available ? this.loadKeys() : Promise.resolve();
+    }
+
+    /**
+     * Load the device keypair, generating and persisting one on first run
+     */
+    async loadKeys() {
+        try {
+            const stored = await this.keyStore?.getKey(KEYPAIR_ID);
+            if (stored) this.keyPair = { privateKey: stored.privateKey, publicKey: stored.publicKey };
+        } catch (error) {
+            console.warn('[PacketSigner] Could not read the stored keypair', error);
+        }
+
+        if (!this.keyPair) this.keyPair = await this.loadLegacyKeys();
+        if (!this.keyPair) {
+            this.keyPair = await this.generateKeys();
+            console.log('[PacketSigner] Generated device keypair');
+        }
+
+        this.publicKey = toBase64(await this.subtle.exportKey('raw', this.keyPair.publicKey));
+    }
+
+    /**
+     * The JWK keypair in LocalStorage, moved into the key store when there is one
+     * Keeping the same key matters: neighbors have it pinned to our deviceId
+     */
+    async loadLegacyKeys() {
+        let keyPair = null;
+        try {
+            const stored = this.storage?.getItem(KEYPAIR_STORAGE_KEY);
+            if (!stored) return null;
+            const { privateKey, publicKey } = JSON.parse(stored);
+            keyPair = {
+                privateKey: await this.subtle.importKey('jwk', privateKey, KEY_ALGORITHM, false, ['sign']),
+                publicKey: await this.subtle.importKey('jwk', publicKey, KEY_ALGORITHM, true, ['verify'])
+            };
+        } catch (error) {
+            console.warn('[PacketSigner] Stored keypair unreadable, generating a new one', error);
+            return null;
+        }
+
+        if (this.keyStore) {
+            try {
+                await this.keyStore.putKey({ id: KEYPAIR_ID, ...keyPair });
+                this.storage.removeItem(KEYPAIR_STORAGE_KEY);
+                console.log('[PacketSigner] Moved device keypair out of LocalStorage');
+            } catch (error) {
+                console.warn('[PacketSigner] Could not move keypair out of LocalStorage', error);
+            }
+        }
+        return keyPair;
+    }
+
+    async generateKeys() {
+        if (this.keyStore) {
+            const keyPair = await this.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+            try {
+                await this.keyStore.putKey({ id: KEYPAIR_ID, privateKey: keyPair.privateKey, publicKey: keyPair.publicKey });
+                return keyPair;
+            } catch (error) {
+                console.warn('[PacketSigner] Could not store keypair, falling back to LocalStorage', error);
+            }
+        }
+
+        // Nowhere to keep it: this keypair lasts one session
+        if (!this.storage) return this.subtle.generateKey(KEY_ALGORITHM, false, ['sign', 'verify']);
+
+        const keyPair = await this.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+        try {
+            this.storage.setItem(KEYPAIR_STORAGE_KEY, JSON.stringify({
+                privateKey: await this.subtle.exportKey('jwk', keyPair.privateKey),
+                publicKey: await this.subtle.exportKey('jwk', keyPair.publicKey)
+            }));
+        } catch (error) {
+            console.warn('[PacketSigner] Could not persist keypair', error);
+        }
+        return keyPair;
+    }
+
+    /**
+     * Return a copy of the packet carrying our public key and signature
+     */
+    async sign(packet) {
+        await this.ready;
+        if (!this.available) return packet;
+
+        const withKey = { ...packet, publicKey: this.publicKey };
+        const data = new TextEncoder().encode(canonicalize(withKey));
+        const signature = await this.subtle.sign(SIGN_ALGORITHM, this.keyPair.privateKey, data);
+
+        return { ...withKey, signature: toBase64(signature) };
+    }
+
+    /**
+     * Check a packet's signature and pin its sender's key
+     * Resolves to { valid, reason } where reason is one of
+     * 'unsigned' | 'invalid-signature' | 'key-mismatch' when invalid
+     */
+    async verify(packet) {
+        await this.ready;
+        if (!this.available) return { valid: true, reason: 'unverifiable' };
+
+        const { senderId, publicKey, signature } = packet;
+        if (!publicKey || !signature) return { valid: false, reason: 'unsigned' };
+
+        const pinned = this.trusted[senderId];
+        if (pinned && pinned !== publicKey) return { valid: false, reason: 'key-mismatch' };
+
+        let valid = false;
+        try {
+            const key = await this.importPublicKey(publicKey);
+            const data = new TextEncoder().encode(canonicalize(packet));
+            valid = await this.subtle.verify(SIGN_ALGORITHM, key, fromBase64(signature), data);
+        } catch {
+            valid = false;
+        }
+
+        if (!valid) return { valid: false, reason: 'invalid-signature' };
+
+        if (!pinned) {
+            this.trusted[senderId] = publicKey;
+            this.saveTrust();
+            console.log(`[PacketSigner] Pinned key for ${senderId}`);
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    async importPublicKey(publicKey) {
+        if (!this.keyCache.has(publicKey)) {
+            const key = await this.subtle.importKey('raw', fromBase64(publicKey), KEY_ALGORITHM, false, ['verify']);
+            this.keyCache.set(publicKey, key);
+        }
+        return this.keyCache.get(publicKey);
+    }
+
+    loadTrust() {
+        try {
+            const stored = this.storage?.getItem(TRUST_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    saveTrust() {
+        try {
+            this.storage?.setItem(TRUST_STORAGE_KEY, JSON.stringify(this.trusted));
+        } catch (error) {
+            console.warn('[PacketSigner] Could not persist trust store', error);
+        }
+    }
+}
+
+export default PacketSigner;
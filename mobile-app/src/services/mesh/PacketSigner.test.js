@@ -0,0 +1,84 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import PacketSigner, { toBase64 } from './PacketSigner';
+import OfflineStorageService, { DB_NAME } from '../OfflineStorageService';
+
+const KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const PACKET = { v: 1, type: 'HELLO', payload: { deviceId: 'GOS-A1B2C3' }, messageId: 'hello_GOS-A1B2C3_1', hops: 0, timestamp: 1, senderId: 'GOS-A1B2C3' };
+
+// LocalStorage stand-in backed by a Map
+function memoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+describe('PacketSigner: device keypair', () => {
+    let storage;
+    let keyStore;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        storage = memoryStorage();
+        keyStore = new OfflineStorageService();
+    });
+
+    afterEach(async () => {
+        await keyStore.destroy();
+        await new Promise(resolve => {
+            indexedDB.deleteDatabase(DB_NAME).onsuccess = resolve;
+        });
+        vi.restoreAllMocks();
+    });
+
+    it('keeps a non-extractable private key in IndexedDB and signs with it after a restart', async () => {
+        const signer = new PacketSigner({ storage, keyStore });
+        await signer.ready;
+
+        expect(signer.keyPair.privateKey.extractable).toBe(false);
+        await expect(crypto.subtle.exportKey('jwk', signer.keyPair.privateKey)).rejects.toThrow();
+        expect(storage.items.size).toBe(0);
+
+        const restarted = new PacketSigner({ storage, keyStore });
+        await restarted.ready;
+        expect(restarted.publicKey).toBe(signer.publicKey);
+        expect(await signer.verify(await restarted.sign(PACKET))).toEqual({ valid: true, reason: null });
+    });
+
+    it('moves a keypair earlier builds kept in LocalStorage into IndexedDB, keeping its public key', async () => {
+        const legacy = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['sign', 'verify']);
+        storage.setItem('google_sos_mesh_keypair', JSON.stringify({
+            privateKey: await crypto.subtle.exportKey('jwk', legacy.privateKey),
+            publicKey: await crypto.subtle.exportKey('jwk', legacy.publicKey)
+        }));
+        const publicKey = toBase64(await crypto.subtle.exportKey('raw', legacy.publicKey));
+
+        const signer = new PacketSigner({ storage, keyStore });
+        await signer.ready;
+        expect(signer.publicKey).toBe(publicKey);
+        expect(storage.getItem('google_sos_mesh_keypair')).toBe(null);
+
+        const stored = await keyStore.getKey('mesh-signing');
+        expect(stored.privateKey.extractable).toBe(false);
+        const restarted = new PacketSigner({ storage, keyStore });
+        await restarted.ready;
+        expect(restarted.publicKey).toBe(publicKey);
+    });
+
+    it('falls back to a LocalStorage keypair when IndexedDB cannot hold keys', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const failing = { getKey: async () => null, putKey: async () => { throw new Error('no IndexedDB'); } };
+
+        const signer = new PacketSigner({ storage, keyStore: failing });
+        await signer.ready;
+        expect(storage.getItem('google_sos_mesh_keypair')).not.toBe(null);
+
+        const restarted = new PacketSigner({ storage, keyStore: failing });
+        await restarted.ready;
+        expect(restarted.publicKey).toBe(signer.publicKey);
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * TransmitQueue - Priority-aware outbound scheduler for the mesh
+ *
+ * Packets wait in priority classes (SOS > ACK > status beacon > chat) and are
+ * paced onto the transport by a token bucket, so a chat flood can't hold up an
+ * SOS. Relayed packets are rate limited per originator, and when the queue is
+ * full the oldest packet of the lowest class goes first.
+ */
+
+import { systemClock } from './clock';
+
+// Lower number = sent first
+export const PRIORITY = {
+    SOS_BROADCAST: 0,
+    SOS_ACK: 1,
+    HELLO: 2,
+    CHAT_BROADCAST: 3
+};
+
+// Gossip and custody control packets travel with the beacons
+const DEFAULT_PRIORITY = PRIORITY.HELLO;
+const LOWEST_PRIORITY = Math.max(...Object.values(PRIORITY));
+
+export function priorityOf(packet) {
+    return PRIORITY[packet.type] ?? DEFAULT_PRIORITY;
+}
+
+class TransmitQueue {
+    constructor({
+        send,
+        localId,
+        clock = systemClock,
+        rate = 20,            // packets per second put on the air
+        burst = 5,            // packets that may go out back to back
+        maxSize = 100,        // queued packets across all classes
+        senderLimit = 20,     // relayed packets per originator...
+        senderWindow = 10000  // ...within this many ms
+    }) {
+        this.sendNow = send;
+        this.localId = localId;
+        this.clock = clock;
+        this.rate = rate;
+        this.burst = burst;
+        this.maxSize = maxSize;
+        this.senderLimit = senderLimit;
+        this.senderWindow = senderWindow;
+
+        this.queues = Array.from({ length: LOWEST_PRIORITY + 1 }, () => []);
+        this.tokens = burst;
+        this.lastRefill = clock.now();
+        this.drainTimer = null;
+        this.relayed = new Map(); // originator -> timestamps of packets we relayed for it
+        this.stats = { enqueued: 0, sent: 0, dropped: { overflow: 0, rateLimited: 0 } };
+    }
+
+    get depth() {
+        return this.queues.reduce((sum, queue) => sum + queue.length, 0);
+    }
+
+    /**
+     * Queue a packet for transmission
+     * Returns false when it was dropped (rate limit, or full queue of higher priority traffic)
+     */
+    enqueue(packet) {
+        const priority = priorityOf(packet);
+
+        if (packet.senderId !== this.localId && !this.allowRelay(packet.senderId)) {
+            this.stats.dropped.rateLimited++;
+            console.warn(`[TransmitQueue] Rate limited relay of ${packet.messageId} from ${packet.senderId}`);
+            return false;
+        }
+
+        if (this.depth >= this.maxSize && !this.evict(priority)) {
+            this.stats.dropped.overflow++;
+            console.warn(`[TransmitQueue] Queue full, dropped ${packet.messageId}`);
+            return false;
+        }
+
+        this.queues[priority].push(packet);
+        this.stats.enqueued++;
+        this.drain();
+        return true;
+    }
+
+    /**
+     * Make room by dropping the oldest packet of the lowest class that is not
+     * more important than the incoming one
+     */
+    evict(incomingPriority) {
+        for (let priority = LOWEST_PRIORITY; priority >= incomingPriority; priority--) {
+            const dropped = this.queues[priority].shift();
+            if (dropped) {
+                this.stats.dropped.overflow++;
+                console.warn(`[TransmitQueue] Queue full, evicted ${dropped.messageId}`);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Sliding-window limit on packets relayed for one originator
+     */
+    allowRelay(originId) {
+        const now = this.clock.now();
+        const recent = (this.relayed.get(originId) || []).filter(time => now - time < this.senderWindow);
+
+        if (recent.length >= this.senderLimit) {
+            this.relayed.set(originId, recent);
+            return false;
+        }
+
+        recent.push(now);
+        this.relayed.set(originId, recent);
+        return true;
+    }
+
+    refill() {
+        const now = this.clock.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Send as many packets as the token bucket allows, highest priority first,
+     * and come back when the next token is due
+     */
+    drain() {
+        if (this.drainTimer !== null) return;
+
+        this.refill();
+        while (this.tokens >= 1) {
+            const queue = this.queues.find(q => q.length > 0);
+            if (!queue) return;
+
+            this.tokens--;
+            this.stats.sent++;
+            this.sendNow(queue.shift());
+        }
+
+        if (this.depth > 0) {
+            const wait = ((1 - this.tokens) / this.rate) * 1000;
+            this.drainTimer = this.clock.setTimeout(() => {
+                this.drainTimer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+
+    /**
+     * Forget relay history of originators that have gone quiet
+     */
+    prune() {
+        const now = this.clock.now();
+        for (const [originId, times] of this.relayed.entries()) {
+            if (times.every(time => now - time >= this.senderWindow)) this.relayed.delete(originId);
+        }
+    }
+
+    getStats() {
+        return {
+            depth: this.depth,
+            byPriority: Object.fromEntries(Object.entries(PRIORITY).map(([type, priority]) => [type, this.queues[priority].length])),
+            enqueued: this.stats.enqueued,
+            sent: this.stats.sent,
+            dropped: { ...this.stats.dropped }
+        };
+    }
+
+    clear() {
+        if (this.drainTimer !== null) this.clock.clearTimeout(this.drainTimer);
+        this.drainTimer = null;
+        this.queues.forEach(queue => queue.splice(0));
+        this.relayed.clear();
+    }
+}
+
+export default TransmitQueue;
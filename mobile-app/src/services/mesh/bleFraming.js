@@ -0,0 +1,128 @@
+/**
+ * BLE framing - Splits mesh payloads into MTU-sized GATT writes and reassembles them
+ *
+ * Frame layout (4 byte header + chunk):
+ *   [0..1] message sequence number (uint16, big endian)
+ *   [2]    chunk index
+ *   [3]    chunk count
+ *   [4..]  chunk bytes
+ */
+
+export const FRAME_HEADER_SIZE = 4;
+export const ATT_HEADER_SIZE = 3; // ATT opcode + handle eat into every write
+export const MAX_CHUNKS = 255;
+
+/**
+ * Split a payload into frames that each fit in a single write for the given MTU
+ */
+export function encodeFrames(bytes, sequence, mtu) {
+    const chunkSize = mtu - ATT_HEADER_SIZE - FRAME_HEADER_SIZE;
+    if (chunkSize <= 0) {
+        throw new Error(`MTU ${mtu} too small for mesh framing`);
+    }
+
+    const count = Math.max(1, Math.ceil(bytes.length / chunkSize));
+    if (count > MAX_CHUNKS) {
+        throw new Error(`Payload of ${bytes.length} bytes needs ${count} chunks (max ${MAX_CHUNKS})`);
+    }
+
+    const frames = [];
+    for (let index = 0; index < count; index++) {
+        const chunk = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+        const frame = new Uint8Array(FRAME_HEADER_SIZE + chunk.length);
+        frame[0] = (sequence >> 8) & 0xff;
+        frame[1] = sequence & 0xff;
+        frame[2] = index;
+        frame[3] = count;
+        frame.set(chunk, FRAME_HEADER_SIZE);
+        frames.push(frame);
+    }
+
+    return frames;
+}
+
+/**
+ * Read the header of a single frame
+ */
+export function decodeFrameHeader(frame) {
+    if (frame.length < FRAME_HEADER_SIZE) return null;
+
+    const sequence = (frame[0] << 8) | frame[1];
+    const index = frame[2];
+    const count = frame[3];
+    if (count === 0 || index >= count) return null;
+
+    return { sequence, index, count, chunk: frame.subarray(FRAME_HEADER_SIZE) };
+}
+
+/**
+ * Collects frames per source until a payload is complete
+ * Partial payloads are dropped after `timeout` ms so a lost chunk cannot pin memory
+ */
+export class FrameReassembler {
+    constructor({ timeout = 10000, now = () => Date.now() } = {}) {
+        this.timeout = timeout;
+        this.now = now;
+        this.pending = new Map();
+    }
+
+    /**
+     * Add a frame received from `source`; returns the full payload once every chunk arrived
+     */
+    push(source, frame) {
+        const header = decodeFrameHeader(frame);
+        if (!header) return null;
+
+        const { sequence, index, count, chunk } = header;
+
+        // Single-frame payloads skip the bookkeeping entirely
+        if (count === 1) return chunk.slice();
+
+        const key = `${source}:${sequence}`;
+        let entry = this.pending.get(key);
+        if (!entry || entry.count !== count) {
+            entry = { count, chunks: new Array(count), received: 0, startedAt: this.now() };
+            this.pending.set(key, entry);
+        }
+
+        if (!entry.chunks[index]) {
+            entry.chunks[index] = chunk.slice();
+            entry.received++;
+        }
+
+        if (entry.received < count) return null;
+
+        this.pending.delete(key);
+        const length = entry.chunks.reduce((sum, c) => sum + c.length, 0);
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        for (const c of entry.chunks) {
+            bytes.set(c, offset);
+            offset += c.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * Drop partial payloads older than the timeout
+     */
+    prune() {
+        const now = this.now();
+        for (const [key, entry] of this.pending.entries()) {
+            if (now - entry.startedAt > this.timeout) {
+                this.pending.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Forget everything in flight from a source (e.g. on disconnect)
+     */
+    dropSource(source) {
+        for (const key of this.pending.keys()) {
+            if (key.startsWith(`${source}:`)) {
+                this.pending.delete(key);
+            }
+        }
+    }
+}
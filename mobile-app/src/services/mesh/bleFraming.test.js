@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { encodeFrames, decodeFrameHeader, FrameReassembler, FRAME_HEADER_SIZE, ATT_HEADER_SIZE, MAX_CHUNKS } from './bleFraming';
+
+const PEER = 'AA:BB:CC:DD:EE:01';
+
+const payload = (length) => Uint8Array.from({ length }, (_, i) => (i * 7) % 256);
+
+describe('bleFraming: encodeFrames', () => {
+    it.each([23, 64, 185, 517])('keeps every frame within one write at MTU %i', (mtu) => {
+        const bytes = payload(1500);
+        const frames = encodeFrames(bytes, 1, mtu);
+        const chunkSize = mtu - ATT_HEADER_SIZE - FRAME_HEADER_SIZE;
+
+        expect(frames).toHaveLength(Math.ceil(bytes.length / chunkSize));
+        frames.forEach((frame, index) => {
+            expect(frame.length).toBeLessThanOrEqual(mtu - ATT_HEADER_SIZE);
+            expect(decodeFrameHeader(frame)).toMatchObject({ sequence: 1, index, count: frames.length });
+        });
+    });
+
+    it('sends an empty payload as one frame', () => {
+        const frames = encodeFrames(new Uint8Array(0), 7, 23);
+        expect(frames).toHaveLength(1);
+        expect(new FrameReassembler().push(PEER, frames[0])).toEqual(new Uint8Array(0));
+    });
+
+    it('rejects an MTU with no room for payload bytes', () => {
+        expect(() => encodeFrames(payload(10), 1, ATT_HEADER_SIZE + FRAME_HEADER_SIZE)).toThrow('too small');
+    });
+
+    it('rejects payloads that need more than the maximum chunk count', () => {
+        const chunkSize = 23 - ATT_HEADER_SIZE - FRAME_HEADER_SIZE;
+        expect(() => encodeFrames(payload(chunkSize * MAX_CHUNKS), 1, 23)).not.toThrow();
+        expect(() => encodeFrames(payload(chunkSize * MAX_CHUNKS + 1), 1, 23)).toThrow(`max ${MAX_CHUNKS}`);
+    });
+
+    it('wraps the sequence number into two bytes', () => {
+        expect(decodeFrameHeader(encodeFrames(payload(5), 0xfffe, 23)[0]).sequence).toBe(0xfffe);
+    });
+});
+
+describe('bleFraming: FrameReassembler', () => {
+    it('reassembles chunks in order', () => {
+        const bytes = payload(300);
+        const reassembler = new FrameReassembler();
+        const frames = encodeFrames(bytes, 3, 23);
+
+        const results = frames.map(frame => reassembler.push(PEER, frame));
+
+        expect(results.slice(0, -1).every(result => result === null)).toBe(true);
+        expect(results.at(-1)).toEqual(bytes);
+        expect(reassembler.pending.size).toBe(0);
+    });
+
+    it('reassembles chunks that arrive out of order or twice', () => {
+        const bytes = payload(300);
+        const reassembler = new FrameReassembler();
+        const frames = encodeFrames(bytes, 3, 23);
+        const shuffled = [...frames.slice(1).reverse(), frames[3], frames[0]];
+
+        const results = shuffled.map(frame => reassembler.push(PEER, frame));
+
+        expect(results.filter(Boolean)).toEqual([bytes]);
+        expect(results.at(-1)).toEqual(bytes);
+    });
+
+    it('keeps payloads from different sources and sequences apart', () => {
+        const first = payload(100);
+        const second = payload(120).reverse();
+        const reassembler = new FrameReassembler();
+        const a = encodeFrames(first, 1, 23);
+        const b = encodeFrames(second, 1, 23);
+        const c = encodeFrames(second, 2, 23);
+
+        const delivered = [];
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (a[i]) delivered.push(reassembler.push(PEER, a[i]));
+            if (b[i]) delivered.push(reassembler.push('AA:BB:CC:DD:EE:02', b[i]));
+            if (c[i]) delivered.push(reassembler.push(PEER, c[i]));
+        }
+
+        expect(delivered.filter(Boolean)).toEqual([first, second, second]);
+    });
+
+    it('never completes a payload with a dropped chunk, and prunes it after the timeout', () => {
+        let now = 0;
+        const reassembler = new FrameReassembler({ timeout: 10000, now: () => now });
+        const frames = encodeFrames(payload(300), 4, 23);
+
+        frames.filter((_, index) => index !== 5).forEach(frame => {
+            expect(reassembler.push(PEER, frame)).toBe(null);
+        });
+        expect(reassembler.pending.size).toBe(1);
+
+        now = 10000;
+        reassembler.prune();
+        expect(reassembler.pending.size).toBe(1);
+
+        now = 10001;
+        reassembler.prune();
+        expect(reassembler.pending.size).toBe(0);
+
+        // The late chunk alone starts over instead of completing the old payload
+        expect(reassembler.push(PEER, frames[5])).toBe(null);
+    });
+
+    it('starts over when a sequence number is reused with a different chunk count', () => {
+        const reassembler = new FrameReassembler();
+        const stale = encodeFrames(payload(300), 9, 23);
+        const fresh = payload(50);
+
+        reassembler.push(PEER, stale[0]);
+        const results = encodeFrames(fresh, 9, 23).map(frame => reassembler.push(PEER, frame));
+
+        expect(results.at(-1)).toEqual(fresh);
+    });
+
+    it('drops partial payloads of a source that disconnected', () => {
+        const reassembler = new FrameReassembler();
+        const frames = encodeFrames(payload(300), 1, 23);
+        reassembler.push(PEER, frames[0]);
+        reassembler.push('AA:BB:CC:DD:EE:02', frames[0]);
+
+        reassembler.dropSource(PEER);
+
+        expect(Array.from(reassembler.pending.keys())).toEqual(['AA:BB:CC:DD:EE:02:1']);
+    });
+
+    it('ignores frames with a malformed header', () => {
+        const reassembler = new FrameReassembler();
+        expect(reassembler.push(PEER, new Uint8Array([0, 1, 0]))).toBe(null);
+        expect(reassembler.push(PEER, new Uint8Array([0, 1, 0, 0, 42]))).toBe(null); // zero chunks
+        expect(reassembler.push(PEER, new Uint8Array([0, 1, 3, 3, 42]))).toBe(null); // index past count
+        expect(reassembler.pending.size).toBe(0);
+    });
+});
@@ -0,0 +1,12 @@
+/**
+ * Clock abstraction for the mesh layer
+ * Services take a clock so the simulator can drive them on virtual time
+ */
+
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (id) => clearInterval(id)
+};
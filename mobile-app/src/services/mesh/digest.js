@@ -0,0 +1,45 @@
+/**
+ * Compact message-ID digests for anti-entropy gossip
+ *
+ * Neighbors exchange sorted lists of 32-bit FNV-1a hashes of the message IDs
+ * they hold instead of the IDs themselves, then pull what the other side has.
+ * A hash collision only means a packet is not pulled from that neighbor; the
+ * originator's own transmission and other neighbors still deliver it.
+ */
+
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * 32-bit FNV-1a hash of a message ID
+ */
+export function hashMessageId(messageId) {
+    let hash = FNV_OFFSET;
+    for (let i = 0; i < messageId.length; i++) {
+        hash ^= messageId.charCodeAt(i);
+        hash = Math.imul(hash, FNV_PRIME);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Sorted, de-duplicated hash list for a set of message IDs
+ */
+export function createDigest(messageIds) {
+    return Array.from(new Set(Array.from(messageIds, hashMessageId))).sort((a, b) => a - b);
+}
+
+/**
+ * Approximate on-air size of a packet, used for the bytes-saved metric
+ */
+export function packetSize(packet) {
+    return new TextEncoder().encode(JSON.stringify(packet)).length;
+}
+
+/**
+ * 32-bit fingerprint of a digest, small enough to ride in every HELLO beacon
+ * Neighbors with equal fingerprints hold the same packets and skip the exchange
+ */
+export function digestFingerprint(hashes) {
+    return hashMessageId(hashes.join(','));
+}
@@ -0,0 +1,31 @@
+/**
+ * gattServerBridge - Peripheral half of BleTransport, backed by the native MeshGattServer plugin
+ *
+ * The Android app registers MeshGattServer (android/app/src/main/java/com/google/mesh/
+ * MeshGattServerPlugin.java): it advertises the mesh service, hosts its characteristic,
+ * reports writes from centrals and notifies subscribed ones. Values cross the bridge as base64.
+ * Platforms without the plugin (iOS, web) get null and BleTransport runs central-only.
+ */
+
+import { Capacitor, registerPlugin } from '@capacitor/core';
+
+export const GATT_SERVER_PLUGIN = 'MeshGattServer';
+
+const MeshGattServer = registerPlugin(GATT_SERVER_PLUGIN);
+
+const toBase64 = (dataView) => btoa(String.fromCharCode(...new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength)));
+const fromBase64 = (text) => new DataView(Uint8Array.from(atob(text), c => c.charCodeAt(0)).buffer);
+
+/**
+ * The bridge BleTransport expects, or null when the native plugin is not there
+ */
+export function loadGattServer({ plugin = MeshGattServer, available = Capacitor.isPluginAvailable(GATT_SERVER_PLUGIN) } = {}) {
+    if (!available) return null;
+
+    return {
+        startAdvertising: ({ service, characteristic }) => plugin.startAdvertising({ service, characteristic }),
+        stopAdvertising: () => plugin.stopAdvertising(),
+        onWrite: (handler) => plugin.addListener('write', ({ address, value }) => handler(address, fromBase64(value))),
+        notify: (value) => plugin.notify({ value: toBase64(value) })
+    };
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi } from 'vitest';
+import { loadGattServer } from './gattServerBridge';
+
+// Native plugin stand-in: records calls and lets the test fire "write" events
+function fakePlugin() {
+    const plugin = {
+        listeners: {},
+        startAdvertising: vi.fn(async () => {}),
+        stopAdvertising: vi.fn(async () => {}),
+        notify: vi.fn(async () => {}),
+        addListener: vi.fn(async (event, handler) => { plugin.listeners[event] = handler; })
+    };
+    return plugin;
+}
+
+describe('gattServerBridge', () => {
+    it('is null where the native plugin is missing (web, iOS)', () => {
+        expect(loadGattServer({ plugin: fakePlugin(), available: false })).toBe(null);
+        expect(loadGattServer()).toBe(null);
+    });
+
+    it('passes frames to and from the plugin as base64', async () => {
+        const plugin = fakePlugin();
+        const bridge = loadGattServer({ plugin, available: true });
+        const writes = [];
+        bridge.onWrite((address, value) => writes.push([address, Array.from(new Uint8Array(value.buffer))]));
+
+        const frame = new Uint8Array([0, 1, 0, 1, 255, 42]);
+        await bridge.notify(new DataView(frame.buffer, 1, 4));
+        plugin.listeners.write({ address: 'AA:00:00:00:00:01', value: btoa(String.fromCharCode(0, 2, 0, 1, 7)) });
+
+        expect(plugin.notify).toHaveBeenCalledWith({ value: btoa(String.fromCharCode(1, 0, 1, 255)) });
+        expect(writes).toEqual([['AA:00:00:00:00:01', [0, 2, 0, 1, 7]]]);
+    });
+
+    it('advertises the mesh service and characteristic it is given', async () => {
+        const plugin = fakePlugin();
+        const bridge = loadGattServer({ plugin, available: true });
+
+        await bridge.startAdvertising({ service: 'svc', characteristic: 'chr' });
+        await bridge.stopAdvertising();
+
+        expect(plugin.startAdvertising).toHaveBeenCalledWith({ service: 'svc', characteristic: 'chr' });
+        expect(plugin.stopAdvertising).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * packetSchema - Versioned mesh packet schema and validators
+ *
+ * Every packet is an envelope { v, type, messageId, senderId, timestamp, hops, payload }
+ * plus optional per-hop fields (forwardedBy, routeDistance, path) and signature fields.
+ * Each known type has a payload validator.
+ *
+ * Compatibility rules:
+ * - A packet without `v` comes from a build before versioning and is read as version 1
+ * - Known types are validated and processed; a bad payload is rejected
+ * - Unknown types, or packets from a newer schema version, only have their envelope
+ *   checked: they are relayed so newer devices can talk through us, but never processed
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const MAX_ID_LENGTH = 128;
+export const DEVICE_ID_PATTERN = /^GOS-[0-9A-Z]{6}$/; // as DeviceIdentityService issues them
+export const MAX_PATH_LENGTH = 16; // relays recorded in a packet's path, oldest dropped first
+export const ACK_STAGES = ['queued', 'relayed', 'cloud', 'responder'];
+
+// Validation failure reasons, also the keys of the drop counters
+export const REJECT_REASONS = {
+    MALFORMED: 'malformed',
+    INVALID_PAYLOAD: 'invalidPayload',
+    UNKNOWN_TYPE: 'unknownType'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH;
+const isDeviceId = (value) => typeof value === 'string' && DEVICE_ID_PATTERN.test(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isOptional = (check) => (value) => value === undefined || value === null || check(value);
+const isPosition = (value) => isObject(value) && isNumber(value.lat) && isNumber(value.lon);
+const isIdList = (value) => Array.isArray(value) && value.every(isId);
+const isPathEntry = (value) => isObject(value) && isDeviceId(value.id) && isNumber(value.t)
+    && isOptional(isNumber)(value.lat) && isOptional(isNumber)(value.lon);
+const isHashList = (value) => Array.isArray(value) && value.every(hash => Number.isInteger(hash) && hash >= 0 && hash <= 0xffffffff);
+
+/**
+ * Build a validator from a field -> check map; returns the first failing field or null
+ */
+function fields(spec) {
+    return (payload) => {
+        if (!isObject(payload)) return 'payload';
+        for (const [field, check] of Object.entries(spec)) {
+            if (!check(payload[field])) return field;
+        }
+        return null;
+    };
+}
+
+const chatMessage = (msg) => isObject(msg)
+    && typeof msg.sender === 'string'
+    && isNumber(msg.time)
+    && (typeof msg.text === 'string' || isObject(msg.enc));
+
+// Payload validators per packet type
+const PAYLOADS = {
+    HELLO: fields({
+        deviceId: isId,
+        battery: isOptional(isNumber),
+        online: isOptional(value => typeof value === 'boolean'),
+        position: isOptional(isPosition),
+        gatewayDistance: isOptional(isNumber),
+        digest: isOptional(isNumber)
+    }),
+    SOS_BROADCAST: fields({
+        deviceId: isId,
+        lat: isNumber,
+        lon: isNumber,
+        time: isNumber,
+        message: isOptional(value => typeof value === 'string'),
+        userName: isOptional(value => typeof value === 'string')
+    }),
+    CHAT_BROADCAST: fields({
+        deviceId: isId,
+        msg: chatMessage
+    }),
+    SOS_ACK: fields({
+        sosId: isId,
+        originId: isId,
+        stage: value => ACK_STAGES.includes(value),
+        ackedBy: isId,
+        time: isNumber
+    }),
+    SUMMARY_VECTOR: fields({ deviceId: isId, to: isId, ids: isIdList }),
+    CUSTODY_REQUEST: fields({ deviceId: isId, to: isId, ids: isIdList }),
+    DIGEST: fields({ deviceId: isId, hashes: isHashList }),
+    PULL: fields({ deviceId: isId, to: isId, hashes: isHashList })
+};
+
+export const PACKET_TYPES = Object.keys(PAYLOADS);
+
+/**
+ * Check a payload against its type's schema
+ * Returns null when valid, otherwise { reason, detail }
+ */
+export function validatePayload(type, payload) {
+    const validator = PAYLOADS[type];
+    if (!validator) return { reason: REJECT_REASONS.UNKNOWN_TYPE, detail: type };
+
+    const field = validator(payload);
+    return field ? { reason: REJECT_REASONS.INVALID_PAYLOAD, detail: field } : null;
+}
+
+/**
+ * Check a received packet
+ * Returns { valid, process, reason, detail }: `process` is false for packets we
+ * should relay but not act on (unknown type or newer version)
+ */
+export function validatePacket(packet) {
+    const reject = (reason, detail) => ({ valid: false, process: false, reason, detail });
+
+    if (!isObject(packet)) return reject(REJECT_REASONS.MALFORMED, 'packet');
+
+    const version = packet.v ?? 1;
+    if (!Number.isInteger(version) || version < 1) return reject(REJECT_REASONS.MALFORMED, 'v');
+    if (typeof packet.type !== 'string' || !packet.type) return reject(REJECT_REASONS.MALFORMED, 'type');
+    if (!isId(packet.messageId)) return reject(REJECT_REASONS.MALFORMED, 'messageId');
+    if (!isId(packet.senderId)) return reject(REJECT_REASONS.MALFORMED, 'senderId');
+    if (!isNumber(packet.timestamp)) return reject(REJECT_REASONS.MALFORMED, 'timestamp');
+    if (packet.hops !== undefined && !(Number.isInteger(packet.hops) && packet.hops >= 0)) {
+        return reject(REJECT_REASONS.MALFORMED, 'hops');
+    }
+    if (packet.path !== undefined && !(Array.isArray(packet.path) && packet.path.length <= MAX_PATH_LENGTH && packet.path.every(isPathEntry))) {
+        return reject(REJECT_REASONS.MALFORMED, 'path');
+    }
+
+    if (version > SCHEMA_VERSION || !PAYLOADS[packet.type]) {
+        return { valid: true, process: false, reason: null, detail: null };
+    }
+
+    const problem = validatePayload(packet.type, packet.payload);
+    if (problem) return reject(problem.reason, problem.detail);
+
+    return { valid: true, process: true, reason: null, detail: null };
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { validatePacket, SCHEMA_VERSION, REJECT_REASONS } from './packetSchema';
+
+const sos = (path) => ({
+    v: SCHEMA_VERSION,
+    type: 'SOS_BROADCAST',
+    payload: { deviceId: 'GOS-A1B2C3', lat: 9.9252, lon: 78.1198, time: 1000 },
+    messageId: 'sos_GOS-A1B2C3_1000',
+    hops: path.length,
+    timestamp: 1000,
+    senderId: 'GOS-A1B2C3',
+    path
+});
+
+describe('packetSchema: relay path', () => {
+    it('accepts relays with device-shaped ids', () => {
+        expect(validatePacket(sos([{ id: 'GOS-R00001', t: 1100, lat: 9.9261, lon: 78.1203 }, { id: 'GOS-R00002', t: 1900 }])))
+            .toMatchObject({ valid: true, process: true });
+    });
+
+    // The path is not signed, and the control room renders it
+    it.each([
+        '<img src=x onerror=alert(1)>',
+        'GOS-a1b2c3',
+        'GOS-A1B2C3<',
+        'relay-7'
+    ])('rejects the relay id %s', (id) => {
+        expect(validatePacket(sos([{ id, t: 1100 }]))).toMatchObject({
+            valid: false,
+            reason: REJECT_REASONS.MALFORMED,
+            detail: 'path'
+        });
+    });
+});
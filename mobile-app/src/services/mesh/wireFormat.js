@@ -0,0 +1,460 @@
+/**
+ * wireFormat - Compact binary encoding of mesh packets for small-MTU links
+ *
+ * Frame layout: one format byte, then either UTF-8 JSON (FORMAT_JSON) or a packed
+ * envelope (FORMAT_COMPACT) with
+ * - a one-byte type code instead of the type name
+ * - varint integers, and timestamps inside the payload as deltas from the envelope's
+ * - lat/lon as fixed-point 1e-7 degrees (about 1 cm)
+ * - deviceIds through a per-frame dictionary: `GOS-XXXXXX` packs into 4 bytes and
+ *   an ID already written in the frame (senderId, ackedBy, ...) is a one-byte reference
+ * - messageIds that follow the sender's naming scheme left out and rebuilt on decode
+ * - the relay path as (deviceId, time delta, optional position) entries
+ * - base64 keys and signatures as raw bytes
+ *
+ * Signatures cover the decoded object, so the encoding has to be lossless: every
+ * frame is decoded again before it leaves, and anything that does not come back
+ * identical (unknown type or fields, unrounded coordinates) goes out as JSON instead.
+ */
+
+import { ACK_STAGES, DEVICE_ID_PATTERN } from './packetSchema';
+import { stableStringify, toBase64, fromBase64 } from './PacketSigner';
+
+const FORMAT_JSON = 0x00;
+const FORMAT_COMPACT = 0x01;
+
+// Wire codes are part of the format: append new types, never renumber
+const TYPE_CODES = ['HELLO', 'SOS_BROADCAST', 'CHAT_BROADCAST', 'SOS_ACK', 'SUMMARY_VECTOR', 'CUSTODY_REQUEST', 'DIGEST', 'PULL'];
+
+const COORDINATE_SCALE = 1e7;
+const ID_RADIX = 36;
+
+// Tags for optional scalars
+const VALUE = { ABSENT: 0, NULL: 1, FALSE: 2, TRUE: 3, INTEGER: 4, FLOAT: 5, STRING: 6 };
+
+// Tags for deviceIds
+const ID = { REFERENCE: 0, PACKED: 1, LITERAL: 2 };
+
+// Envelope flags
+const HAS_FORWARDED_BY = 1 << 0;
+const HAS_SIGNATURE = 1 << 1;
+const DERIVED_MESSAGE_ID = 1 << 2;
+const HAS_PATH = 1 << 3;
+
+/**
+ * Round a coordinate to what the compact format carries
+ * Senders quantize before signing so their packets encode losslessly
+ */
+export function quantizeCoordinate(value) {
+    return Math.round(value * COORDINATE_SCALE) / COORDINATE_SCALE;
+}
+
+class Writer {
+    constructor() {
+        this.bytes = [];
+        this.ids = [];
+    }
+
+    byte(value) {
+        this.bytes.push(value & 0xff);
+    }
+
+    varint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) throw new RangeError(`Not a varint: ${value}`);
+        while (value >= 0x80) {
+            this.bytes.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.bytes.push(value);
+    }
+
+    signed(value) {
+        if (!Number.isSafeInteger(value)) throw new RangeError(`Not an integer: ${value}`);
+        this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    raw(bytes) {
+        this.varint(bytes.length);
+        for (const b of bytes) this.bytes.push(b);
+    }
+
+    string(value) {
+        if (typeof value !== 'string') throw new TypeError('Expected a string');
+        this.raw(new TextEncoder().encode(value));
+    }
+
+    base64(value) {
+        if (typeof value !== 'string') throw new TypeError('Expected base64');
+        const bytes = fromBase64(value);
+        if (toBase64(bytes) !== value) throw new TypeError('Non-canonical base64');
+        this.raw(bytes);
+    }
+
+    coordinate(value) {
+        this.signed(Math.round(value * COORDINATE_SCALE));
+    }
+
+    float(value) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        for (let i = 0; i < 8; i++) this.bytes.push(view.getUint8(i));
+    }
+
+    value(value) {
+        if (value === undefined) this.byte(VALUE.ABSENT);
+        else if (value === null) this.byte(VALUE.NULL);
+        else if (value === false) this.byte(VALUE.FALSE);
+        else if (value === true) this.byte(VALUE.TRUE);
+        else if (Number.isSafeInteger(value)) {
+            this.byte(VALUE.INTEGER);
+            this.signed(value);
+        } else if (typeof value === 'number') {
+            this.byte(VALUE.FLOAT);
+            this.float(value);
+        } else if (typeof value === 'string') {
+            this.byte(VALUE.STRING);
+            this.string(value);
+        } else {
+            throw new TypeError('Unsupported value');
+        }
+    }
+
+    id(value) {
+        if (typeof value !== 'string') throw new TypeError('Expected a deviceId');
+        const index = this.ids.indexOf(value);
+        if (index > -1) {
+            this.byte(ID.REFERENCE);
+            this.varint(index);
+            return;
+        }
+
+        this.ids.push(value);
+        if (DEVICE_ID_PATTERN.test(value)) {
+            this.byte(ID.PACKED);
+            const packed = parseInt(value.slice(4), ID_RADIX);
+            for (let shift = 24; shift >= 0; shift -= 8) this.byte(Math.floor(packed / 2 ** shift));
+        } else {
+            this.byte(ID.LITERAL);
+            this.string(value);
+        }
+    }
+
+    finish() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+class Reader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+        this.ids = [];
+    }
+
+    byte() {
+        if (this.offset >= this.bytes.length) throw new RangeError('Truncated frame');
+        return this.bytes[this.offset++];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const b = this.byte();
+            value += (b & 0x7f) * scale;
+            if (!(b & 0x80)) return value;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) throw new RangeError('Varint too long');
+        }
+    }
+
+    signed() {
+        const value = this.varint();
+        return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    raw() {
+        const length = this.varint();
+        if (this.offset + length > this.bytes.length) throw new RangeError('Truncated frame');
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+
+    string() {
+        return new TextDecoder().decode(this.raw());
+    }
+
+    base64() {
+        return toBase64(this.raw());
+    }
+
+    coordinate() {
+        return this.signed() / COORDINATE_SCALE;
+    }
+
+    float() {
+        const view = new DataView(new ArrayBuffer(8));
+        for (let i = 0; i < 8; i++) view.setUint8(i, this.byte());
+        return view.getFloat64(0);
+    }
+
+    value() {
+        const tag = this.byte();
+        switch (tag) {
+            case VALUE.ABSENT: return undefined;
+            case VALUE.NULL: return null;
+            case VALUE.FALSE: return false;
+            case VALUE.TRUE: return true;
+            case VALUE.INTEGER: return this.signed();
+            case VALUE.FLOAT: return this.float();
+            case VALUE.STRING: return this.string();
+            default: throw new TypeError(`Unknown value tag ${tag}`);
+        }
+    }
+
+    id() {
+        const tag = this.byte();
+        if (tag === ID.REFERENCE) {
+            const value = this.ids[this.varint()];
+            if (value === undefined) throw new RangeError('Unknown deviceId reference');
+            return value;
+        }
+
+        let value;
+        if (tag === ID.PACKED) {
+            let packed = 0;
+            for (let i = 0; i < 4; i++) packed = packed * 256 + this.byte();
+            value = `GOS-${packed.toString(ID_RADIX).toUpperCase().padStart(6, '0')}`;
+        } else if (tag === ID.LITERAL) {
+            value = this.string();
+        } else {
+            throw new TypeError(`Unknown deviceId tag ${tag}`);
+        }
+        this.ids.push(value);
+        return value;
+    }
+}
+
+// Leave out optional fields the sender never set, as JSON would
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+/**
+ * Packed payloads for the types that dominate the air; other types carry JSON
+ * Times are written relative to the envelope timestamp
+ */
+const PAYLOADS = {
+    HELLO: {
+        write(w, payload) {
+            w.id(payload.deviceId);
+            w.value(payload.battery);
+            w.value(payload.online);
+            if (payload.position === undefined) w.byte(VALUE.ABSENT);
+            else if (payload.position === null) w.byte(VALUE.NULL);
+            else {
+                w.byte(VALUE.TRUE);
+                w.coordinate(payload.position.lat);
+                w.coordinate(payload.position.lon);
+            }
+            w.value(payload.gatewayDistance);
+            w.value(payload.digest);
+        },
+        read(r) {
+            const deviceId = r.id();
+            const battery = r.value();
+            const online = r.value();
+            const positionTag = r.byte();
+            const position = positionTag === VALUE.ABSENT ? undefined
+                : positionTag === VALUE.NULL ? null
+                    : { lat: r.coordinate(), lon: r.coordinate() };
+            const gatewayDistance = r.value();
+            const digest = r.value();
+            return compact({ deviceId, battery, online, position, gatewayDistance, digest });
+        }
+    },
+    SOS_BROADCAST: {
+        write(w, payload, timestamp) {
+            w.id(payload.deviceId);
+            w.coordinate(payload.lat);
+            w.coordinate(payload.lon);
+            w.signed(payload.time - timestamp);
+            w.value(payload.userName);
+            w.value(payload.status);
+            w.value(payload.message);
+            w.value(payload.alreadyUploaded);
+        },
+        read(r, timestamp) {
+            return compact({
+                deviceId: r.id(),
+                lat: r.coordinate(),
+                lon: r.coordinate(),
+                time: timestamp + r.signed(),
+                userName: r.value(),
+                status: r.value(),
+                message: r.value(),
+                alreadyUploaded: r.value()
+            });
+        }
+    },
+    SOS_ACK: {
+        write(w, payload, timestamp) {
+            w.string(payload.sosId);
+            w.id(payload.originId);
+            const stage = ACK_STAGES.indexOf(payload.stage);
+            if (stage < 0) throw new TypeError(`Unknown ACK stage ${payload.stage}`);
+            w.byte(stage);
+            w.id(payload.ackedBy);
+            w.signed(payload.time - timestamp);
+        },
+        read(r, timestamp) {
+            const sosId = r.string();
+            const originId = r.id();
+            const stage = ACK_STAGES[r.byte()];
+            if (!stage) throw new TypeError('Unknown ACK stage');
+            return { sosId, originId, stage, ackedBy: r.id(), time: timestamp + r.signed() };
+        }
+    }
+};
+
+const jsonPayload = {
+    write: (w, payload) => w.string(JSON.stringify(payload)),
+    read: (r) => JSON.parse(r.string())
+};
+
+/**
+ * messageIds the service builds from the envelope itself (see NearbyConnectionsService)
+ */
+const DERIVED_IDS = {
+    HELLO: (packet) => `hello_${packet.senderId}_${packet.timestamp}`,
+    SOS_BROADCAST: (packet) => `sos_${packet.senderId}_${packet.timestamp}`,
+    CHAT_BROADCAST: (packet) => `chat_${packet.senderId}_${packet.timestamp}`,
+    SOS_ACK: (packet) => `ack_${packet.payload.sosId}_${packet.payload.stage}`,
+    DIGEST: (packet) => `digest_${packet.senderId}_${packet.timestamp}`
+};
+
+/**
+ * Relay path entries { id, t, lat?, lon? }, times relative to the envelope timestamp
+ */
+function writePath(w, path, timestamp) {
+    w.varint(path.length);
+    path.forEach(entry => {
+        w.id(entry.id);
+        w.value(entry.t - timestamp);
+        if (entry.lat === undefined && entry.lon === undefined) {
+            w.byte(VALUE.ABSENT);
+        } else {
+            w.byte(VALUE.TRUE);
+            w.coordinate(entry.lat);
+            w.coordinate(entry.lon);
+        }
+    });
+}
+
+function readPath(r, timestamp) {
+    const path = [];
+    for (let count = r.varint(); count > 0; count--) {
+        const entry = { id: r.id(), t: timestamp + r.value() };
+        if (r.byte() !== VALUE.ABSENT) {
+            entry.lat = r.coordinate();
+            entry.lon = r.coordinate();
+        }
+        path.push(entry);
+    }
+    return path;
+}
+
+function encodeCompact(packet) {
+    const code = TYPE_CODES.indexOf(packet.type);
+    if (code < 0) throw new TypeError(`No wire code for ${packet.type}`);
+
+    const signed = packet.signature !== undefined || packet.publicKey !== undefined;
+    const derivedId = DERIVED_IDS[packet.type]?.(packet) === packet.messageId;
+
+    const w = new Writer();
+    w.byte(FORMAT_COMPACT);
+    w.byte(code);
+    w.byte((packet.forwardedBy !== undefined ? HAS_FORWARDED_BY : 0)
+        | (signed ? HAS_SIGNATURE : 0)
+        | (derivedId ? DERIVED_MESSAGE_ID : 0)
+        | (packet.path !== undefined ? HAS_PATH : 0));
+    w.value(packet.v);
+    w.value(packet.hops);
+    w.value(packet.routeDistance);
+    w.id(packet.senderId);
+    if (packet.forwardedBy !== undefined) w.id(packet.forwardedBy);
+    w.varint(packet.timestamp);
+    (PAYLOADS[packet.type] || jsonPayload).write(w, packet.payload, packet.timestamp);
+    if (packet.path !== undefined) writePath(w, packet.path, packet.timestamp);
+    if (!derivedId) w.string(packet.messageId);
+    if (signed) {
+        w.base64(packet.publicKey);
+        w.base64(packet.signature);
+    }
+    return w.finish();
+}
+
+function decodeCompact(r) {
+    const type = TYPE_CODES[r.byte()];
+    if (!type) throw new TypeError('Unknown type code');
+
+    const flags = r.byte();
+    const packet = { type };
+    packet.v = r.value();
+    packet.hops = r.value();
+    packet.routeDistance = r.value();
+    packet.senderId = r.id();
+    if (flags & HAS_FORWARDED_BY) packet.forwardedBy = r.id();
+    packet.timestamp = r.varint();
+    packet.payload = (PAYLOADS[type] || jsonPayload).read(r, packet.timestamp);
+    if (flags & HAS_PATH) packet.path = readPath(r, packet.timestamp);
+    packet.messageId = flags & DERIVED_MESSAGE_ID ? DERIVED_IDS[type](packet) : r.string();
+    if (flags & HAS_SIGNATURE) {
+        packet.publicKey = r.base64();
+        packet.signature = r.base64();
+    }
+    return compact(packet);
+}
+
+function encodeJson(packet) {
+    const json = new TextEncoder().encode(JSON.stringify(packet));
+    const bytes = new Uint8Array(json.length + 1);
+    bytes[0] = FORMAT_JSON;
+    bytes.set(json, 1);
+    return bytes;
+}
+
+/**
+ * Encode a packet, packed where that is lossless and JSON otherwise
+ */
+export function encodePacket(packet) {
+    try {
+        const bytes = encodeCompact(packet);
+        if (stableStringify(decodePacket(bytes)) === stableStringify(packet)) return bytes;
+    } catch {
+        // Not representable in the compact format
+    }
+    return encodeJson(packet);
+}
+
+export function decodePacket(bytes) {
+    if (bytes.length === 0) throw new RangeError('Empty frame');
+
+    if (bytes[0] === FORMAT_JSON) return JSON.parse(new TextDecoder().decode(bytes.subarray(1)));
+    if (bytes[0] === FORMAT_COMPACT) {
+        const reader = new Reader(bytes);
+        reader.offset = 1;
+        const packet = decodeCompact(reader);
+        if (reader.offset !== bytes.length) throw new RangeError('Trailing bytes in frame');
+        return packet;
+    }
+    throw new TypeError(`Unknown wire format ${bytes[0]}`);
+}
+
+/**
+ * Codec for byte-oriented transports, same shape as BleTransport's jsonCodec
+ */
+export const wireCodec = {
+    name: 'compact',
+    encode: encodePacket,
+    decode: decodePacket
+};
@@ -0,0 +1,272 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { encodePacket, decodePacket, quantizeCoordinate } from './wireFormat';
+import { jsonCodec } from './BleTransport';
+import PacketSigner from './PacketSigner';
+import { SCHEMA_VERSION, ACK_STAGES } from './packetSchema';
+
+const NOW = 1767225600000;
+const ORIGIN = 'GOS-A1B2C3';
+const RELAY = 'GOS-Z9Y8X7';
+
+// Packets as NearbyConnectionsService builds them, before signing
+const PACKETS = {
+    HELLO: {
+        v: SCHEMA_VERSION,
+        type: 'HELLO',
+        payload: { deviceId: ORIGIN, battery: 64, online: false, position: { lat: 9.9252, lon: 78.1198 }, gatewayDistance: 2, digest: 3735928559 },
+        messageId: `hello_${ORIGIN}_${NOW}`,
+        hops: 0,
+        timestamp: NOW,
+        senderId: ORIGIN
+    },
+    // What App.sendSOS hands to broadcastSOS
+    SOS_BROADCAST: {
+        v: SCHEMA_VERSION,
+        type: 'SOS_BROADCAST',
+        payload: {
+            deviceId: ORIGIN,
+            userName: 'Asha Raman',
+            lat: quantizeCoordinate(9.92521234567),
+            lon: quantizeCoordinate(78.11987654321),
+            time: NOW,
+            status: 'Pending',
+            message: 'Emergency SOS',
+            alreadyUploaded: false
+        },
+        messageId: `sos_${ORIGIN}_${NOW}`,
+        hops: 0,
+        timestamp: NOW,
+        senderId: ORIGIN,
+        routeDistance: 3
+    },
+    SOS_ACK: {
+        v: SCHEMA_VERSION,
+        type: 'SOS_ACK',
+        payload: { sosId: `${ORIGIN}-${NOW}`, originId: ORIGIN, stage: 'cloud', ackedBy: RELAY, time: NOW + 4200 },
+        messageId: `ack_${ORIGIN}-${NOW}_cloud`,
+        hops: 0,
+        timestamp: NOW + 4200,
+        senderId: RELAY
+    }
+};
+
+// The remaining types, as NearbyConnectionsService builds them; their payloads travel as JSON
+const OTHER_PACKETS = {
+    CHAT_BROADCAST: {
+        v: SCHEMA_VERSION,
+        type: 'CHAT_BROADCAST',
+        payload: { deviceId: ORIGIN, msg: { sender: 'user', time: NOW, text: 'Water is rising, two of us on the roof' } },
+        messageId: `chat_${ORIGIN}_${NOW}`,
+        hops: 0,
+        timestamp: NOW,
+        senderId: ORIGIN
+    },
+    SUMMARY_VECTOR: {
+        v: SCHEMA_VERSION,
+        type: 'SUMMARY_VECTOR',
+        payload: { deviceId: ORIGIN, to: RELAY, ids: [`sos_${ORIGIN}_${NOW}`, `sos_GOS-R00001_${NOW - 9000}`] },
+        messageId: `summary_vector_${ORIGIN}_${RELAY}_${NOW}`,
+        hops: 0,
+        timestamp: NOW,
+        senderId: ORIGIN
+    },
+    CUSTODY_REQUEST: {
+        v: SCHEMA_VERSION,
+        type: 'CUSTODY_REQUEST',
+        payload: { deviceId: RELAY, to: ORIGIN, ids: [`sos_${ORIGIN}_${NOW}`] },
+        messageId: `custody_request_${RELAY}_${ORIGIN}_${NOW + 40}`,
+        hops: 0,
+        timestamp: NOW + 40,
+        senderId: RELAY
+    },
+    DIGEST: {
+        v: SCHEMA_VERSION,
+        type: 'DIGEST',
+        payload: { deviceId: ORIGIN, hashes: [3735928559, 0, 4294967295, 12345] },
+        messageId: `digest_${ORIGIN}_${NOW}`,
+        hops: 0,
+        timestamp: NOW,
+        senderId: ORIGIN
+    },
+    PULL: {
+        v: SCHEMA_VERSION,
+        type: 'PULL',
+        payload: { deviceId: RELAY, to: ORIGIN, hashes: [3735928559] },
+        messageId: `pull_${RELAY}_${ORIGIN}_${NOW + 60}`,
+        hops: 0,
+        timestamp: NOW + 60,
+        senderId: RELAY
+    }
+};
+
+// The same SOS three relays later
+const relayed = (packet) => ({
+    ...packet,
+    hops: 3,
+    forwardedBy: RELAY,
+    path: [
+        { id: 'GOS-R00001', t: NOW + 800, lat: 9.9261, lon: 78.1203 },
+        { id: 'GOS-R00002', t: NOW + 1900 },
+        { id: RELAY, t: NOW + 3100 }
+    ]
+});
+
+describe('wireFormat', () => {
+    let signer;
+
+    beforeAll(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        signer = new PacketSigner({ storage: null });
+        await signer.ready;
+    });
+
+    describe.each(Object.keys(PACKETS))('%s', (type) => {
+        it('round-trips unsigned in the compact format', () => {
+            const bytes = encodePacket(PACKETS[type]);
+            expect(bytes[0]).toBe(0x01);
+            expect(decodePacket(bytes)).toEqual(PACKETS[type]);
+        });
+
+        it('round-trips signed, and the signature still verifies', async () => {
+            const signed = await signer.sign(PACKETS[type]);
+            const bytes = encodePacket(signed);
+            expect(bytes[0]).toBe(0x01);
+
+            const decoded = decodePacket(bytes);
+            expect(decoded).toEqual(signed);
+            expect(await signer.verify(decoded)).toEqual(expect.objectContaining({ valid: true }));
+        });
+
+        it('is smaller than the JSON encoding', async () => {
+            const signed = await signer.sign(PACKETS[type]);
+            expect(encodePacket(signed).length).toBeLessThan(jsonCodec.encode(signed).length / 2);
+        });
+    });
+
+    describe.each(Object.keys(OTHER_PACKETS))('%s', (type) => {
+        it('round-trips unsigned and signed in the compact envelope', async () => {
+            const signed = await signer.sign(OTHER_PACKETS[type]);
+            [OTHER_PACKETS[type], signed].forEach(packet => {
+                const bytes = encodePacket(packet);
+                expect(bytes[0]).toBe(0x01);
+                expect(decodePacket(bytes)).toEqual(packet);
+                expect(bytes.length).toBeLessThan(jsonCodec.encode(packet).length);
+            });
+            expect(await signer.verify(decodePacket(encodePacket(signed)))).toEqual(expect.objectContaining({ valid: true }));
+        });
+    });
+
+    it('round-trips a relayed chat message with its path', async () => {
+        const packet = relayed(await signer.sign(OTHER_PACKETS.CHAT_BROADCAST));
+        expect(decodePacket(encodePacket(packet))).toEqual(packet);
+    });
+
+    it('round-trips path entries with and without a position, before and after the envelope time', () => {
+        const packet = {
+            ...PACKETS.SOS_BROADCAST,
+            hops: 4,
+            path: [
+                { id: 'GOS-R00001', t: NOW - 250, lat: -33.8688197, lon: 151.2092955 },
+                { id: 'GOS-R00002', t: NOW + 1900 },
+                { id: ORIGIN, t: NOW + 2000, lat: 0, lon: 0 },
+                { id: 'GOS-R00001', t: NOW + 86400000, lat: 9.9261, lon: 78.1203 }
+            ]
+        };
+        const bytes = encodePacket(packet);
+        expect(bytes[0]).toBe(0x01);
+        expect(decodePacket(bytes)).toEqual(packet);
+    });
+
+    it('round-trips a relayed SOS with its path, keeping the signature valid', async () => {
+        const packet = relayed(await signer.sign(PACKETS.SOS_BROADCAST));
+        const decoded = decodePacket(encodePacket(packet));
+        expect(decoded).toEqual(packet);
+        expect(await signer.verify(decoded)).toEqual(expect.objectContaining({ valid: true }));
+    });
+
+    // Size of the sendSOS packet on the air, against the JSON codec BLE started with:
+    // 539 bytes of JSON pack into 200, and 716 into 239 once three relays are on its path
+    it('packs the signed sendSOS packet into under 40% of its JSON size', async () => {
+        const signed = await signer.sign(PACKETS.SOS_BROADCAST);
+
+        expect(encodePacket(signed).length).toBeLessThanOrEqual(200);
+        expect(encodePacket(signed).length).toBeLessThan(jsonCodec.encode(signed).length * 0.4);
+        expect(encodePacket(relayed(signed)).length).toBeLessThan(jsonCodec.encode(relayed(signed)).length * 0.4);
+    });
+
+    describe('JSON fallback', () => {
+        it('sends unrounded coordinates as JSON, so the signature survives', async () => {
+            const packet = await signer.sign({
+                ...PACKETS.SOS_BROADCAST,
+                payload: { ...PACKETS.SOS_BROADCAST.payload, lat: 9.92521234567 }
+            });
+            const bytes = encodePacket(packet);
+            expect(bytes[0]).toBe(0x00);
+            expect(decodePacket(bytes)).toEqual(packet);
+            expect(await signer.verify(decodePacket(bytes))).toEqual(expect.objectContaining({ valid: true }));
+        });
+
+        it('sends unknown packet types and extra fields as JSON', () => {
+            const future = { ...PACKETS.HELLO, type: 'ROUTE_REPLY', v: SCHEMA_VERSION + 1 };
+            const extra = { ...PACKETS.SOS_ACK, payload: { ...PACKETS.SOS_ACK.payload, note: 'hello' } };
+
+            [future, extra].forEach(packet => {
+                const bytes = encodePacket(packet);
+                expect(bytes[0]).toBe(0x00);
+                expect(decodePacket(bytes)).toEqual(packet);
+            });
+        });
+
+        it('rejects frames it cannot read', () => {
+            expect(() => decodePacket(new Uint8Array())).toThrow(RangeError);
+            expect(() => decodePacket(new Uint8Array([0x7f]))).toThrow(TypeError);
+            const bytes = encodePacket(PACKETS.SOS_ACK);
+            expect(() => decodePacket(new Uint8Array([...bytes, 0]))).toThrow(RangeError);
+        });
+    });
+
+    describe('damaged frames', () => {
+        it('rejects every truncation of a relayed, signed SOS', async () => {
+            const bytes = encodePacket(relayed(await signer.sign(PACKETS.SOS_BROADCAST)));
+            for (let length = 1; length < bytes.length; length++) {
+                expect(() => decodePacket(bytes.subarray(0, length))).toThrow(RangeError);
+            }
+        });
+
+        it('rejects unknown type codes, deviceId tags and ACK stages', () => {
+            const bytes = encodePacket(PACKETS.SOS_ACK);
+            const corrupt = (offset, value) => {
+                const copy = Uint8Array.from(bytes);
+                copy[offset] = value;
+                return copy;
+            };
+
+            expect(() => decodePacket(corrupt(1, 0xff))).toThrow('Unknown type code');
+            // format, type, flags, v (tag + 1), hops (tag + 1), absent routeDistance, then the senderId tag
+            expect(bytes[8]).toBe(0x01); // packed GOS-XXXXXX
+            expect(() => decodePacket(corrupt(8, 0x09))).toThrow('Unknown deviceId tag');
+
+            // The stage is the only byte that differs from the same ACK one stage later
+            const responder = encodePacket({
+                ...PACKETS.SOS_ACK,
+                payload: { ...PACKETS.SOS_ACK.payload, stage: 'responder' },
+                messageId: `ack_${ORIGIN}-${NOW}_responder`
+            });
+            const stageOffset = bytes.findIndex((value, i) => value !== responder[i]);
+            expect(bytes[stageOffset]).toBe(ACK_STAGES.indexOf('cloud'));
+            expect(() => decodePacket(corrupt(stageOffset, 0x7f))).toThrow('Unknown ACK stage');
+        });
+
+        it('rejects a JSON frame that is not JSON', () => {
+            const bytes = encodePacket(OTHER_PACKETS.CHAT_BROADCAST);
+            expect(() => decodePacket(Uint8Array.from([0x00, ...bytes.subarray(1)]))).toThrow(SyntaxError);
+            expect(() => decodePacket(new TextEncoder().encode('\u0000{"type":'))).toThrow(SyntaxError);
+        });
+
+        it('decodes a flipped signature bit, which then fails verification', async () => {
+            const bytes = Uint8Array.from(encodePacket(await signer.sign(PACKETS.SOS_ACK)));
+            bytes[bytes.length - 1] ^= 0x01;
+            expect(await signer.verify(decodePacket(bytes))).toEqual(expect.objectContaining({ valid: false }));
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Service worker - offline shell and background upload of queued messages
+ *
+ * Built from src/ by the service-worker plugin in vite.config.js, so it shares
+ * OfflineStorageService and SyncManager with the app: a victim who locks the phone
+ * or swipes the app away still gets their SOS uploaded once a signal appears.
+ *
+ * Caching, by request class:
+ *   build output (precache manifest)  cache-first, installed up front so a cold start works offline
+ *   page navigations                  network-first, falling back to the cached app shell
+ *   fonts and other same-origin GETs  stale-while-revalidate
+ *   Firebase, Gemini, anything else   network only - live data is never served from cache
+ *
+ * A new build installs alongside the running one and waits; the app asks the user
+ * before activating it (see serviceWorkerRegistration.js).
+ */
+
+import { initializeApp } from 'firebase/app';
+import { initializeAuth, indexedDBLocalPersistence } from 'firebase/auth';
+import firebaseConfig from './firebaseConfig';
+import OfflineStorageService, { BACKGROUND_SYNC_TAG } from './services/OfflineStorageService';
+import SyncManager from './services/SyncManager';
+import RestBackend from './services/backend/RestBackend';
+
+// Filled in at build time by vite.config.js
+const VERSION = import.meta.env.SW_VERSION;
+const PRECACHE = import.meta.env.SW_PRECACHE;
+
+const CACHE_PREFIX = 'sos-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${VERSION}`;
+const RUNTIME_CACHE_NAME = `${CACHE_PREFIX}runtime-v1`;
+const NAVIGATION_TIMEOUT = 3000; // on a dead link, open the cached SOS screen instead of waiting
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+const precachedUrls = new Set(PRECACHE.map(scopeUrl));
+const APP_SHELL = scopeUrl('index.html');
+
+// Same IndexedDB session the app signed in with, so uploads carry the user's ID token
+const app = initializeApp(firebaseConfig);
+const auth = initializeAuth(app, { persistence: indexedDBLocalPersistence });
+
+const backend = new RestBackend(firebaseConfig.databaseURL, async () => {
+    await auth.authStateReady();
+    return auth.currentUser ? auth.currentUser.getIdToken() : null;
+});
+
+// Sync events only fire once the browser has a connection; failed uploads still back off per message
+const alwaysOnline = { isOnline: () => true, subscribe: () => () => {} };
+
+/**
+ * Pass an upload on to open windows. The queue is shared, so an upload made here is
+ * one the app's own SyncManager will never see, yet the app still has to ACK relayed
+ * SOS over the mesh, release custody and move its delivery indicator.
+ */
+async function notifyClients(event) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: 'SYNC_EVENT', event }));
+}
+
+/**
+ * Upload the pending queue once. Rejects while messages remain, so the browser
+ * schedules another one-off sync attempt.
+ */
+async function uploadQueue() {
+    const storage = new OfflineStorageService();
+    await storage.ready;
+    const sync = new SyncManager(backend, storage, alwaysOnline);
+    const notified = [];
+    sync.onSyncEvent(event => {
+        if (event.type === 'message_uploaded') notified.push(notifyClients(event));
+    });
+
+    try {
+        await sync.syncPendingMessages();
+        const remaining = await storage.getPendingMessages();
+        if (remaining.length > 0) {
+            throw new Error(`${remaining.length} message(s) still pending`);
+        }
+    } finally {
+        sync.destroy();
+        storage.destroy();
+        await Promise.allSettled(notified);
+    }
+}
+
+/**
+ * Which caching strategy a request gets, or null to leave it to the network
+ */
+function requestClass(request) {
+    if (request.method !== 'GET') return null;
+
+    const url = new URL(request.url);
+    if (precachedUrls.has(url.origin + url.pathname)) return 'precache';
+    if (request.mode === 'navigate') return 'navigation';
+    if (FONT_HOSTS.includes(url.hostname)) return 'runtime';
+    if (url.origin === self.location.origin) return 'runtime';
+    return null;
+}
+
+async function cacheFirst(request) {
+    const url = new URL(request.url);
+    const cached = await caches.match(url.origin + url.pathname, { cacheName: PRECACHE_NAME });
+    return cached || fetch(request);
+}
+
+async function networkFirst(request) {
+    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('navigation timed out')), NAVIGATION_TIMEOUT));
+    try {
+        return await Promise.race([fetch(request), timeout]);
+    } catch (error) {
+        const shell = await caches.match(APP_SHELL, { cacheName: PRECACHE_NAME });
+        if (shell) return shell;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(RUNTIME_CACHE_NAME);
+    const cached = await cache.match(event.request);
+    const refresh = fetch(event.request).then((response) => {
+        // Opaque responses (cross-origin without CORS) can't be inspected; keep them anyway
+        if (response.ok || response.type === 'opaque') cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE_NAME).then((cache) => cache.addAll([...precachedUrls]))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [PRECACHE_NAME, RUNTIME_CACHE_NAME];
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The app sends this once the user accepts an update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const requestType = requestClass(event.request);
+    if (requestType === 'precache') event.respondWith(cacheFirst(event.request));
+    else if (requestType === 'navigation') event.respondWith(networkFirst(event.request));
+    else if (requestType === 'runtime') event.respondWith(staleWhileRevalidate(event));
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== BACKGROUND_SYNC_TAG) return;
+    event.waitUntil(uploadQueue());
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== BACKGROUND_SYNC_TAG) return;
+    // No retry semantics here; the next period tries again
+    event.waitUntil(uploadQueue().catch(error => console.log('[ServiceWorker] Periodic upload incomplete:', error.message)));
+});
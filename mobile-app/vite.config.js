@@ -1,8 +1,67 @@
-import { defineConfig } from 'vite'
+import { defineConfig, build } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, statSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
+
+// Files under public/ that are copied into the build as-is
+function publicFiles(dir) {
+  if (!dir) return []
+  return readdirSync(dir, { recursive: true })
+    .map(name => join(dir, name))
+    .filter(file => statSync(file).isFile())
+    .map(file => ({ url: relative(dir, file).split(sep).join('/'), source: readFileSync(file) }))
+}
+
+// Bundles src/sw.js into a single classic script at the root of the build output,
+// so the service worker can share services with the app. The worker gets the list
+// of every file this build produced (its precache manifest) and a version hashed
+// from their contents, so each deploy installs as a new worker.
+function serviceWorker() {
+  let config
+  let precache = []
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved
+    },
+    writeBundle(_options, bundle) {
+      precache = [
+        ...Object.values(bundle).map(output => ({ url: output.fileName, source: output.code ?? output.source })),
+        ...publicFiles(config.publicDir),
+      ].filter(file => !file.url.endsWith('.map'))
+    },
+    async closeBundle() {
+      const hash = createHash('sha256')
+      precache
+        .sort((a, b) => a.url.localeCompare(b.url))
+        .forEach(file => hash.update(file.url).update(file.source))
+
+      await build({
+        configFile: false,
+        root: config.root,
+        mode: config.mode,
+        envDir: config.envDir,
+        logLevel: 'warn',
+        define: {
+          'process.env.NODE_ENV': JSON.stringify(config.mode),
+          'import.meta.env.SW_PRECACHE': JSON.stringify(precache.map(file => file.url)),
+          'import.meta.env.SW_VERSION': JSON.stringify(hash.digest('hex').slice(0, 12)),
+        },
+        build: {
+          outDir: config.build.outDir,
+          emptyOutDir: false,
+          copyPublicDir: false,
+          lib: { entry: 'src/sw.js', formats: ['iife'], name: 'serviceWorker', fileName: () => 'sw.js' },
+        },
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: './',
 })